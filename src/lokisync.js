@@ -15,264 +15,3060 @@ const SCRIPT_PROPERTIES_KEYS = {
   LOKI_BASE_QUERY: 'LOKI_BASE_QUERY',
   LOKI_QUERY_LIMIT: 'LOKI_QUERY_LIMIT',
   LOKI_OVERLAP_SECONDS: 'LOKI_OVERLAP_SECONDS',
+  LOKI_INGEST_DELAY_SECONDS: 'LOKI_INGEST_DELAY_SECONDS',
+  LOKI_MAX_RETRIES: 'LOKI_MAX_RETRIES',
+  LOKI_RETRY_BASE_SECONDS: 'LOKI_RETRY_BASE_SECONDS',
+  LOKI_QUERY_TYPE: 'LOKI_QUERY_TYPE',
+  METRIC_STEP_SECONDS: 'METRIC_STEP_SECONDS',
+  METRIC_SHEET_NAME: 'METRIC_SHEET_NAME',
   TIMEZONE_OFFSET: 'TIMEZONE_OFFSET',
+  INITIAL_LOOKBACK_SECONDS: 'INITIAL_LOOKBACK_SECONDS',
+  CATCHUP_POLICY: 'CATCHUP_POLICY',
+  CATCHUP_MAX_SECONDS: 'CATCHUP_MAX_SECONDS',
+  BACKFILL_CHUNK_SECONDS: 'BACKFILL_CHUNK_SECONDS',
+  LOG_FORMAT: 'LOG_FORMAT',
+  LOG_REGEX: 'LOG_REGEX',
+  LOG_PARSER_RULES: 'LOG_PARSER_RULES',
+  INCLUDE_STREAM_LABELS: 'INCLUDE_STREAM_LABELS',
+  STREAM_LABEL_PREFIX: 'STREAM_LABEL_PREFIX',
+  STREAM_LABEL_ALLOWLIST: 'STREAM_LABEL_ALLOWLIST',
+  STREAM_LABEL_DENYLIST: 'STREAM_LABEL_DENYLIST',
+  ROUTING_KEY: 'ROUTING_KEY',
+  ROUTING_SANITIZE: 'ROUTING_SANITIZE',
+  SYNC_JOBS: 'SYNC_JOBS',
+  FLATTEN_DEPTH: 'FLATTEN_DEPTH',
+  FLATTEN_ARRAYS: 'FLATTEN_ARRAYS',
+  WRITE_DATETIME_COLUMN: 'WRITE_DATETIME_COLUMN',
+  SHEET_ROTATION: 'SHEET_ROTATION',
+  RETENTION_MAX_ROWS: 'RETENTION_MAX_ROWS',
+  RETENTION_MAX_AGE_DAYS: 'RETENTION_MAX_AGE_DAYS',
+  ARCHIVE_SPREADSHEET_ID: 'ARCHIVE_SPREADSHEET_ID',
+  SHEETS_WRITE_API: 'SHEETS_WRITE_API',
+  ALERT_EMAIL: 'ALERT_EMAIL',
+  ALERT_WEBHOOK_URL: 'ALERT_WEBHOOK_URL',
+  ALERT_SKIP_RATE: 'ALERT_SKIP_RATE',
+  LOCK_WAIT_SECONDS: 'LOCK_WAIT_SECONDS',
+  SYNC_INTERVAL_MINUTES: 'SYNC_INTERVAL_MINUTES',
+  SYNC_MIN_INTERVAL_MINUTES: 'SYNC_MIN_INTERVAL_MINUTES',
 };
 
+/** スクリプトが内部状態の保存に使うスクリプトプロパティのキー */
+const STATE_PROPERTIES_KEYS = {
+  SYNC_CURSOR: 'STATE_SYNC_CURSOR', // 処理済みの最新タイムスタンプと、その時刻で処理済みのログのキー (JSON)
+  BACKFILL_QUEUE: 'STATE_BACKFILL_QUEUE', // 未処理のバックフィル範囲と、それぞれの進捗 (JSON)
+  JOB_LEASE: 'STATE_JOB_LEASE', // ジョブを実行中の実行の識別子と、その期限 (JSON)
+  JOB_SCHEDULE: 'STATE_JOB_SCHEDULE', // 調整後のトリガーの実行間隔と、連続して打ち切った・完了した実行回数 (JSON)
+  TRIGGERS: 'STATE_TRIGGERS', // installTriggers で作成したトリガーのIDごとの実行間隔と、デフォルトの実行間隔 (JSON、ジョブ共通)
+};
+
+/** SYNC_JOBS を使わない場合のジョブID。このジョブの状態は従来どおりサフィックスなしのキーに保存する */
+const DEFAULT_JOB_ID = 'default';
+
+/** ジョブIDとして許可される文字種 (正規表現) */
+const ALLOWED_JOB_ID_REGEX = /^[a-zA-Z0-9_-]+$/;
+
 /** 無視するシート名のプレフィックス */
 const IGNORED_SHEET_PREFIX = '_';
 
 /** タイムスタンプ列の名前 */
 const TIMESTAMP_COLUMN_NAME = '_timestamp'; // Lokiのタイムスタンプキーに合わせて変更が必要な場合あり
 
-/** 初回実行時に遡る時間 (秒) */
-const INITIAL_LOOKBACK_SECONDS = 60 * 60 // 1時間
+/** スプレッドシートの日時型でタイムスタンプを記録する列の名前 (WRITE_DATETIME_COLUMN が有効な場合) */
+const DATETIME_COLUMN_NAME = '_datetime';
+
+/** 日時型の列の表示形式 (日時はスプレッドシートのタイムゾーンで表示される) */
+const DATETIME_NUMBER_FORMAT = 'yyyy-mm-dd hh:mm:ss.000';
+
+/** 書式なしテキストの表示形式 (数値形式の文字列が数値に変換されないようにする) */
+const PLAIN_TEXT_NUMBER_FORMAT = '@';
+
+/** スプレッドシートが数値に変換する、数値形式の文字列 (正規表現) */
+const NUMERIC_STRING_REGEX = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/** スプレッドシートが真偽値に変換する、真偽値形式の文字列 (正規表現、大文字小文字を問わない) */
+const BOOLEAN_STRING_REGEX = /^(true|false)$/i;
+
+/** シートごとの列の定義 (スキーマ) を記述するシートの名前 */
+const SCHEMA_SHEET_NAME = '_schema';
+
+/** スキーマで指定できる値の型 */
+const SCHEMA_VALUE_TYPES = ['string', 'number', 'boolean', 'date'];
+
+/** スキーマで「全てのシート」「定義されていない全てのキー」を表す値 */
+const SCHEMA_WILDCARD = '*';
+
+/** 各行のログのハッシュを記録する非表示列の名前。重複排除の索引として使う */
+const HASH_COLUMN_NAME = '_hash';
+
+/** ログの内容ではない列 (_timestamp からの導出列と索引列)。重複排除のハッシュ計算には含めない */
+const DERIVED_COLUMN_NAMES = [DATETIME_COLUMN_NAME, HASH_COLUMN_NAME];
+
+/** 索引 (_hash 列の値) で、ログの内容のハッシュと系列キーを区切る文字 */
+const HASH_SERIES_KEY_SEPARATOR = '.';
+
+/** ログオブジェクトに系列キー (LogHasher_.calculateSeriesKey) を持たせるプロパティ。Symbol のため列にはならない */
+const SERIES_KEY_PROPERTY = Symbol('seriesKey');
+
+/** 重複排除のためにシート末尾から一度に読み込む行数 */
+const DEDUP_SCAN_CHUNK_ROWS = 500;
+
+/** 重複排除の比較範囲より古い行がこの行数続いたら、シート末尾からの読み込みを打ち切る (時刻順に並んでいない行を見落とさないため) */
+const DEDUP_SCAN_OLDER_ROWS_LIMIT = 500;
+
+/** verifyHashIdentity で各シートの末尾から確認する行数 */
+const VERIFY_HASH_MAX_ROWS = 1000;
+
+/** シートの分割方法 (SHEET_ROTATION)。monthly は metric_YYYYMM のように月ごとのシートに書き込む */
+const SHEET_ROTATION_MODES = ['none', 'monthly'];
+
+/** 月ごとに分割したシートの名前 (metric_YYYYMM) を判定する正規表現 */
+const ROTATED_SHEET_NAME_REGEX = /_\d{6}$/;
+
+/** 保持期間を過ぎた行を探すためにシート先頭から一度に読み込む行数 */
+const RETENTION_SCAN_CHUNK_ROWS = 500;
+
+/** 1回の実行で1つのシートから削除 (アーカイブ) する最大行数。残りは次回以降の実行で処理する */
+const RETENTION_MAX_ROWS_PER_RUN = 10000;
+
+/**
+ * シートへの書き込み方法 (SHEETS_WRITE_API)
+ * auto は Sheets API (拡張サービス) が有効なら1回の batchUpdate でまとめて書き込み、無効なら SpreadsheetApp で書き込む
+ */
+const SHEETS_WRITE_APIS = ['auto', 'spreadsheetapp'];
+
+/** スプレッドシートのシリアル値の基準日 (1899-12-30) から Unix エポックまでの日数 */
+const SHEETS_EPOCH_OFFSET_DAYS = 25569;
+
+/** 1つのスプレッドシートのセル数の上限 */
+const SPREADSHEET_CELL_LIMIT = 10000000;
+
+/** セル数が上限のこの割合を超えたら警告する */
+const SPREADSHEET_CELL_WARNING_RATIO = 0.9;
+
+/** 初回実行時に遡る時間 (秒) のデフォルト値 */
+const DEFAULT_INITIAL_LOOKBACK_SECONDS = 60 * 60; // 1時間
+
+/**
+ * 前回の処理から時間が空いた場合の追いつき方
+ * - resume: 前回の続きから順に取得する (デフォルト)
+ * - backfill: 直近の INITIAL_LOOKBACK_SECONDS を先に取得し、空いた期間はバックフィルとして後から取得する
+ */
+const CATCHUP_POLICIES = ['resume', 'backfill'];
+
+/** バックフィルで1回のクエリ範囲とする時間 (秒) のデフォルト値 */
+const DEFAULT_BACKFILL_CHUNK_SECONDS = 60 * 60; // 1時間
+
+/** 取り込み途中のログを避けるため、現在時刻からどれだけ (秒) 手前までを取得対象とするかのデフォルト値 */
+const DEFAULT_LOKI_INGEST_DELAY_SECONDS = 30;
+
+/** Loki へのリクエストを再試行する回数のデフォルト値 */
+const DEFAULT_LOKI_MAX_RETRIES = 4;
+
+/** Loki へのリクエストを再試行するまでの待ち時間 (秒) の基準値のデフォルト値。再試行のたびに2倍にする */
+const DEFAULT_LOKI_RETRY_BASE_SECONDS = 2;
+
+/** Loki へのリクエストを再試行するまでの待ち時間の上限 (ミリ秒) */
+const LOKI_RETRY_MAX_DELAY_MS = 60 * 1000;
+
+/**
+ * 再試行する Loki のレスポンスのステータスコード (一時的なエラー)
+ * これ以外のエラー (400: LogQL の誤り、401/403: 認証エラーなど) は再試行しても成功しないため、すぐに失敗とする。
+ */
+const LOKI_RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+/** Loki のクエリの種類 (logs: ログ行を取得するクエリ、metric: count_over_time などで集計するメトリッククエリ) */
+const LOKI_QUERY_TYPES = ['logs', 'metric'];
+
+/** METRIC_STEP_SECONDS を指定しない場合の、メトリッククエリの評価間隔 (秒) */
+const DEFAULT_METRIC_STEP_SECONDS = 60 * 60; // 1時間
+
+/** メトリッククエリの1回のリクエストで取得する最大ステップ数 (Loki の上限は1系列あたり 11,000 点) */
+const METRIC_QUERY_MAX_POINTS = 1000;
+
+/** メトリッククエリの値を記録する列の名前 */
+const METRIC_VALUE_COLUMN_NAME = 'value';
+
+/** 1回の実行で処理に使う時間 (ミリ秒)。GASの実行時間制限 (6分) に達する前に打ち切るため */
+const EXECUTION_TIME_BUDGET_MS = 4 * 60 * 1000; // 4分
+
+/** 実行結果を記録するシートの名前 (IGNORED_SHEET_PREFIX で始まるため同期の対象外) */
+const RUNS_SHEET_NAME = '_runs';
+
+/** 実行結果のシートの列 */
+const RUNS_SHEET_HEADER = ['started_at', 'function', 'job_id', 'status', 'window_start', 'window_end',
+  'fetched', 'skipped', 'duplicates', 'written', 'duration_ms', 'errors', 'metrics'];
+
+/** 実行結果のシートに残す最大行数 (ヘッダーを除く)。超えた分は古い行から削除する */
+const RUNS_SHEET_MAX_ROWS = 5000;
+
+/** 実行結果のシートのセルに書き込む文字数の上限 (セルの上限は 50,000 文字) */
+const RUNS_SHEET_MAX_CELL_LENGTH = 5000;
+
+/** パースや振り分けに失敗したログを記録するシートの名前 (IGNORED_SHEET_PREFIX で始まるため同期の対象外) */
+const DEAD_LETTER_SHEET_NAME = '_deadletter';
+
+/** パースや振り分けに失敗したログを記録するシートの列 */
+const DEAD_LETTER_SHEET_HEADER = [TIMESTAMP_COLUMN_NAME, 'job_id', 'reason', 'labels', 'line', 'recorded_at'];
+
+/** ログ行のセルに書き込む文字数の上限 (セルの上限は 50,000 文字) */
+const DEAD_LETTER_MAX_LINE_LENGTH = 49000;
+
+/** replayDeadLetters の1回の実行で処理する最大行数 */
+const DEAD_LETTER_REPLAY_MAX_ROWS = 2000;
+
+/** ドライランの結果を書き込むシートの名前 (IGNORED_SHEET_PREFIX で始まるため同期の対象外) */
+const PREVIEW_SHEET_NAME = '_preview';
+
+/** ドライランの結果のシートの列 */
+const PREVIEW_SHEET_HEADER = ['generated_at', 'job_id', 'status', 'window_start', 'window_end', 'fetched', 'dead_letters',
+  'sheet_name', 'new_sheet', 'new_columns', 'logs', 'duplicates', 'rows', 'sample_rows', 'error'];
+
+/** ドライランで書き込む行の例として示す、シートごとの行数 */
+const DRY_RUN_SAMPLE_ROWS = 5;
+
+/** ドライランの結果のシートのセルに書き込む文字数の上限 (セルの上限は 50,000 文字) */
+const PREVIEW_SHEET_MAX_CELL_LENGTH = 5000;
+
+/** スプレッドシートに追加するメニューの名前 */
+const MENU_NAME = 'Loki Sync';
+
+/** 設定を編集するサイドバー (src/sidebar.html) のタイトル */
+const SIDEBAR_TITLE = 'Loki Sync の設定';
+
+/** サイドバーに値を送らないスクリプトプロパティ (設定済みかどうかだけを示す) */
+const SECRET_PROPERTY_KEYS = [SCRIPT_PROPERTIES_KEYS.LOKI_PASSWORD, SCRIPT_PROPERTIES_KEYS.LOKI_API_KEY];
+
+/** サイドバーでの接続テストで取得する期間 (秒) */
+const CONNECTION_TEST_LOOKBACK_SECONDS = 5 * 60; // 5分
+
+/** サイドバーでの接続テストで取得するログの最大件数 */
+const CONNECTION_TEST_QUERY_LIMIT = 10;
+
+/** サイドバーに前回の実行結果を示すために読み込む、実行結果のシートの末尾の行数 */
+const SIDEBAR_RUNS_SCAN_ROWS = 200;
+
+/** メニューから実行した結果に示す、ジョブの結果 (runJobs_ の status) の説明 */
+const JOB_STATUS_LABELS = {
+  completed: '完了',
+  incomplete: '時間内に取り切れませんでした (次回の実行で続きから処理します)',
+  skipped: '他の実行が処理中のためスキップしました',
+  failed: '失敗しました',
+};
+
+/** 同期のトリガーで実行する関数 */
+const TRIGGER_HANDLER_FUNCTION = 'main';
+
+/**
+ * トリガーの実行間隔として指定できる分数 (時間主導型トリガーの分・時間・日タイマーで作れる間隔)
+ * 1分間隔は1回の実行で処理に使う時間 (EXECUTION_TIME_BUDGET_MS) より短く、実行が重なるため使わない。
+ */
+const TRIGGER_INTERVALS_MINUTES = [5, 10, 15, 30, 60, 120, 240, 360, 480, 720, 1440];
+
+/** installTriggers で実行間隔を省略した場合の、初回の実行間隔 (分) */
+const DEFAULT_TRIGGER_INTERVAL_MINUTES = 15;
+
+/** トリガーの実行間隔を短くする (または元に戻す) までの、連続して時間内に取り切れなかった (または完了した) 実行回数 */
+const SCHEDULE_ADJUST_RUNS = 3;
+
+/** GASの1回の実行時間の上限 (ミリ秒) */
+const MAX_EXECUTION_TIME_MS = 6 * 60 * 1000; // 6分
+
+/**
+ * ジョブの実行権 (リース) の期限を実行開始からどれだけ (ミリ秒) 後にするか
+ * 実行時間の上限を過ぎても残っているリースは、解放されずに終了した実行のものとみなして奪う。
+ */
+const JOB_LEASE_DURATION_MS = MAX_EXECUTION_TIME_MS + 60 * 1000; // 7分
+
+/** 他の実行がジョブを処理中の場合に、終わるのを待つ時間 (秒) のデフォルト値 */
+const DEFAULT_LOCK_WAIT_SECONDS = 30;
+
+/** 他の実行がジョブを処理中の場合に、リースを確認し直す間隔 (ミリ秒) */
+const JOB_LEASE_POLL_INTERVAL_MS = 5 * 1000;
+
+/** リースを読み書きする間、スクリプトロックの取得を待つ時間 (ミリ秒) */
+const SCRIPT_LOCK_TIMEOUT_MS = 10 * 1000;
+
+/** 同期カーソルに保存する同一ナノ秒のログキーの最大件数 (スクリプトプロパティの容量制限のため) */
+const MAX_CURSOR_ENTRY_KEYS = 100;
+
+/** 1秒あたりのナノ秒 */
+const NANOS_PER_SECOND = BigInt(1000000000);
 
-/** 許可されるmetric_nameの文字種 (正規表現) */
+/** ログ行の形式 (LOG_FORMAT) として指定できる値 */
+const LOG_FORMATS = ['json', 'logfmt', 'regex'];
+
+/**
+ * ネストしたJSONを展開する際の配列の扱い (FLATTEN_ARRAYS)
+ * - index: 要素ごとに items.0.id のようなキーに展開する (デフォルト)
+ * - join: 要素をカンマ区切りの1つの文字列にする
+ */
+const FLATTEN_ARRAY_MODES = ['index', 'join'];
+
+/** 展開したキーの区切り文字 */
+const FLATTEN_KEY_SEPARATOR = '.';
+
+/** 許可されるmetric_name (振り分け先のシート名) の文字種 (正規表現) */
 const ALLOWED_METRIC_NAME_REGEX = /^[a-zA-Z0-9_-]+$/;
 
+/** ROUTING_SANITIZE が有効な場合に、シート名に使えない文字を置き換える正規表現 */
+const DISALLOWED_METRIC_NAME_CHARS_REGEX = /[^a-zA-Z0-9_-]/g;
+
+/** シート名の最大文字数 */
+const MAX_SHEET_NAME_LENGTH = 100;
+
+/** 振り分けキー (ROUTING_KEY) でストリームのラベルを参照するときのプレフィックス */
+const ROUTING_LABEL_PREFIX = 'label:';
+
 /**
  * メイン関数: スクリプトのエントリーポイント
+ * 設定されたジョブを順に実行する。あるジョブでエラーが発生しても、他のジョブの処理は続行する。
+ * 他の実行 (トリガーと手動実行の重複など) が処理中のジョブはスキップする。
+ * installTriggers で作成したトリガーから実行された場合は、そのトリガーの実行間隔のジョブだけを実行し、
+ * 結果に応じてジョブの実行間隔を調整する (adjustJobSchedules_ 参照)。
+ * @param {{triggerUid: string}} [e] - 時間主導型トリガーのイベントオブジェクト (手動で実行した場合はなし)
+ * @returns {Array<{jobId: string, status: string}>} ジョブごとの結果 (runJobs_ 参照)
  */
-function main() {
-  const config = getConfig_();
-  if (!config) {
-    Logger.log('Error: 設定が不十分なため処理を中断します。');
-    return;
+function main(e) {
+  const run = createRunContext_();
+  const allConfigs = getJobConfigs_();
+  if (allConfigs.length === 0) {
+    Logger.log('Error: 実行できるジョブがないため処理を中断します。');
+    return [];
+  }
+
+  const triggerState = loadTriggerState_();
+  const triggerIntervalMinutes = e && e.triggerUid && triggerState ? triggerState.triggers[e.triggerUid] || null : null;
+  const configs = triggerIntervalMinutes ? selectScheduledJobs_(allConfigs, triggerState, triggerIntervalMinutes) : allConfigs;
+  if (triggerIntervalMinutes) {
+    Logger.log(`${triggerIntervalMinutes} 分間隔のトリガーから実行します。対象のジョブ: ${configs.map(config => config.jobId).join(', ') || '(なし)'}`);
+  }
+
+  const results = runJobs_(configs, run, syncJob_, { exclusive: true, reportAs: 'main' });
+  if (triggerIntervalMinutes) {
+    adjustJobSchedules_(configs, results, triggerState.intervalMinutes);
+    syncTriggersIfNeeded_(allConfigs, triggerState);
+  }
+  Logger.log('全てのジョブの処理が完了しました。');
+  return results;
+}
+
+/**
+ * 指定した期間のログを遡って取得する (バックフィル)
+ * 期間は BACKFILL_CHUNK_SECONDS ごとに区切って取得し、進捗はスクリプトプロパティに保存する。
+ * 1回の実行で終わらなかった分は、以降の main の実行で続きから取得される。
+ * @param {string} startIso - 開始日時 (ISO 8601 形式、この時刻を含む)
+ * @param {string} endIso - 終了日時 (ISO 8601 形式、この時刻は含まない)
+ * @param {string} [jobId] - 対象のジョブID。省略した場合は全てのジョブ
+ * @returns {Array<{jobId: string, status: string}>} ジョブごとの結果 (runJobs_ 参照)。期間が不正な場合は空の配列
+ */
+function backfill(startIso, endIso, jobId) {
+  const run = createRunContext_();
+  const configs = getJobConfigs_().filter(config => !jobId || config.jobId === jobId);
+  if (configs.length === 0) {
+    Logger.log(`Error: 対象のジョブがないため処理を中断します。ジョブID: ${jobId || '(全て)'}`);
+    return [];
+  }
+
+  const startMs = new Date(startIso).getTime();
+  const endMs = new Date(endIso).getTime();
+  if (isNaN(startMs) || isNaN(endMs) || startMs >= endMs) {
+    Logger.log(`Error: バックフィルの期間が不正です。start: ${startIso}, end: ${endIso}`);
+    return [];
+  }
+
+  return runJobs_(configs, run, (config, jobRun) => {
+    const nanosPerMs = BigInt(1000000);
+    const jobEndMs = Math.min(endMs, Date.now() - config.ingestDelaySeconds * 1000);
+    if (startMs >= jobEndMs) {
+      Logger.log(`Warning: ジョブ '${config.jobId}' のバックフィルの期間がまだ取得できない時刻です。start: ${startIso}, end: ${endIso}`);
+      return;
+    }
+    enqueueBackfillRange_(config.jobId, { startNanoTs: BigInt(startMs) * nanosPerMs, endNanoTs: BigInt(jobEndMs) * nanosPerMs, cursor: null });
+    Logger.log(`ジョブ '${config.jobId}' のバックフィルを登録しました: ${startIso} - ${endIso}`);
+
+    const ss = SpreadsheetApp.openById(config.spreadsheetId);
+    if (!ss) {
+      Logger.log(`Error: スプレッドシートが見つかりません。ID: ${config.spreadsheetId}`);
+      return;
+    }
+    return runBackfill_(ss, config, jobRun);
+  }, { exclusive: true, reportAs: 'backfill' });
+}
+
+/**
+ * 索引列 (_hash) に記録されたログのハッシュと、シートの行の値から計算したハッシュが一致することを確認する
+ * 重複排除ではログから計算したハッシュとシートの行から計算したハッシュを同じものとして比較するため、
+ * 一致しない行があれば、その行はスプレッドシートによる型変換などで正規化しきれていない。
+ * 各シートの末尾 VERIFY_HASH_MAX_ROWS 行を対象とする。
+ * @param {string} [jobId] - 対象のジョブID。省略した場合は全てのジョブ
+ * @returns {Array<{jobId: string, sheetName: string, checkedRows: number, mismatchedRows: number[]}>} シートごとの結果
+ */
+function verifyHashIdentity(jobId) {
+  const run = createRunContext_();
+  const configs = getJobConfigs_().filter(config => !jobId || config.jobId === jobId);
+  const results = [];
+  if (configs.length === 0) {
+    Logger.log(`Error: 対象のジョブがないため処理を中断します。ジョブID: ${jobId || '(全て)'}`);
+    return results;
+  }
+
+  runJobs_(configs, run, config => {
+    const ss = SpreadsheetApp.openById(config.spreadsheetId);
+    if (!ss) {
+      Logger.log(`Error: スプレッドシートが見つかりません。ID: ${config.spreadsheetId}`);
+      return;
+    }
+    ss.getSheets().filter(sheet => !sheet.getName().startsWith(IGNORED_SHEET_PREFIX)).forEach(sheet => {
+      const result = verifySheetHashes_(sheet, config.timezone);
+      if (result) {
+        results.push(Object.assign({ jobId: config.jobId }, result));
+        Logger.log(`シート '${result.sheetName}': ${result.checkedRows} 行を確認し、${result.mismatchedRows.length} 行が一致しませんでした。` +
+            (result.mismatchedRows.length > 0 ? ` 行番号: ${result.mismatchedRows.slice(0, 20).join(', ')}` : ''));
+      }
+    });
+  });
+  return results;
+}
+
+/**
+ * _deadletter シートに記録したログ (パースや振り分けに失敗したログ) を、現在の設定で処理し直す
+ * LOG_FORMAT や ROUTING_KEY などの設定を直した後に実行する。処理できた行は _deadletter シートから削除し、
+ * 再び失敗した行は新しい理由で記録し直す。シートへの書き込みに失敗した行は削除せずに残す。
+ * 1回の実行で DEAD_LETTER_REPLAY_MAX_ROWS 行まで処理する。
+ * @param {string} [jobId] - 対象のジョブID。省略した場合は全てのジョブ
+ * @returns {Array<{jobId: string, status: string}>} ジョブごとの結果 (runJobs_ 参照)
+ */
+function replayDeadLetters(jobId) {
+  const run = createRunContext_();
+  const configs = getJobConfigs_().filter(config => !jobId || config.jobId === jobId);
+  if (configs.length === 0) {
+    Logger.log(`Error: 対象のジョブがないため処理を中断します。ジョブID: ${jobId || '(全て)'}`);
+    return [];
+  }
+
+  return runJobs_(configs, run, (config, jobRun) => {
+    const ss = SpreadsheetApp.openById(config.spreadsheetId);
+    if (!ss) {
+      Logger.log(`Error: スプレッドシートが見つかりません。ID: ${config.spreadsheetId}`);
+      return false;
+    }
+    return replayDeadLettersForJob_(ss, config, jobRun);
+  }, { exclusive: true, reportAs: 'replayDeadLetters' });
+}
+
+/**
+ * ドライラン: main と同じ範囲のログを取得して重複排除まで行い、シートへの書き込み内容を確認する
+ * シートへの書き込み、同期カーソルの保存、保持ポリシーの適用、バックフィルは行わない。
+ * 新しく作成されるシート、追加される列、追記される行数と行の例を、シートごとに実行ログに出力して返す。
+ * @param {string} [jobId] - 対象のジョブID。省略した場合は全てのジョブ
+ * @param {boolean} [writePreviewSheet] - trueの場合、結果を各ジョブのスプレッドシートの _preview シートにも書き込む (シートの内容は置き換える)
+ * @returns {Array<object>} ジョブごとの結果 (runJobs_ の結果に previewSyncJob_ の結果を加えたもの)
+ */
+function dryRun(jobId, writePreviewSheet) {
+  const run = createRunContext_();
+  const configs = getJobConfigs_().filter(config => !jobId || config.jobId === jobId);
+  if (configs.length === 0) {
+    Logger.log(`Error: 対象のジョブがないため処理を中断します。ジョブID: ${jobId || '(全て)'}`);
+    return [];
+  }
+
+  const previews = {};
+  const results = runJobs_(configs, run, (config, jobRun) => {
+    const ss = SpreadsheetApp.openById(config.spreadsheetId);
+    if (!ss) {
+      Logger.log(`Error: スプレッドシートが見つかりません。ID: ${config.spreadsheetId}`);
+      return false;
+    }
+    const { complete, preview } = previewSyncJob_(ss, config, jobRun);
+    previews[config.jobId] = preview;
+    logSyncPreview_(config, preview);
+    return complete;
+  }).map(result => Object.assign(result, previews[result.jobId] || {}));
+
+  if (writePreviewSheet) {
+    writePreviewSheets_(configs, results);
+  }
+  return results;
+}
+
+/**
+ * 同期カーソルを削除する
+ * 次回の main は、同期カーソルがない場合と同じく、シートの最終行のタイムスタンプ (シートが空なら INITIAL_LOOKBACK_SECONDS 前) から再開する。
+ * 未処理のバックフィル範囲はそのまま残す。
+ * @param {string} [jobId] - 対象のジョブID。省略した場合は全てのジョブ
+ * @returns {Array<{jobId: string, status: string}>} ジョブごとの結果 (runJobs_ 参照)
+ */
+function resetSyncCursor(jobId) {
+  const run = createRunContext_();
+  const configs = getJobConfigs_().filter(config => !jobId || config.jobId === jobId);
+  if (configs.length === 0) {
+    Logger.log(`Error: 対象のジョブがないため処理を中断します。ジョブID: ${jobId || '(全て)'}`);
+    return [];
+  }
+
+  // 同期中のジョブのカーソルを削除すると、その実行が保存するカーソルで上書きされるため、実行権を取得してから削除する
+  return runJobs_(configs, run, config => {
+    deleteSyncCursor_(config.jobId);
+    Logger.log(`ジョブ '${config.jobId}' の同期カーソルを削除しました。`);
+  }, { exclusive: true });
+}
+
+/**
+ * main を定期的に実行する時間主導型トリガーを作成する
+ * ジョブの実行間隔 (SYNC_INTERVAL_MINUTES、なければ intervalMinutes) ごとに1つのトリガーを作成し、
+ * 各トリガーはその実行間隔のジョブだけを実行する。何度実行しても、必要なトリガーが1つずつある状態にする。
+ * main を実行する時間主導型トリガーのうち、不要なもの・重複しているもの (同じ実行間隔のトリガーや手動で作成したトリガー) は削除する。
+ * ジョブの実行間隔は、時間内に取り切れない実行が続くと短くなり、取り切れる実行が続くと元に戻る (adjustJobSchedules_ 参照)。
+ * @param {number} [intervalMinutes] - SYNC_INTERVAL_MINUTES がないジョブの実行間隔 (分、TRIGGER_INTERVALS_MINUTES のいずれか)。
+ *     省略した場合は前回の installTriggers の値 (初回は DEFAULT_TRIGGER_INTERVAL_MINUTES)
+ * @returns {{triggers: Array<{intervalMinutes: number, triggerId: string|null, jobIds: string[], created: boolean}>, deleted: number}|null}
+ *     実行間隔ごとのトリガーと、削除したトリガーの数。実行できるジョブがない場合や実行間隔が不正な場合はnull
+ */
+function installTriggers(intervalMinutes) {
+  const triggerState = loadTriggerState_();
+  const defaultIntervalMinutes = intervalMinutes === undefined || intervalMinutes === null
+      ? (triggerState ? triggerState.intervalMinutes : DEFAULT_TRIGGER_INTERVAL_MINUTES)
+      : Number(intervalMinutes);
+  if (!TRIGGER_INTERVALS_MINUTES.includes(defaultIntervalMinutes)) {
+    Logger.log(`Error: トリガーの実行間隔が不正です ('${intervalMinutes}')。指定できる値: ${TRIGGER_INTERVALS_MINUTES.join(', ')}`);
+    return null;
+  }
+  const configs = getJobConfigs_();
+  if (configs.length === 0) {
+    Logger.log('Error: 実行できるジョブがないため処理を中断します。');
+    return null;
+  }
+
+  const result = syncTriggers_(configs, defaultIntervalMinutes);
+  if (result) {
+    result.triggers.forEach(trigger => Logger.log(`${trigger.intervalMinutes} 分間隔のトリガー` +
+        `${trigger.created ? 'を作成しました' : 'は作成済みです'}: ${trigger.triggerId || '(作成に失敗)'}, ジョブ: ${trigger.jobIds.join(', ')}`));
+  }
+  return result;
+}
+
+/**
+ * installTriggers で作成したトリガーと、main を実行する時間主導型トリガーを全て削除する
+ * 調整したジョブの実行間隔 (STATE_JOB_SCHEDULE) も削除する。
+ * @returns {number|null} 削除したトリガーの数。他の実行がトリガーを更新中の場合はnull
+ */
+function uninstallTriggers() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(SCRIPT_LOCK_TIMEOUT_MS)) {
+    Logger.log('Error: 他の実行がトリガーを更新中のため処理を中断します。');
+    return null;
+  }
+  try {
+    const triggers = ScriptApp.getProjectTriggers().filter(isSyncTrigger_);
+    triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    const props = PropertiesService.getScriptProperties();
+    props.deleteProperty(STATE_PROPERTIES_KEYS.TRIGGERS);
+    Object.keys(props.getProperties())
+        .filter(key => key === STATE_PROPERTIES_KEYS.JOB_SCHEDULE || key.startsWith(`${STATE_PROPERTIES_KEYS.JOB_SCHEDULE}_`))
+        .forEach(key => props.deleteProperty(key));
+    Logger.log(`トリガーを ${triggers.length} 個削除しました。`);
+    return triggers.length;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * ジョブを順に実行する
+ * 残りの実行時間は未実行のジョブで等分し、早く終わったジョブの残り時間は後のジョブに回す。
+ * exclusive を指定した場合、ジョブの実行権 (リース) を取得してから実行し、取得できなければスキップする。
+ * reportAs を指定した場合、ジョブごとの結果を _runs シートに記録し、失敗時などに通知する。
+ * @param {Array<object>} configs - ジョブごとの設定オブジェクト
+ * @param {{startedAtMs: number, deadlineMs: number}} run - 実行コンテキスト
+ * @param {function(object, object): (boolean|undefined)} jobFunction - 設定オブジェクトとジョブ用の実行コンテキストを受け取って処理する関数。
+ *     取り切れずに打ち切った場合は false を返す
+ * @param {{exclusive: boolean, reportAs: string}} [options] - exclusive: 同じジョブを同時に実行しない (シートへの書き込みや状態の更新を行う場合)、
+ *     reportAs: 実行結果を記録する場合の処理名 (main, backfill など)
+ * @returns {Array<{jobId: string, status: string, timedOut?: boolean}>} ジョブごとの結果。
+ *     status は completed (完了)、incomplete (打ち切り)、skipped (他の実行が処理中)、failed (エラー)。
+ *     incomplete の場合、timedOut はジョブに割り当てた実行時間を使い切ったかどうか (Loki のエラーなどで打ち切った場合はfalse)
+ */
+function runJobs_(configs, run, jobFunction, options = {}) {
+  return configs.map((config, index) => {
+    const jobRun = Object.assign({}, run, {
+      deadlineMs: Date.now() + Math.max(0, run.deadlineMs - Date.now()) / (configs.length - index),
+      stats: createRunStats_(),
+    });
+    const result = runJob_(config, jobRun, jobFunction, options);
+    if (result.status === 'incomplete') {
+      result.timedOut = Date.now() >= jobRun.deadlineMs;
+    }
+    if (options.reportAs) {
+      reportJobRun_(config, jobRun, result, options.reportAs);
+    }
+    return result;
+  });
+}
+
+/**
+ * 1つのジョブを実行する (runJobs_ 参照)
+ * @param {object} config - ジョブの設定オブジェクト
+ * @param {{startedAtMs: number, deadlineMs: number, stats: object}} jobRun - ジョブ用の実行コンテキスト
+ * @param {function(object, object): (boolean|undefined)} jobFunction - ジョブの処理
+ * @param {{exclusive: boolean}} options - 実行のオプション
+ * @returns {{jobId: string, status: string}} ジョブの結果
+ */
+function runJob_(config, jobRun, jobFunction, options) {
+  let lease = null;
+  try {
+    if (options.exclusive) {
+      lease = acquireJobLease_(config, jobRun);
+      if (!lease) {
+        Logger.log(`ジョブ '${config.jobId}' は他の実行が処理中のため、スキップしました。`);
+        return { jobId: config.jobId, status: 'skipped' };
+      }
+    }
+    Logger.log(`ジョブ '${config.jobId}' の処理を開始します。`);
+    const completed = jobFunction(config, jobRun);
+    Logger.log(`ジョブ '${config.jobId}' の処理が完了しました。`);
+    return { jobId: config.jobId, status: completed === false ? 'incomplete' : 'completed' };
+  } catch (e) {
+    Logger.log(`Error: ジョブ '${config.jobId}' の処理中にエラーが発生しました。詳細: ${e} \nStack: ${e.stack}`);
+    // エラーが発生しても他のジョブの処理を続行
+    jobRun.stats.errors.push(String(e));
+    return { jobId: config.jobId, status: 'failed', error: String(e) };
+  } finally {
+    if (lease) {
+      releaseJobLease_(config.jobId, lease);
+    }
   }
+}
 
+/**
+ * 1つのジョブの同期処理: 同期カーソルから現在までのログを取得してシートに書き込み、残り時間でバックフィルを進める
+ * @param {object} config - ジョブの設定オブジェクト
+ * @param {{deadlineMs: number}} run - 実行コンテキスト
+ * @returns {boolean} バックフィルも含めて全て取り切れた場合はtrue
+ */
+function syncJob_(config, run) {
   const ss = SpreadsheetApp.openById(config.spreadsheetId);
   if (!ss) {
     Logger.log(`Error: スプレッドシートが見つかりません。ID: ${config.spreadsheetId}`);
-    return;
+    return false;
   }
 
-  // 1. 最新処理タイムスタンプを特定 (UTCナノ秒)
-  const lastProcessedNanoTs = findLastProcessedTimestamp_(ss, config.timezoneOffset);
-  Logger.log(`最新処理タイムスタンプ (UTCナノ秒): ${lastProcessedNanoTs}`);
+  // 0. 書き込みの前に保持ポリシーを適用し、シートの容量を空ける
+  applyRetention_(ss, config, run);
 
-  // 2. Lokiクエリの時間範囲を決定
-  const lastProcessedSeconds = Math.floor(Number(lastProcessedNanoTs / BigInt(1000000000)))
-  const { startSeconds, endSeconds } = calculateLokiTimeRange_(lastProcessedSeconds, config.overlapSeconds);
-  Logger.log(`Lokiクエリ時間範囲 (UTCナノ秒): start=${startSeconds}000000000, end=${endSeconds}000000000`);
+  // 1. 同期カーソル (処理済みの最新タイムスタンプ) を読み込む
+  let { syncCursor, lastProcessedSeconds } = loadSyncPosition_(ss, config);
+  const saveCursor = cursor => saveSyncCursor_(config.jobId, cursor);
 
-  // 3. Lokiからログを取得
-  const lokiLogs = fetchLogsFromLoki_(config, startSeconds, endSeconds);
-  if (!lokiLogs) {
-    Logger.log('Lokiからのログ取得に失敗したか、ログがありませんでした。');
-    return;
+  // 2. Lokiクエリの時間範囲を決定 (end は実行開始時点の現在時刻から取り込み遅延分を引いた時刻に固定する)
+  const { startNanoTs, endNanoTs, skippedRange } = calculateLokiTimeRange_(syncCursor, lastProcessedSeconds, config);
+  Logger.log(`Lokiクエリ時間範囲 (UTCナノ秒): start=${startNanoTs}, end=${endNanoTs}`);
+  if (skippedRange) {
+    // 追いつき方が backfill の場合、飛ばした期間は後から取得する
+    enqueueBackfillRange_(config.jobId, skippedRange);
+    Logger.log(`取得を後回しにした期間をバックフィルに登録しました (UTCナノ秒): start=${skippedRange.startNanoTs}, end=${skippedRange.endNanoTs}`);
+    // 同じ期間を二重に登録しないよう、同期カーソルをバックフィル範囲の終わりまで進める
+    syncCursor = { nanoTs: skippedRange.endNanoTs, entryKeys: [] };
+    saveCursor(syncCursor);
   }
-  Logger.log(`Lokiから ${lokiLogs.length} 件のログを取得しました。`);
 
-  // 4. データ前処理とグループ化
-  const groupedLogs = preprocessAndGroupLogs_(lokiLogs);
-  if (Object.keys(groupedLogs).length === 0) {
-    Logger.log('処理対象となる有効なログが見つかりませんでした。');
-    return;
+  // 3. Lokiからページ単位でログを取得し、シートに書き込む (同期カーソルはページごとに保存される)
+  const completed = syncLokiRange_(ss, config, startNanoTs, endNanoTs, syncCursor, saveCursor, run);
+  if (!completed) {
+    Logger.log('処理を途中で打ち切りました。次回は同期カーソルの位置から再開します。');
+    return false;
   }
 
-  // 5. metric_name ごとにシート処理
-  for (const metricName in groupedLogs) {
-    if (metricName.startsWith(IGNORED_SHEET_PREFIX)) {
-        Logger.log(`シート名が '${IGNORED_SHEET_PREFIX}' で始まるためスキップ: ${metricName}`);
-        continue;
+  // 4. 残り時間でバックフィルを進める
+  return runBackfill_(ss, config, run);
+}
+
+/**
+ * 同期の再開位置を読み込む
+ * 同期カーソルがない場合 (初回実行または移行時) のみ、シートの最終行から最新処理タイムスタンプを特定する。
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {object} config - ジョブの設定オブジェクト
+ * @returns {{syncCursor: {nanoTs: BigInt, entryKeys: string[]}|null, lastProcessedSeconds: number|null}}
+ *     同期カーソルと、シートから特定した最新処理タイムスタンプ (unix秒、同期カーソルがある場合や特定できない場合はnull)
+ */
+function loadSyncPosition_(ss, config) {
+  const syncCursor = loadSyncCursor_(config.jobId);
+  if (syncCursor) {
+    Logger.log(`同期カーソル (UTCナノ秒): ${syncCursor.nanoTs}`);
+    return { syncCursor, lastProcessedSeconds: null };
+  }
+  const lastProcessedNanoTs = findLastProcessedTimestamp_(ss, config.timezone);
+  Logger.log(`同期カーソルがないため、シートから最新処理タイムスタンプを特定しました (UTCナノ秒): ${lastProcessedNanoTs}`);
+  return {
+    syncCursor: null,
+    lastProcessedSeconds: lastProcessedNanoTs !== null ? Math.floor(Number(lastProcessedNanoTs / NANOS_PER_SECOND)) : null,
+  };
+}
+
+/**
+ * 1回の実行に関する情報 (開始時刻・打ち切り期限・Sheets API のメタデータのキャッシュ) を作成する
+ * ジョブごとの集計 (stats) は runJobs_ でジョブ用の実行コンテキストに追加する。キャッシュは全てのジョブで共有する。
+ * @returns {{startedAtMs: number, deadlineMs: number, sheetsMetadata: Object<string, object>}} 実行コンテキスト
+ */
+function createRunContext_() {
+  const startedAtMs = Date.now();
+  return { startedAtMs, deadlineMs: startedAtMs + EXECUTION_TIME_BUDGET_MS, sheetsMetadata: {} };
+}
+
+/**
+ * start から end までのログを Loki からページ単位で取得し、ページごとにシートへ書き込む
+ * 各ページは前ページの最終タイムスタンプから取得し直し、同一ナノ秒の取得済みログはキーで除外する。
+ * 書き込みが終わるたびにカーソルを進めて保存し、end まで取り切れたらカーソルを end まで進める。
+ * シートへの書き込みに失敗したログは、カーソルを進める前に _deadletter シートに記録する (replayDeadLetters で処理し直せるように)。
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {object} config - 設定オブジェクト
+ * @param {BigInt} startNanoTs - 取得開始時刻 (UTCナノ秒、この時刻を含む)
+ * @param {BigInt} endNanoTs - 取得終了時刻 (UTCナノ秒、この時刻は含まない)
+ * @param {{nanoTs: BigInt, entryKeys: string[]}|null} syncCursor - 保存済みのカーソル (処理済みの位置)
+ * @param {function({nanoTs: BigInt, entryKeys: string[]})} saveCursor - 進めたカーソルを保存する関数
+ * @param {{deadlineMs: number, stats: object}} run - 実行コンテキスト (取得件数などを stats に集計する)
+ * @param {function(Spreadsheet, object, Array<object>, object, Array<object>): Array<object>} [writeRecords] - ページのログを書き込む関数
+ *     (writeLogsToSheets_ と同じ引数と戻り値)。ドライランではシートに書き込まずにログを集める関数を渡す
+ * @returns {boolean} end まで取り切れた場合はtrue
+ */
+function syncLokiRange_(ss, config, startNanoTs, endNanoTs, syncCursor, saveCursor, run, writeRecords = writeLogsToSheets_) {
+  if (config.queryType === 'metric') {
+    return syncLokiMetricRange_(ss, config, startNanoTs, endNanoTs, syncCursor, saveCursor, run, writeRecords);
+  }
+  let pageCursor = { nanoTs: startNanoTs, entryKeys: [] };
+  let pageCount = 0;
+  extendRunWindow_(run.stats, startNanoTs, endNanoTs);
+
+  while (pageCursor.nanoTs < endNanoTs) {
+    if (Date.now() >= run.deadlineMs) {
+      Logger.log(`Warning: 実行時間の上限に近づいたため、${pageCount} ページ取得した時点で取得を打ち切ります。`);
+      return false;
     }
-    try {
-      Logger.log(`処理開始: metric_name = ${metricName}`);
-      processMetricGroup_(ss, metricName, groupedLogs[metricName], config.timezoneOffset);
-      Logger.log(`処理完了: metric_name = ${metricName}`);
-    } catch (e) {
-      Logger.log(`Error: metric_name '${metricName}' の処理中にエラーが発生しました。詳細: ${e} \nStack: ${e.stack}`);
-      // エラーが発生しても他の metric_name の処理を続行
+
+    const entries = fetchLogsFromLoki_(config, pageCursor.nanoTs, endNanoTs, run);
+    if (!entries) {
+      Logger.log('Lokiからのログ取得に失敗しました。');
+      run.stats.errors.push(`Loki: ${pageCursor.nanoTs} (UTCナノ秒) からのログ取得に失敗しました。`);
+      return false;
+    }
+    pageCount++;
+    if (entries.length === 0) {
+      break;
+    }
+
+    // 前ページの境界、または同期カーソルの時刻で処理済みのログを除外
+    const newEntries = entries.filter(entry =>
+      !isEntryCoveredByCursor_(entry, pageCursor) && !isEntryCoveredByCursor_(entry, syncCursor));
+    Logger.log(`Lokiから ${entries.length} 件のログを取得しました (ページ ${pageCount}、新規 ${newEntries.length} 件)。`);
+
+    const deadLetters = [];
+    const records = parseLogEntries_(newEntries, config, deadLetters);
+    run.stats.fetched += newEntries.length;
+    recordFailedWrites_(ss, config, writeRecords(ss, config, records, run, deadLetters));
+
+    let nextCursor = getPageEndCursor_(pageCursor, entries);
+    const isLastPage = entries.length < config.queryLimit;
+    if (!isLastPage && nextCursor.nanoTs === pageCursor.nanoTs) {
+      // ページ全体が同一ナノ秒のログで埋まっており、これ以上進めない
+      Logger.log(`Warning: ${nextCursor.nanoTs} (UTCナノ秒) のログが LOKI_QUERY_LIMIT (${entries.length}) 件以上あります。取得しきれなかった同時刻のログはスキップされます。`);
+      nextCursor = { nanoTs: nextCursor.nanoTs + BigInt(1), entryKeys: [] };
+    }
+
+    syncCursor = mergeSyncCursor_(syncCursor, nextCursor);
+    saveCursor(syncCursor);
+
+    if (isLastPage) {
+      break;
     }
+    pageCursor = nextCursor;
   }
 
-  Logger.log('全ての処理が完了しました。');
+  // end より前のログは全て処理済みなので、次回は end から取得する (end 自体は含まれていない)
+  saveCursor(mergeSyncCursor_(syncCursor, { nanoTs: endNanoTs, entryKeys: [] }));
+  return true;
 }
 
-// --- 設定関連 ---
+/**
+ * メトリッククエリの start から end までの結果を METRIC_QUERY_MAX_POINTS ステップずつ取得し、ページごとにシートへ書き込む
+ * 評価時刻は METRIC_STEP_SECONDS の倍数にそろえ、1つの評価時刻の1つの系列を1行として書き込む。
+ * Overlap で取得し直した評価時刻の値は、ログと同じく索引 (_hash) で重複排除される。
+ * 各ページはその終わりの時刻より前の評価時刻を全て含むため、書き込みが終わるたびにカーソルをページの終わりまで進める。
+ * 引数と戻り値は syncLokiRange_ と同じ。
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {object} config - 設定オブジェクト
+ * @param {BigInt} startNanoTs - 取得開始時刻 (UTCナノ秒、この時刻を含む)
+ * @param {BigInt} endNanoTs - 取得終了時刻 (UTCナノ秒、この時刻は含まない)
+ * @param {{nanoTs: BigInt, entryKeys: string[]}|null} syncCursor - 保存済みのカーソル (処理済みの位置)
+ * @param {function({nanoTs: BigInt, entryKeys: string[]})} saveCursor - 進めたカーソルを保存する関数
+ * @param {{deadlineMs: number, stats: object}} run - 実行コンテキスト
+ * @param {function(Spreadsheet, object, Array<object>, object, Array<object>): Array<object>} writeRecords - ページの値を書き込む関数
+ * @returns {boolean} end まで取り切れた場合はtrue
+ */
+function syncLokiMetricRange_(ss, config, startNanoTs, endNanoTs, syncCursor, saveCursor, run, writeRecords) {
+  const stepNanos = BigInt(config.metricStepSeconds) * NANOS_PER_SECOND;
+  const pageNanos = stepNanos * BigInt(METRIC_QUERY_MAX_POINTS);
+  // 評価時刻をステップの倍数にそろえる (取得範囲の始まりが実行ごとに違っても、同じ時刻の値を取得し直せるように)
+  let pageStartNanoTs = (startNanoTs + stepNanos - BigInt(1)) / stepNanos * stepNanos;
+  let pageCount = 0;
+  extendRunWindow_(run.stats, startNanoTs, endNanoTs);
+
+  while (pageStartNanoTs < endNanoTs) {
+    if (Date.now() >= run.deadlineMs) {
+      Logger.log(`Warning: 実行時間の上限に近づいたため、${pageCount} ページ取得した時点で取得を打ち切ります。`);
+      return false;
+    }
+
+    const pageEndNanoTs = pageStartNanoTs + pageNanos < endNanoTs ? pageStartNanoTs + pageNanos : endNanoTs;
+    const samples = fetchLogsFromLoki_(config, pageStartNanoTs, pageEndNanoTs, run);
+    if (!samples) {
+      Logger.log('Lokiからのメトリクスの取得に失敗しました。');
+      run.stats.errors.push(`Loki: ${pageStartNanoTs} (UTCナノ秒) からのメトリクスの取得に失敗しました。`);
+      return false;
+    }
+    pageCount++;
+
+    // query_range は end の時刻も評価するため、ページの終わりの評価時刻は次のページで取得する
+    const newSamples = samples.filter(sample => sample.nanoTs < pageEndNanoTs);
+    Logger.log(`Lokiから ${newSamples.length} 件のメトリクスの値を取得しました (ページ ${pageCount})。`);
+
+    const deadLetters = [];
+    const records = parseLogEntries_(newSamples, config, deadLetters);
+    run.stats.fetched += newSamples.length;
+    recordFailedWrites_(ss, config, writeRecords(ss, config, records, run, deadLetters));
+
+    syncCursor = mergeSyncCursor_(syncCursor, { nanoTs: pageEndNanoTs, entryKeys: [] });
+    saveCursor(syncCursor);
+    pageStartNanoTs = pageEndNanoTs;
+  }
+
+  saveCursor(mergeSyncCursor_(syncCursor, { nanoTs: endNanoTs, entryKeys: [] }));
+  return true;
+}
 
 /**
- * スクリプトプロパティから設定を読み込む
- * @returns {object|null} 設定オブジェクト。必須項目が欠けている場合はnull
+ * ログがカーソルの時刻で処理済みかどうか判定する
+ * @param {{nanoTs: BigInt, line: string}} entry - Lokiから取得したログ
+ * @param {{nanoTs: BigInt, entryKeys: string[]}|null} cursor - カーソル
+ * @returns {boolean} 処理済みの場合はtrue
  */
-function getConfig_() {
-  const props = PropertiesService.getScriptProperties();
-  const config = {
-    spreadsheetId: props.getProperty(SCRIPT_PROPERTIES_KEYS.SPREADSHEET_ID),
-    lokiApiEndpoint: props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_API_ENDPOINT),
-    lokiUsername: props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_USERNAME),
-    lokiPassword: props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_PASSWORD),
-    lokiApiKey: props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_API_KEY),
-    baseQuery: props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_BASE_QUERY),
-    queryLimit: parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_QUERY_LIMIT) || '1000', 10),
-    overlapSeconds: parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_OVERLAP_SECONDS) || '0', 10),
-    timezoneOffset: props.getProperty(SCRIPT_PROPERTIES_KEYS.TIMEZONE_OFFSET) || '+00:00',
-  };
+function isEntryCoveredByCursor_(entry, cursor) {
+  if (!cursor || entry.nanoTs !== cursor.nanoTs || cursor.entryKeys.length === 0) {
+    return false;
+  }
+  return cursor.entryKeys.includes(LogHasher_.calculateEntryKey(entry));
+}
+
+/**
+ * 取得したページの末尾のログの位置を求める
+ * @param {{nanoTs: BigInt, entryKeys: string[]}} cursor - 現在のページの取得位置
+ * @param {Array<{nanoTs: BigInt, line: string}>} entries - 現在のページのログ (タイムスタンプ昇順、1件以上)
+ * @returns {{nanoTs: BigInt, entryKeys: string[]}} 末尾のタイムスタンプと、その時刻のログのキー
+ */
+function getPageEndCursor_(cursor, entries) {
+  const lastNanoTs = entries[entries.length - 1].nanoTs;
+  const entryKeys = entries
+    .filter(entry => entry.nanoTs === lastNanoTs)
+    .map(entry => LogHasher_.calculateEntryKey(entry));
+  if (lastNanoTs === cursor.nanoTs) {
+    return { nanoTs: lastNanoTs, entryKeys: Array.from(new Set(cursor.entryKeys.concat(entryKeys))) };
+  }
+  return { nanoTs: lastNanoTs, entryKeys };
+}
+
+/**
+ * 同期カーソルを、新たに処理した位置まで進める (巻き戻すことはない)
+ * @param {{nanoTs: BigInt, entryKeys: string[]}|null} syncCursor - 現在の同期カーソル
+ * @param {{nanoTs: BigInt, entryKeys: string[]}} processedCursor - 新たに処理した位置
+ * @returns {{nanoTs: BigInt, entryKeys: string[]}} 更新後の同期カーソル
+ */
+function mergeSyncCursor_(syncCursor, processedCursor) {
+  if (!syncCursor || processedCursor.nanoTs > syncCursor.nanoTs) {
+    return processedCursor;
+  }
+  if (processedCursor.nanoTs === syncCursor.nanoTs) {
+    return { nanoTs: syncCursor.nanoTs, entryKeys: Array.from(new Set(syncCursor.entryKeys.concat(processedCursor.entryKeys))) };
+  }
+  return syncCursor;
+}
+
+/**
+ * 登録済みのバックフィル範囲を、実行時間の上限まで BACKFILL_CHUNK_SECONDS ごとに取得する
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {object} config - 設定オブジェクト
+ * @param {{deadlineMs: number}} run - 実行コンテキスト
+ * @returns {boolean} 登録済みのバックフィルを全て取り切れた場合はtrue
+ */
+function runBackfill_(ss, config, run) {
+  const chunkNanos = BigInt(config.backfillChunkSeconds) * NANOS_PER_SECOND;
+  let queue = loadBackfillQueue_(config.jobId);
+
+  while (queue.length > 0) {
+    const range = queue[0];
+    const saveProgress = cursor => {
+      range.cursor = cursor;
+      saveBackfillQueue_(config.jobId, queue);
+    };
+
+    while (!range.cursor || range.cursor.nanoTs < range.endNanoTs) {
+      if (Date.now() >= run.deadlineMs) {
+        Logger.log('Warning: 実行時間の上限に近づいたため、バックフィルを中断します。次回の実行で続きから取得します。');
+        return false;
+      }
+      const chunkStart = range.cursor ? range.cursor.nanoTs : range.startNanoTs;
+      const chunkEnd = chunkStart + chunkNanos < range.endNanoTs ? chunkStart + chunkNanos : range.endNanoTs;
+      Logger.log(`バックフィル実行 (UTCナノ秒): start=${chunkStart}, end=${chunkEnd}`);
+
+      // チャンクを取り切ると、進捗は次のチャンクの先頭まで進む
+      if (!syncLokiRange_(ss, config, chunkStart, chunkEnd, range.cursor, saveProgress, run)) {
+        return false;
+      }
+    }
+
+    Logger.log(`バックフィルが完了しました (UTCナノ秒): start=${range.startNanoTs}, end=${range.endNanoTs}`);
+    queue = queue.slice(1);
+    saveBackfillQueue_(config.jobId, queue);
+  }
+  return true;
+}
+
+/**
+ * ログを metric_name ごとにグループ化し、対応するシートへ書き込む
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {object} config - 設定オブジェクト
+ * @param {Array<{entry: object, log: object}>} records - パース済みのログ
+ * @param {{stats: object, sheetsMetadata: Object<string, object>}} run - 実行コンテキスト。
+ *     stats (createRunStats_ 参照) にスキップ・重複・追記の件数とエラーを加算する
+ * @param {Array<{entry: object, reason: string}>} deadLetters - パースに失敗したログ。振り分けできなかったログを加えて _deadletter シートに記録する
+ * @returns {Array<{entry: object, reason: string}>} 書き込みに失敗したシートに振り分けたログと理由
+ */
+function writeLogsToSheets_(ss, config, records, run, deadLetters) {
+  const stats = run.stats;
+  // データ前処理とグループ化
+  let groupedLogs = preprocessAndGroupLogs_(records, config, deadLetters);
+  if (deadLetters.length > 0) {
+    stats.skipped += deadLetters.length;
+    appendDeadLetters_(ss, config, deadLetters);
+  }
+  if (Object.keys(groupedLogs).length === 0) {
+    Logger.log('処理対象となる有効なログが見つかりませんでした。');
+    return [];
+  }
+  if (config.sheetRotation === 'monthly') {
+    groupedLogs = splitGroupsByMonth_(groupedLogs, config.timezone);
+  }
+  const schemaRules = loadSchemaRules_(ss);
+  const sheetNames = Object.keys(groupedLogs);
+
+  // Sheets API が使える場合は、全てのシートへの書き込みを1回の batchUpdate で行う
+  let results = null;
+  if (config.sheetsWriteApi === 'auto' && typeof Sheets !== 'undefined') {
+    try {
+      results = writeGroupsWithSheetsApi_(ss, config, groupedLogs, sheetNames, schemaRules, run);
+    } catch (e) {
+      // batchUpdate は全体が成功するか何も反映されないかのどちらかなので、SpreadsheetApp でやり直せる
+      Logger.log(`Warning: Sheets API での書き込みに失敗したため、SpreadsheetApp で書き込みます。詳細: ${e}`);
+    }
+  }
+
+  // metric_name ごとにシート処理
+  if (!results) {
+    // SpreadsheetApp でシートを作成することがあるため、Sheets API のメタデータのキャッシュは使えなくなる
+    invalidateSheetsMetadata_(ss.getId(), run);
+    results = sheetNames.map(metricName => {
+      try {
+        Logger.log(`処理開始: metric_name = ${metricName}`);
+        const written = processMetricGroup_(ss, metricName, groupedLogs[metricName], config, resolveSheetSchema_(schemaRules, metricName, config));
+        Logger.log(`処理完了: metric_name = ${metricName}`);
+        return { sheetName: metricName, written, error: null };
+      } catch (e) {
+        Logger.log(`Error: metric_name '${metricName}' の処理中にエラーが発生しました。詳細: ${e} \nStack: ${e.stack}`);
+        // エラーが発生しても他の metric_name の処理を続行
+        return { sheetName: metricName, written: 0, error: e };
+      }
+    });
+  }
+  results.forEach(result => recordSheetResult_(stats, result, groupedLogs[result.sheetName].length));
+
+  // 書き込みに失敗したシートのログを、元のログと対応付けて返す
+  const entryByLog = new Map(records.map(record => [record.log, record.entry]));
+  const failedRecords = [];
+  results.filter(result => result.error).forEach(result => {
+    groupedLogs[result.sheetName].forEach(log => {
+      failedRecords.push({ entry: entryByLog.get(log), reason: `シート '${result.sheetName}' への書き込みに失敗: ${result.error}` });
+    });
+  });
+  return failedRecords;
+}
+
+// --- 設定関連 ---
+
+/**
+ * 実行するジョブごとの設定を読み込む
+ * スクリプトプロパティ SYNC_JOBS にジョブ定義の JSON 配列があればジョブごとに、なければスクリプトプロパティのみから1つの設定を作る。
+ * 設定が不正なジョブは除外する。
+ * @param {{getProperty: function(string): (string|null)}} [scriptProps] - 設定の読み込み元 (getConfig_ 参照)
+ * @param {Array<{jobId: string|null, message: string}>} [problems] - 設定の問題 (Warning, Error) を追加する配列
+ * @returns {Array<object>} ジョブごとの設定オブジェクトの配列
+ */
+function getJobConfigs_(scriptProps = PropertiesService.getScriptProperties(), problems = []) {
+  const report = (jobId, message) => {
+    Logger.log(message);
+    problems.push({ jobId, message });
+  };
+  const jobsJson = scriptProps.getProperty(SCRIPT_PROPERTIES_KEYS.SYNC_JOBS);
+  if (!jobsJson) {
+    const config = getConfig_(null, scriptProps, problems);
+    return config ? [config] : [];
+  }
+
+  let jobs;
+  try {
+    jobs = JSON.parse(jobsJson);
+    if (!Array.isArray(jobs)) {
+      throw new Error('SYNC_JOBS must be a JSON array');
+    }
+  } catch (e) {
+    report(null, `Error: SYNC_JOBS の形式が不正です。 ${e}`);
+    return [];
+  }
+
+  const configs = [];
+  const seenJobIds = new Set();
+  jobs.forEach((job, index) => {
+    if (!job || !ALLOWED_JOB_ID_REGEX.test(job.id || '') || seenJobIds.has(job.id)) {
+      report(null, `Error: SYNC_JOBS の ${index} 番目のジョブの id が不正または重複しているため、このジョブをスキップします。id: ${job && job.id}`);
+      return;
+    }
+    seenJobIds.add(job.id);
+    const config = getConfig_(job, scriptProps, problems);
+    if (!config) {
+      report(job.id, `Error: ジョブ '${job.id}' の設定が不十分なため、このジョブをスキップします。`);
+      return;
+    }
+    configs.push(config);
+  });
+  return configs;
+}
+
+/**
+ * スクリプトプロパティから設定を読み込む
+ * ジョブ定義が指定された場合、ジョブ定義にあるキーはスクリプトプロパティより優先する。
+ * SPREADSHEET_ID がない場合、スプレッドシートにバインドされたスクリプトではそのスプレッドシートを使う。
+ * @param {object|null} job - ジョブ定義 (id とスクリプトプロパティと同じキーを持つオブジェクト)。なければnull
+ * @param {{getProperty: function(string): (string|null)}} [scriptProps] - 設定の読み込み元 (サイドバーでは保存前の値を重ねたもの)
+ * @param {Array<{jobId: string|null, message: string}>} [problems] - 設定の問題 (Warning, Error) を追加する配列
+ * @returns {object|null} 設定オブジェクト。必須項目が欠けている場合はnull
+ */
+function getConfig_(job, scriptProps = PropertiesService.getScriptProperties(), problems = []) {
+  const report = message => {
+    Logger.log(message);
+    problems.push({ jobId: job ? job.id : null, message });
+  };
+  const props = {
+    getProperty: key => {
+      if (!job || job[key] === undefined || job[key] === null) {
+        return scriptProps.getProperty(key);
+      }
+      // LOG_PARSER_RULES などはジョブ定義内で JSON のまま書けるようにする
+      return typeof job[key] === 'object' ? JSON.stringify(job[key]) : String(job[key]);
+    },
+  };
+  const initialLookbackSeconds = parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.INITIAL_LOOKBACK_SECONDS) || String(DEFAULT_INITIAL_LOOKBACK_SECONDS), 10);
+  const config = {
+    jobId: job ? job.id : DEFAULT_JOB_ID,
+    spreadsheetId: props.getProperty(SCRIPT_PROPERTIES_KEYS.SPREADSHEET_ID) || getContainerSpreadsheetId_(),
+    lokiApiEndpoint: props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_API_ENDPOINT),
+    lokiUsername: props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_USERNAME),
+    lokiPassword: props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_PASSWORD),
+    lokiApiKey: props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_API_KEY),
+    baseQuery: props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_BASE_QUERY),
+    queryLimit: parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_QUERY_LIMIT) || '1000', 10),
+    overlapSeconds: parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_OVERLAP_SECONDS) || '0', 10),
+    ingestDelaySeconds: parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_INGEST_DELAY_SECONDS) || String(DEFAULT_LOKI_INGEST_DELAY_SECONDS), 10),
+    maxRetries: parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_MAX_RETRIES) || String(DEFAULT_LOKI_MAX_RETRIES), 10),
+    retryBaseSeconds: parseFloat(props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_RETRY_BASE_SECONDS) || String(DEFAULT_LOKI_RETRY_BASE_SECONDS)),
+    queryType: props.getProperty(SCRIPT_PROPERTIES_KEYS.LOKI_QUERY_TYPE) || 'logs',
+    metricStepSeconds: parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.METRIC_STEP_SECONDS) || String(DEFAULT_METRIC_STEP_SECONDS), 10),
+    metricSheetName: props.getProperty(SCRIPT_PROPERTIES_KEYS.METRIC_SHEET_NAME) || null,
+    timezone: props.getProperty(SCRIPT_PROPERTIES_KEYS.TIMEZONE_OFFSET) || '+00:00',
+    initialLookbackSeconds,
+    catchupPolicy: props.getProperty(SCRIPT_PROPERTIES_KEYS.CATCHUP_POLICY) || 'resume',
+    catchupMaxSeconds: parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.CATCHUP_MAX_SECONDS) || String(initialLookbackSeconds), 10),
+    backfillChunkSeconds: parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.BACKFILL_CHUNK_SECONDS) || String(DEFAULT_BACKFILL_CHUNK_SECONDS), 10),
+    includeStreamLabels: (props.getProperty(SCRIPT_PROPERTIES_KEYS.INCLUDE_STREAM_LABELS) || 'false').toLowerCase() === 'true',
+    streamLabelPrefix: props.getProperty(SCRIPT_PROPERTIES_KEYS.STREAM_LABEL_PREFIX) || 'label_',
+    streamLabelAllowlist: parseListProperty_(props.getProperty(SCRIPT_PROPERTIES_KEYS.STREAM_LABEL_ALLOWLIST)),
+    streamLabelDenylist: parseListProperty_(props.getProperty(SCRIPT_PROPERTIES_KEYS.STREAM_LABEL_DENYLIST)),
+    flattenDepth: parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.FLATTEN_DEPTH) || '0', 10),
+    flattenArrays: props.getProperty(SCRIPT_PROPERTIES_KEYS.FLATTEN_ARRAYS) || 'index',
+    writeDatetimeColumn: (props.getProperty(SCRIPT_PROPERTIES_KEYS.WRITE_DATETIME_COLUMN) || 'false').toLowerCase() === 'true',
+    routingKey: props.getProperty(SCRIPT_PROPERTIES_KEYS.ROUTING_KEY) || 'metric_name',
+    routingSanitize: (props.getProperty(SCRIPT_PROPERTIES_KEYS.ROUTING_SANITIZE) || 'false').toLowerCase() === 'true',
+    sheetRotation: props.getProperty(SCRIPT_PROPERTIES_KEYS.SHEET_ROTATION) || 'none',
+    retentionMaxRows: parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.RETENTION_MAX_ROWS) || '0', 10),
+    retentionMaxAgeDays: parseFloat(props.getProperty(SCRIPT_PROPERTIES_KEYS.RETENTION_MAX_AGE_DAYS) || '0'),
+    archiveSpreadsheetId: props.getProperty(SCRIPT_PROPERTIES_KEYS.ARCHIVE_SPREADSHEET_ID) || null,
+    sheetsWriteApi: props.getProperty(SCRIPT_PROPERTIES_KEYS.SHEETS_WRITE_API) || 'auto',
+    alertEmail: props.getProperty(SCRIPT_PROPERTIES_KEYS.ALERT_EMAIL) || null,
+    alertWebhookUrl: props.getProperty(SCRIPT_PROPERTIES_KEYS.ALERT_WEBHOOK_URL) || null,
+    alertSkipRate: parseFloat(props.getProperty(SCRIPT_PROPERTIES_KEYS.ALERT_SKIP_RATE) || '0'),
+    lockWaitSeconds: parseFloat(props.getProperty(SCRIPT_PROPERTIES_KEYS.LOCK_WAIT_SECONDS) || String(DEFAULT_LOCK_WAIT_SECONDS)),
+    syncIntervalMinutes: props.getProperty(SCRIPT_PROPERTIES_KEYS.SYNC_INTERVAL_MINUTES)
+        ? parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.SYNC_INTERVAL_MINUTES), 10) : null, // null: installTriggers の実行間隔
+    syncMinIntervalMinutes: parseInt(props.getProperty(SCRIPT_PROPERTIES_KEYS.SYNC_MIN_INTERVAL_MINUTES) || String(TRIGGER_INTERVALS_MINUTES[0]), 10),
+    defaultParser: null, // 下で LOG_FORMAT, LOG_REGEX から作成
+    parserRules: [], // 下で LOG_PARSER_RULES から作成
+  };
+
+  // 必須項目のチェック
+  if (!config.spreadsheetId || !config.lokiApiEndpoint || !config.baseQuery) {
+    report('Error: 必須の設定項目 (SPREADSHEET_ID, LOKI_API_ENDPOINT, LOKI_BASE_QUERY) が不足しています。' +
+        ' (SPREADSHEET_ID はスプレッドシートにバインドされたスクリプトでは省略できます)');
+    return null;
+  }
+
+  // タイムゾーンのチェック (固定オフセット +HH:MM または IANA タイムゾーン名)
+  if (!TimestampUtil_.isValidTimezone(config.timezone)) {
+      report(`Warning: TIMEZONE_OFFSET の値が不正です ('${config.timezone}')。デフォルトの '+00:00' を使用します。`);
+      config.timezone = '+00:00';
+  }
+
+  // Loki へのリクエストの再試行のチェック
+  if (!(config.maxRetries >= 0)) {
+      report(`Warning: LOKI_MAX_RETRIES の値が不正です ('${config.maxRetries}')。デフォルトの ${DEFAULT_LOKI_MAX_RETRIES} を使用します。`);
+      config.maxRetries = DEFAULT_LOKI_MAX_RETRIES;
+  }
+  if (!(config.retryBaseSeconds >= 0)) {
+      report(`Warning: LOKI_RETRY_BASE_SECONDS の値が不正です ('${config.retryBaseSeconds}')。デフォルトの ${DEFAULT_LOKI_RETRY_BASE_SECONDS} を使用します。`);
+      config.retryBaseSeconds = DEFAULT_LOKI_RETRY_BASE_SECONDS;
+  }
+
+  // クエリの種類のチェック
+  if (!LOKI_QUERY_TYPES.includes(config.queryType)) {
+      report(`Warning: LOKI_QUERY_TYPE の値が不正です ('${config.queryType}')。デフォルトの 'logs' を使用します。`);
+      config.queryType = 'logs';
+  }
+  if (!(config.metricStepSeconds > 0)) {
+      report(`Warning: METRIC_STEP_SECONDS の値が不正です ('${config.metricStepSeconds}')。デフォルトの ${DEFAULT_METRIC_STEP_SECONDS} を使用します。`);
+      config.metricStepSeconds = DEFAULT_METRIC_STEP_SECONDS;
+  }
+  if (config.metricSheetName && (!ALLOWED_METRIC_NAME_REGEX.test(config.metricSheetName) ||
+      config.metricSheetName.length > MAX_SHEET_NAME_LENGTH || config.metricSheetName.startsWith(IGNORED_SHEET_PREFIX))) {
+      report(`Error: METRIC_SHEET_NAME の値 ('${config.metricSheetName}') はシート名に使えません。`);
+      return null;
+  }
+
+  // 追いつき方のチェック
+  if (!CATCHUP_POLICIES.includes(config.catchupPolicy)) {
+      report(`Warning: CATCHUP_POLICY の値が不正です ('${config.catchupPolicy}')。デフォルトの 'resume' を使用します。`);
+      config.catchupPolicy = 'resume';
+  }
+  if (!(config.backfillChunkSeconds > 0)) {
+      report(`Warning: BACKFILL_CHUNK_SECONDS の値が不正です ('${config.backfillChunkSeconds}')。デフォルトの ${DEFAULT_BACKFILL_CHUNK_SECONDS} を使用します。`);
+      config.backfillChunkSeconds = DEFAULT_BACKFILL_CHUNK_SECONDS;
+  }
+
+  // ネストしたJSONの展開方法のチェック
+  if (!(config.flattenDepth >= 0)) {
+      report(`Warning: FLATTEN_DEPTH の値が不正です ('${config.flattenDepth}')。展開しません。`);
+      config.flattenDepth = 0;
+  }
+  if (!FLATTEN_ARRAY_MODES.includes(config.flattenArrays)) {
+      report(`Warning: FLATTEN_ARRAYS の値が不正です ('${config.flattenArrays}')。デフォルトの 'index' を使用します。`);
+      config.flattenArrays = 'index';
+  }
+
+  // シートの分割と保持ポリシーのチェック
+  if (!SHEET_ROTATION_MODES.includes(config.sheetRotation)) {
+      report(`Warning: SHEET_ROTATION の値が不正です ('${config.sheetRotation}')。分割しません。`);
+      config.sheetRotation = 'none';
+  }
+  if (!(config.retentionMaxRows >= 0)) {
+      report(`Warning: RETENTION_MAX_ROWS の値が不正です ('${config.retentionMaxRows}')。行数で削除しません。`);
+      config.retentionMaxRows = 0;
+  }
+  if (!(config.retentionMaxAgeDays >= 0)) {
+      report(`Warning: RETENTION_MAX_AGE_DAYS の値が不正です ('${config.retentionMaxAgeDays}')。経過日数で削除しません。`);
+      config.retentionMaxAgeDays = 0;
+  }
+  if (!SHEETS_WRITE_APIS.includes(config.sheetsWriteApi)) {
+      report(`Warning: SHEETS_WRITE_API の値が不正です ('${config.sheetsWriteApi}')。デフォルトの 'auto' を使用します。`);
+      config.sheetsWriteApi = 'auto';
+  }
+  if (!(config.alertSkipRate >= 0 && config.alertSkipRate <= 1)) {
+      report(`Warning: ALERT_SKIP_RATE の値が不正です ('${config.alertSkipRate}')。スキップ率では通知しません。`);
+      config.alertSkipRate = 0;
+  }
+  if (!(config.lockWaitSeconds >= 0)) {
+      report(`Warning: LOCK_WAIT_SECONDS の値が不正です ('${config.lockWaitSeconds}')。デフォルトの ${DEFAULT_LOCK_WAIT_SECONDS} を使用します。`);
+      config.lockWaitSeconds = DEFAULT_LOCK_WAIT_SECONDS;
+  }
+  if (config.syncIntervalMinutes !== null && !TRIGGER_INTERVALS_MINUTES.includes(config.syncIntervalMinutes)) {
+      report(`Warning: SYNC_INTERVAL_MINUTES の値が不正です ('${config.syncIntervalMinutes}')。installTriggers で指定した実行間隔を使用します。` +
+          `指定できる値: ${TRIGGER_INTERVALS_MINUTES.join(', ')}`);
+      config.syncIntervalMinutes = null;
+  }
+  if (!TRIGGER_INTERVALS_MINUTES.includes(config.syncMinIntervalMinutes)) {
+      report(`Warning: SYNC_MIN_INTERVAL_MINUTES の値が不正です ('${config.syncMinIntervalMinutes}')。デフォルトの ${TRIGGER_INTERVALS_MINUTES[0]} を使用します。` +
+          `指定できる値: ${TRIGGER_INTERVALS_MINUTES.join(', ')}`);
+      config.syncMinIntervalMinutes = TRIGGER_INTERVALS_MINUTES[0];
+  }
+  if (config.archiveSpreadsheetId && config.archiveSpreadsheetId === config.spreadsheetId) {
+      report('Error: ARCHIVE_SPREADSHEET_ID に SPREADSHEET_ID と同じスプレッドシートは指定できません。');
+      return null;
+  }
+
+  // ログ行のパーサー (誤った形式でパースするとログを取りこぼすため、設定が不正な場合は中断する)
+  try {
+    config.defaultParser = LogParser_.createParser(
+        props.getProperty(SCRIPT_PROPERTIES_KEYS.LOG_FORMAT) || 'json',
+        props.getProperty(SCRIPT_PROPERTIES_KEYS.LOG_REGEX));
+    const rulesJson = props.getProperty(SCRIPT_PROPERTIES_KEYS.LOG_PARSER_RULES);
+    config.parserRules = rulesJson ? LogParser_.createRules(JSON.parse(rulesJson)) : [];
+  } catch (e) {
+    report(`Error: ログ行のパーサーの設定 (LOG_FORMAT, LOG_REGEX, LOG_PARSER_RULES) が不正です。 ${e}`);
+    return null;
+  }
+
+  return config;
+}
+
+/**
+ * スクリプトがバインドされたスプレッドシートのIDを返す
+ * @returns {string|null} スプレッドシートID。スタンドアロンのスクリプトの場合はnull
+ */
+function getContainerSpreadsheetId_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  return ss ? ss.getId() : null;
+}
+
+/**
+ * カンマ区切りのスクリプトプロパティの値を配列にする
+ * @param {string|null} value - カンマ区切りの文字列
+ * @returns {string[]} 前後の空白を除いた空でない要素の配列
+ */
+function parseListProperty_(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(item => item !== '');
+}
+
+// --- 状態管理関連 ---
+
+/**
+ * ジョブの状態を保存するスクリプトプロパティのキーを返す
+ * @param {string} baseKey - STATE_PROPERTIES_KEYS のキー
+ * @param {string} jobId - ジョブID
+ * @returns {string} デフォルトのジョブは baseKey そのまま、それ以外は baseKey_ジョブID
+ */
+function getJobStateKey_(baseKey, jobId) {
+  return jobId === DEFAULT_JOB_ID ? baseKey : `${baseKey}_${jobId}`;
+}
+
+/**
+ * 保存済みの同期カーソル (処理済みの最新タイムスタンプ) を読み込む
+ * @param {string} jobId - ジョブID
+ * @returns {{nanoTs: BigInt, entryKeys: string[]}|null} 同期カーソル。保存されていない場合はnull
+ */
+function loadSyncCursor_(jobId) {
+  const json = PropertiesService.getScriptProperties().getProperty(getJobStateKey_(STATE_PROPERTIES_KEYS.SYNC_CURSOR, jobId));
+  if (!json) {
+    return null;
+  }
+  try {
+    const saved = JSON.parse(json);
+    return { nanoTs: BigInt(saved.nanoTs), entryKeys: saved.entryKeys || [] };
+  } catch (e) {
+    Logger.log(`Warning: 保存された同期カーソルを読み込めませんでした。無視します。Value: ${json}, Error: ${e}`);
+    return null;
+  }
+}
+
+/**
+ * 同期カーソルを保存する
+ * @param {string} jobId - ジョブID
+ * @param {{nanoTs: BigInt, entryKeys: string[]}} cursor - 同期カーソル
+ */
+function saveSyncCursor_(jobId, cursor) {
+  let entryKeys = cursor.entryKeys;
+  if (entryKeys.length > MAX_CURSOR_ENTRY_KEYS) {
+    Logger.log(`Warning: ${cursor.nanoTs} (UTCナノ秒) のログキーが ${entryKeys.length} 件あるため、${MAX_CURSOR_ENTRY_KEYS} 件のみ保存します。残りはシート上の重複排除で処理されます。`);
+    entryKeys = entryKeys.slice(-MAX_CURSOR_ENTRY_KEYS);
+  }
+  const json = JSON.stringify({ nanoTs: cursor.nanoTs.toString(), entryKeys });
+  PropertiesService.getScriptProperties().setProperty(getJobStateKey_(STATE_PROPERTIES_KEYS.SYNC_CURSOR, jobId), json);
+}
+
+/**
+ * 同期カーソルを削除する
+ * @param {string} jobId - ジョブID
+ */
+function deleteSyncCursor_(jobId) {
+  PropertiesService.getScriptProperties().deleteProperty(getJobStateKey_(STATE_PROPERTIES_KEYS.SYNC_CURSOR, jobId));
+}
+
+/**
+ * 未処理のバックフィル範囲を読み込む
+ * @param {string} jobId - ジョブID
+ * @returns {Array<{startNanoTs: BigInt, endNanoTs: BigInt, cursor: object|null}>} 登録順のバックフィル範囲
+ */
+function loadBackfillQueue_(jobId) {
+  const json = PropertiesService.getScriptProperties().getProperty(getJobStateKey_(STATE_PROPERTIES_KEYS.BACKFILL_QUEUE, jobId));
+  if (!json) {
+    return [];
+  }
+  try {
+    return JSON.parse(json).map(range => ({
+      startNanoTs: BigInt(range.startNanoTs),
+      endNanoTs: BigInt(range.endNanoTs),
+      cursor: range.cursor ? { nanoTs: BigInt(range.cursor.nanoTs), entryKeys: range.cursor.entryKeys || [] } : null,
+    }));
+  } catch (e) {
+    Logger.log(`Error: 保存されたバックフィルの進捗を読み込めませんでした。Value: ${json}, Error: ${e}`);
+    return [];
+  }
+}
+
+/**
+ * バックフィル範囲と進捗を保存する
+ * @param {string} jobId - ジョブID
+ * @param {Array<{startNanoTs: BigInt, endNanoTs: BigInt, cursor: object|null}>} queue - バックフィル範囲
+ */
+function saveBackfillQueue_(jobId, queue) {
+  const props = PropertiesService.getScriptProperties();
+  const key = getJobStateKey_(STATE_PROPERTIES_KEYS.BACKFILL_QUEUE, jobId);
+  if (queue.length === 0) {
+    props.deleteProperty(key);
+    return;
+  }
+  const json = JSON.stringify(queue.map(range => ({
+    startNanoTs: range.startNanoTs.toString(),
+    endNanoTs: range.endNanoTs.toString(),
+    cursor: range.cursor ? { nanoTs: range.cursor.nanoTs.toString(), entryKeys: range.cursor.entryKeys.slice(-MAX_CURSOR_ENTRY_KEYS) } : null,
+  })));
+  props.setProperty(key, json);
+}
+
+/**
+ * バックフィル範囲を末尾に登録する
+ * @param {string} jobId - ジョブID
+ * @param {{startNanoTs: BigInt, endNanoTs: BigInt, cursor: object|null}} range - バックフィル範囲
+ */
+function enqueueBackfillRange_(jobId, range) {
+  const queue = loadBackfillQueue_(jobId);
+  queue.push(range);
+  saveBackfillQueue_(jobId, queue);
+}
+
+/**
+ * ジョブの調整後のトリガーの実行間隔を読み込む
+ * @param {string} jobId - ジョブID
+ * @returns {{intervalMinutes: number, incompleteRuns: number, completedRuns: number}|null}
+ *     調整後の実行間隔 (分) と、連続して時間内に取り切れなかった・完了した実行回数。保存されていない場合や読み込めない場合はnull
+ */
+function loadJobSchedule_(jobId) {
+  const json = PropertiesService.getScriptProperties().getProperty(getJobStateKey_(STATE_PROPERTIES_KEYS.JOB_SCHEDULE, jobId));
+  if (!json) {
+    return null;
+  }
+  try {
+    const schedule = JSON.parse(json);
+    return typeof schedule.intervalMinutes === 'number' ? schedule : null;
+  } catch (e) {
+    Logger.log(`Warning: 保存された実行間隔を読み込めませんでした。無視します。Value: ${json}, Error: ${e}`);
+    return null;
+  }
+}
+
+/**
+ * ジョブの調整後のトリガーの実行間隔を保存する
+ * @param {string} jobId - ジョブID
+ * @param {{intervalMinutes: number, incompleteRuns: number, completedRuns: number}} schedule - 調整後の実行間隔と実行回数
+ */
+function saveJobSchedule_(jobId, schedule) {
+  PropertiesService.getScriptProperties().setProperty(getJobStateKey_(STATE_PROPERTIES_KEYS.JOB_SCHEDULE, jobId), JSON.stringify(schedule));
+}
+
+/**
+ * installTriggers で作成したトリガーの情報を読み込む
+ * @returns {{intervalMinutes: number, triggers: Object<string, number>}|null}
+ *     デフォルトの実行間隔 (分) と、トリガーのIDごとの実行間隔。installTriggers を実行していない場合や読み込めない場合はnull
+ */
+function loadTriggerState_() {
+  const json = PropertiesService.getScriptProperties().getProperty(STATE_PROPERTIES_KEYS.TRIGGERS);
+  if (!json) {
+    return null;
+  }
+  try {
+    const state = JSON.parse(json);
+    return typeof state.intervalMinutes === 'number' && state.triggers ? state : null;
+  } catch (e) {
+    Logger.log(`Warning: 保存されたトリガーの情報を読み込めませんでした。無視します。Value: ${json}, Error: ${e}`);
+    return null;
+  }
+}
+
+/**
+ * installTriggers で作成したトリガーの情報を保存する
+ * @param {{intervalMinutes: number, triggers: Object<string, number>}} state - デフォルトの実行間隔と、トリガーのIDごとの実行間隔
+ */
+function saveTriggerState_(state) {
+  PropertiesService.getScriptProperties().setProperty(STATE_PROPERTIES_KEYS.TRIGGERS, JSON.stringify(state));
+}
+
+/**
+ * ジョブの実行権 (リース) を取得する
+ * リースはスクリプトプロパティに保存し、読み書きはスクリプトロックで排他する。
+ * 他の実行がリースを持っている場合は、LOCK_WAIT_SECONDS の間 (ジョブの打ち切り期限まで) 解放されるのを待つ。
+ * 期限を過ぎたリースは、解放されずに終了した実行のものとみなして奪う。
+ * @param {object} config - ジョブの設定オブジェクト
+ * @param {{startedAtMs: number, deadlineMs: number}} run - ジョブ用の実行コンテキスト
+ * @returns {{owner: string, expiresAtMs: number}|null} 取得したリース。取得できなかった場合はnull
+ */
+function acquireJobLease_(config, run) {
+  const props = PropertiesService.getScriptProperties();
+  const key = getJobStateKey_(STATE_PROPERTIES_KEYS.JOB_LEASE, config.jobId);
+  const lease = { owner: Utilities.getUuid(), expiresAtMs: run.startedAtMs + JOB_LEASE_DURATION_MS };
+  const waitUntilMs = Math.min(Date.now() + config.lockWaitSeconds * 1000, run.deadlineMs);
+  const lock = LockService.getScriptLock();
+
+  for (;;) {
+    if (lock.tryLock(SCRIPT_LOCK_TIMEOUT_MS)) {
+      try {
+        const current = parseJobLease_(props.getProperty(key));
+        if (!current || current.expiresAtMs <= Date.now()) {
+          if (current) {
+            Logger.log(`Warning: ジョブ '${config.jobId}' のリースが期限切れのため、解放されずに終了した実行のものとみなして引き継ぎます。` +
+                `期限: ${new Date(current.expiresAtMs).toISOString()}`);
+          }
+          props.setProperty(key, JSON.stringify(lease));
+          return lease;
+        }
+      } finally {
+        lock.releaseLock();
+      }
+    }
+    const remainingMs = waitUntilMs - Date.now();
+    if (remainingMs <= 0) {
+      return null;
+    }
+    Utilities.sleep(Math.min(JOB_LEASE_POLL_INTERVAL_MS, remainingMs));
+  }
+}
+
+/**
+ * ジョブの実行権 (リース) を解放する
+ * 期限切れで他の実行に奪われている場合は、そのリースを消さない。
+ * @param {string} jobId - ジョブID
+ * @param {{owner: string}} lease - acquireJobLease_ で取得したリース
+ */
+function releaseJobLease_(jobId, lease) {
+  const props = PropertiesService.getScriptProperties();
+  const key = getJobStateKey_(STATE_PROPERTIES_KEYS.JOB_LEASE, jobId);
+  const lock = LockService.getScriptLock();
+  const locked = lock.tryLock(SCRIPT_LOCK_TIMEOUT_MS);
+  try {
+    // ロックを取得できなくても、自分のリースは期限切れを待たずに消す
+    const current = parseJobLease_(props.getProperty(key));
+    if (current && current.owner === lease.owner) {
+      props.deleteProperty(key);
+    } else {
+      Logger.log(`Warning: ジョブ '${jobId}' のリースは既に他の実行に引き継がれています。`);
+    }
+  } finally {
+    if (locked) {
+      lock.releaseLock();
+    }
+  }
+}
+
+/**
+ * 保存されたリースを読み込む
+ * @param {string|null} json - スクリプトプロパティの値
+ * @returns {{owner: string, expiresAtMs: number}|null} リース。ない場合や読み込めない場合はnull
+ */
+function parseJobLease_(json) {
+  if (!json) {
+    return null;
+  }
+  try {
+    const lease = JSON.parse(json);
+    return typeof lease.owner === 'string' && typeof lease.expiresAtMs === 'number' ? lease : null;
+  } catch (e) {
+    Logger.log(`Warning: 保存されたリースを読み込めませんでした。無視します。Value: ${json}, Error: ${e}`);
+    return null;
+  }
+}
+
+// --- トリガー関連 ---
+
+/**
+ * 同期のトリガー (main を実行する時間主導型トリガー) かどうかを返す
+ * @param {Trigger} trigger - プロジェクトのトリガー
+ * @returns {boolean} 同期のトリガーの場合はtrue
+ */
+function isSyncTrigger_(trigger) {
+  return trigger.getHandlerFunction() === TRIGGER_HANDLER_FUNCTION && trigger.getEventType() === ScriptApp.EventType.CLOCK;
+}
+
+/**
+ * ジョブの現在の実行間隔を返す
+ * SYNC_INTERVAL_MINUTES (なければデフォルトの実行間隔) を、adjustJobSchedules_ で短くしている場合はその実行間隔を返す。
+ * @param {object} config - ジョブの設定オブジェクト
+ * @param {number} defaultIntervalMinutes - SYNC_INTERVAL_MINUTES がない場合の実行間隔 (分)
+ * @returns {number} 実行間隔 (分)
+ */
+function getJobIntervalMinutes_(config, defaultIntervalMinutes) {
+  const configuredMinutes = config.syncIntervalMinutes || defaultIntervalMinutes;
+  const schedule = loadJobSchedule_(config.jobId);
+  // 設定を変えた後は、設定の範囲内の調整だけを引き継ぐ
+  if (schedule && schedule.intervalMinutes < configuredMinutes &&
+      schedule.intervalMinutes >= Math.min(config.syncMinIntervalMinutes, configuredMinutes)) {
+    return schedule.intervalMinutes;
+  }
+  return configuredMinutes;
+}
+
+/**
+ * トリガーの実行間隔で実行するジョブを選ぶ
+ * 実行間隔に対応するトリガーがまだないジョブ (設定を変えた直後など) は、どのトリガーからも実行する。
+ * @param {Array<object>} configs - ジョブごとの設定オブジェクト
+ * @param {{intervalMinutes: number, triggers: Object<string, number>}} triggerState - installTriggers で作成したトリガーの情報
+ * @param {number} triggerIntervalMinutes - 実行したトリガーの実行間隔 (分)
+ * @returns {Array<object>} 実行するジョブの設定オブジェクト
+ */
+function selectScheduledJobs_(configs, triggerState, triggerIntervalMinutes) {
+  const triggerIntervals = Object.keys(triggerState.triggers).map(uid => triggerState.triggers[uid]);
+  return configs.filter(config => {
+    const intervalMinutes = getJobIntervalMinutes_(config, triggerState.intervalMinutes);
+    return intervalMinutes === triggerIntervalMinutes || !triggerIntervals.includes(intervalMinutes);
+  });
+}
+
+/**
+ * トリガーから実行したジョブの結果に応じて、ジョブの実行間隔を調整する
+ * 割り当てた実行時間を使い切って打ち切る実行が SCHEDULE_ADJUST_RUNS 回続いた場合は、実行間隔を1段階短くする
+ * (SYNC_MIN_INTERVAL_MINUTES まで)。取り切れなかった分を早く取得するため。
+ * 短くした後、完了する実行が SCHEDULE_ADJUST_RUNS 回続いた場合は、実行間隔を1段階戻す (SYNC_INTERVAL_MINUTES まで)。
+ * スキップ・失敗した実行や、Loki のエラーなどで打ち切った実行は数えない。
+ * @param {Array<object>} configs - 実行したジョブの設定オブジェクト
+ * @param {Array<{jobId: string, status: string, timedOut?: boolean}>} results - ジョブごとの結果 (runJobs_ 参照、configs と同じ順)
+ * @param {number} defaultIntervalMinutes - SYNC_INTERVAL_MINUTES がない場合の実行間隔 (分)
+ */
+function adjustJobSchedules_(configs, results, defaultIntervalMinutes) {
+  configs.forEach((config, index) => {
+    const result = results[index];
+    const timedOut = result.status === 'incomplete' && result.timedOut;
+    if (!timedOut && result.status !== 'completed') {
+      return;
+    }
+    const configuredMinutes = config.syncIntervalMinutes || defaultIntervalMinutes;
+    const currentMinutes = getJobIntervalMinutes_(config, defaultIntervalMinutes);
+    const saved = loadJobSchedule_(config.jobId);
+    const schedule = saved && saved.intervalMinutes === currentMinutes
+        ? saved
+        : { intervalMinutes: currentMinutes, incompleteRuns: 0, completedRuns: 0 };
+    schedule.incompleteRuns = timedOut ? schedule.incompleteRuns + 1 : 0;
+    schedule.completedRuns = timedOut ? 0 : schedule.completedRuns + 1;
+
+    let nextMinutes = currentMinutes;
+    if (schedule.incompleteRuns >= SCHEDULE_ADJUST_RUNS) {
+      nextMinutes = stepTriggerInterval_(currentMinutes, -1, Math.min(config.syncMinIntervalMinutes, configuredMinutes));
+      if (nextMinutes === currentMinutes) {
+        Logger.log(`Warning: ジョブ '${config.jobId}' は実行間隔が最短 (${currentMinutes} 分) でも、時間内に取り切れない実行が続いています。` +
+            'LOKI_BASE_QUERY で取得するログを絞り込むか、ジョブを分けてください。');
+      }
+    } else if (schedule.completedRuns >= SCHEDULE_ADJUST_RUNS && currentMinutes < configuredMinutes) {
+      nextMinutes = stepTriggerInterval_(currentMinutes, 1, configuredMinutes);
+    }
+    if (nextMinutes !== currentMinutes) {
+      Logger.log(`ジョブ '${config.jobId}' の実行間隔を ${currentMinutes} 分から ${nextMinutes} 分に変更します。` +
+          `(${timedOut ? '時間内に取り切れない' : '完了する'}実行が ${SCHEDULE_ADJUST_RUNS} 回続いたため)`);
+      Object.assign(schedule, { intervalMinutes: nextMinutes, incompleteRuns: 0, completedRuns: 0 });
+    }
+    saveJobSchedule_(config.jobId, schedule);
+  });
+}
+
+/**
+ * トリガーの実行間隔を TRIGGER_INTERVALS_MINUTES の1段階短く (または長く) する
+ * @param {number} intervalMinutes - 現在の実行間隔 (分)
+ * @param {number} direction - -1: 短くする、1: 長くする
+ * @param {number} limitMinutes - 短くする場合は最短、長くする場合は最長の実行間隔 (分)
+ * @returns {number} 変更後の実行間隔 (分)。これ以上変更できない場合は現在の実行間隔
+ */
+function stepTriggerInterval_(intervalMinutes, direction, limitMinutes) {
+  const candidates = TRIGGER_INTERVALS_MINUTES.filter(minutes => direction < 0
+      ? minutes < intervalMinutes && minutes >= limitMinutes
+      : minutes > intervalMinutes && minutes <= limitMinutes);
+  if (candidates.length === 0) {
+    return intervalMinutes;
+  }
+  return direction < 0 ? candidates[candidates.length - 1] : candidates[0];
+}
+
+/**
+ * ジョブの実行間隔と作成済みのトリガーの実行間隔が合わない場合 (実行間隔を調整した場合や設定を変えた場合) に、トリガーを作り直す
+ * トリガーの更新に失敗しても、同期処理の結果には影響させない。
+ * @param {Array<object>} configs - 全てのジョブの設定オブジェクト
+ * @param {{intervalMinutes: number, triggers: Object<string, number>}} triggerState - installTriggers で作成したトリガーの情報
+ */
+function syncTriggersIfNeeded_(configs, triggerState) {
+  const required = new Set(configs.map(config => getJobIntervalMinutes_(config, triggerState.intervalMinutes)));
+  const installed = Object.keys(triggerState.triggers).map(uid => triggerState.triggers[uid]);
+  if (installed.length === required.size && installed.every(minutes => required.has(minutes))) {
+    return;
+  }
+  try {
+    syncTriggers_(configs, triggerState.intervalMinutes);
+  } catch (e) {
+    Logger.log(`Warning: トリガーを更新できませんでした。詳細: ${e}`);
+  }
+}
+
+/**
+ * ジョブの実行間隔ごとに、main を実行するトリガーが1つずつある状態にする
+ * 作成済みのトリガー (STATE_TRIGGERS に記録したもの) は残し、足りないトリガーを作成する。
+ * 同期のトリガーのうち、必要な実行間隔のものでないトリガー・同じ実行間隔の2つ目以降のトリガー・記録にないトリガーは削除する。
+ * @param {Array<object>} configs - 全てのジョブの設定オブジェクト
+ * @param {number} defaultIntervalMinutes - SYNC_INTERVAL_MINUTES がない場合の実行間隔 (分)
+ * @returns {{triggers: Array<{intervalMinutes: number, triggerId: string|null, jobIds: string[], created: boolean}>, deleted: number}|null}
+ *     実行間隔ごとのトリガー (作成に失敗した場合は triggerId がnull) と、削除したトリガーの数。他の実行がトリガーを更新中の場合はnull
+ */
+function syncTriggers_(configs, defaultIntervalMinutes) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(SCRIPT_LOCK_TIMEOUT_MS)) {
+    Logger.log('Warning: 他の実行がトリガーを更新中のため、トリガーを更新しませんでした。');
+    return null;
+  }
+  try {
+    const triggerState = loadTriggerState_() || { intervalMinutes: defaultIntervalMinutes, triggers: {} };
+    const jobIdsByInterval = {};
+    configs.forEach(config => {
+      const intervalMinutes = getJobIntervalMinutes_(config, defaultIntervalMinutes);
+      (jobIdsByInterval[intervalMinutes] = jobIdsByInterval[intervalMinutes] || []).push(config.jobId);
+    });
+
+    const keptTriggerIds = {};
+    let deleted = 0;
+    ScriptApp.getProjectTriggers().filter(isSyncTrigger_).forEach(trigger => {
+      const uid = trigger.getUniqueId();
+      const intervalMinutes = triggerState.triggers[uid];
+      if (intervalMinutes && jobIdsByInterval[intervalMinutes] && !keptTriggerIds[intervalMinutes]) {
+        keptTriggerIds[intervalMinutes] = uid;
+        return;
+      }
+      ScriptApp.deleteTrigger(trigger);
+      deleted++;
+      const reason = !intervalMinutes ? 'installTriggers で作成したものではない' : jobIdsByInterval[intervalMinutes] ? '同じ実行間隔のトリガーと重複している' : '実行するジョブがない';
+      Logger.log(`${reason}ため、トリガーを削除しました: ${uid}`);
+    });
+
+    const triggers = {};
+    const results = Object.keys(jobIdsByInterval).map(Number).sort((a, b) => a - b).map(intervalMinutes => {
+      let triggerId = keptTriggerIds[intervalMinutes] || null;
+      const created = !triggerId;
+      if (created) {
+        try {
+          triggerId = createSyncTrigger_(intervalMinutes).getUniqueId();
+        } catch (e) {
+          // このトリガーのジョブは、他のトリガーから実行される (selectScheduledJobs_ 参照)
+          Logger.log(`Error: ${intervalMinutes} 分間隔のトリガーを作成できませんでした。詳細: ${e}`);
+        }
+      }
+      if (triggerId) {
+        triggers[triggerId] = intervalMinutes;
+      }
+      return { intervalMinutes, triggerId, jobIds: jobIdsByInterval[intervalMinutes], created };
+    });
+    saveTriggerState_({ intervalMinutes: defaultIntervalMinutes, triggers });
+    return { triggers: results, deleted };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * main を指定した間隔で実行する時間主導型トリガーを作成する
+ * @param {number} intervalMinutes - 実行間隔 (分、TRIGGER_INTERVALS_MINUTES のいずれか)
+ * @returns {Trigger} 作成したトリガー
+ */
+function createSyncTrigger_(intervalMinutes) {
+  const builder = ScriptApp.newTrigger(TRIGGER_HANDLER_FUNCTION).timeBased();
+  if (intervalMinutes < 60) {
+    builder.everyMinutes(intervalMinutes);
+  } else if (intervalMinutes < 24 * 60) {
+    builder.everyHours(intervalMinutes / 60);
+  } else {
+    builder.everyDays(intervalMinutes / (24 * 60));
+  }
+  return builder.create();
+}
+
+// --- 実行結果の記録・通知関連 ---
+
+/**
+ * ジョブの実行結果の集計を作成する
+ * @returns {{startedAtMs: number, windowStartNanoTs: BigInt|null, windowEndNanoTs: BigInt|null, fetched: number, skipped: number,
+ *     metrics: Object<string, {logs: number, duplicates: number, written: number}>, errors: string[]}} 集計
+ */
+function createRunStats_() {
+  return {
+    startedAtMs: Date.now(),
+    windowStartNanoTs: null, // Loki から取得した期間 (バックフィルを含む)
+    windowEndNanoTs: null,
+    fetched: 0, // Loki から取得した新規のログ件数
+    skipped: 0, // パースや振り分けに失敗して書き込まなかったログ件数
+    metrics: {}, // シートごとの件数
+    errors: [],
+  };
+}
+
+/**
+ * 集計の取得期間に Loki のクエリ範囲を含める
+ * @param {object} stats - 実行の集計
+ * @param {BigInt} startNanoTs - クエリ開始時刻 (UTCナノ秒)
+ * @param {BigInt} endNanoTs - クエリ終了時刻 (UTCナノ秒)
+ */
+function extendRunWindow_(stats, startNanoTs, endNanoTs) {
+  if (stats.windowStartNanoTs === null || startNanoTs < stats.windowStartNanoTs) {
+    stats.windowStartNanoTs = startNanoTs;
+  }
+  if (stats.windowEndNanoTs === null || endNanoTs > stats.windowEndNanoTs) {
+    stats.windowEndNanoTs = endNanoTs;
+  }
+}
+
+/**
+ * シートへの書き込み結果を集計に加える
+ * @param {object} stats - 実行の集計
+ * @param {{sheetName: string, written: number, error: Error|null}} result - シートごとの結果
+ * @param {number} logCount - シートに振り分けたログ件数
+ */
+function recordSheetResult_(stats, result, logCount) {
+  const metric = stats.metrics[result.sheetName] || (stats.metrics[result.sheetName] = { logs: 0, duplicates: 0, written: 0 });
+  metric.logs += logCount;
+  if (result.error) {
+    stats.errors.push(`${result.sheetName}: ${result.error}`);
+    return;
+  }
+  metric.duplicates += logCount - result.written;
+  metric.written += result.written;
+}
+
+/**
+ * ジョブの実行結果を _runs シートに記録し、失敗した場合やスキップ率が ALERT_SKIP_RATE 以上の場合は通知する
+ * 記録や通知に失敗しても、同期処理の結果には影響させない。
+ * @param {object} config - ジョブの設定オブジェクト
+ * @param {{stats: object}} jobRun - ジョブ用の実行コンテキスト
+ * @param {{jobId: string, status: string}} result - ジョブの結果
+ * @param {string} functionName - 処理名 (main, backfill など)
+ */
+function reportJobRun_(config, jobRun, result, functionName) {
+  const stats = jobRun.stats;
+  const metricNames = Object.keys(stats.metrics);
+  const sum = key => metricNames.reduce((total, name) => total + stats.metrics[name][key], 0);
+  const toIso = nanoTs => nanoTs === null ? '' : TimestampUtil_.formatToIsoString(nanoTs, config.timezone);
+  const report = {
+    startedAt: toIso(BigInt(stats.startedAtMs) * BigInt(1000000)),
+    functionName,
+    jobId: config.jobId,
+    status: result.status,
+    windowStart: toIso(stats.windowStartNanoTs),
+    windowEnd: toIso(stats.windowEndNanoTs),
+    fetched: stats.fetched,
+    skipped: stats.skipped,
+    duplicates: sum('duplicates'),
+    written: sum('written'),
+    durationMs: Date.now() - stats.startedAtMs,
+    errors: stats.errors,
+    metrics: stats.metrics,
+  };
+
+  try {
+    appendRunReport_(config, report);
+  } catch (e) {
+    Logger.log(`Warning: 実行結果を ${RUNS_SHEET_NAME} シートに記録できませんでした。詳細: ${e}`);
+  }
+
+  const reasons = [];
+  if (result.status === 'failed' || stats.errors.length > 0) {
+    reasons.push(`エラーが ${Math.max(1, stats.errors.length)} 件発生しました`);
+  }
+  if (config.alertSkipRate > 0 && stats.fetched > 0 && stats.skipped / stats.fetched >= config.alertSkipRate) {
+    reasons.push(`スキップ率が ${Math.round(stats.skipped / stats.fetched * 100)}% (${stats.skipped}/${stats.fetched} 件) でした`);
+  }
+  if (reasons.length > 0) {
+    sendRunAlert_(config, report, reasons);
+  }
+}
+
+/**
+ * 実行結果を _runs シートに1行追記する (シートがなければ作成する)
+ * @param {object} config - ジョブの設定オブジェクト
+ * @param {object} report - reportJobRun_ で作成した実行結果
+ */
+function appendRunReport_(config, report) {
+  const ss = SpreadsheetApp.openById(config.spreadsheetId);
+  if (!ss) {
+    return;
+  }
+  let sheet = ss.getSheetByName(RUNS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(RUNS_SHEET_NAME);
+    sheet.appendRow(RUNS_SHEET_HEADER);
+    sheet.setFrozenRows(1);
+  }
+  const truncate = text => text.length > RUNS_SHEET_MAX_CELL_LENGTH ? text.slice(0, RUNS_SHEET_MAX_CELL_LENGTH) + '...' : text;
+  sheet.appendRow([
+    report.startedAt, report.functionName, report.jobId, report.status, report.windowStart, report.windowEnd,
+    report.fetched, report.skipped, report.duplicates, report.written, report.durationMs,
+    truncate(report.errors.join('\n')), truncate(JSON.stringify(report.metrics)),
+  ]);
+
+  const excessRows = sheet.getLastRow() - 1 - RUNS_SHEET_MAX_ROWS;
+  if (excessRows > 0) {
+    sheet.deleteRows(2, excessRows);
+  }
+}
+
+/**
+ * 実行結果をメール (ALERT_EMAIL) と Webhook (ALERT_WEBHOOK_URL) で通知する
+ * Webhook には Slack や Google Chat の Incoming Webhook で表示できるよう、{"text": "..."} の JSON を POST する。
+ * @param {object} config - ジョブの設定オブジェクト
+ * @param {object} report - reportJobRun_ で作成した実行結果
+ * @param {string[]} reasons - 通知する理由
+ */
+function sendRunAlert_(config, report, reasons) {
+  if (!config.alertEmail && !config.alertWebhookUrl) {
+    return;
+  }
+  const subject = `[loki-googlesheets-sync] ジョブ '${report.jobId}' の ${report.functionName} で問題が発生しました (${report.status})`;
+  const body = [
+    `${reasons.join('。')}。`,
+    '',
+    `開始日時: ${report.startedAt}`,
+    `取得期間: ${report.windowStart} - ${report.windowEnd}`,
+    `件数: 取得 ${report.fetched}, スキップ ${report.skipped}, 重複 ${report.duplicates}, 追記 ${report.written}`,
+    `処理時間: ${report.durationMs} ミリ秒`,
+    `スプレッドシート: https://docs.google.com/spreadsheets/d/${config.spreadsheetId}`,
+  ].concat(report.errors.length > 0 ? ['', 'エラー:'].concat(report.errors.slice(0, 20)) : []).join('\n');
+
+  if (config.alertEmail) {
+    try {
+      MailApp.sendEmail(config.alertEmail, subject, body);
+      Logger.log(`通知メールを送信しました: ${config.alertEmail}`);
+    } catch (e) {
+      Logger.log(`Warning: 通知メールの送信に失敗しました。詳細: ${e}`);
+    }
+  }
+  if (config.alertWebhookUrl) {
+    try {
+      const response = UrlFetchApp.fetch(config.alertWebhookUrl, {
+        method: 'post',
+        contentType: 'application/json',
+        payload: JSON.stringify({ text: `${subject}\n${body}` }),
+        muteHttpExceptions: true,
+      });
+      const responseCode = response.getResponseCode();
+      if (responseCode >= 300) {
+        Logger.log(`Warning: Webhook への通知に失敗しました。Status Code: ${responseCode}, Response: ${response.getContentText()}`);
+      } else {
+        Logger.log('Webhook に通知しました。');
+      }
+    } catch (e) {
+      Logger.log(`Warning: Webhook への通知に失敗しました。詳細: ${e}`);
+    }
+  }
+}
+
+// --- デッドレター関連 ---
+
+/**
+ * パースや振り分けに失敗したログを _deadletter シートに追記する (シートがなければ作成する)
+ * 元のログ行を replayDeadLetters で処理し直せるよう、値は書式なしテキストとして書き込む。
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {object} config - 設定オブジェクト
+ * @param {Array<{entry: {nanoTs: BigInt, line: string, labels: object}, reason: string}>} deadLetters - 失敗したログと理由
+ */
+function appendDeadLetters_(ss, config, deadLetters) {
+  let sheet = ss.getSheetByName(DEAD_LETTER_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(DEAD_LETTER_SHEET_NAME);
+    sheet.appendRow(DEAD_LETTER_SHEET_HEADER);
+    sheet.setFrozenRows(1);
+  }
+  const recordedAt = TimestampUtil_.formatToIsoString(BigInt(Date.now()) * BigInt(1000000), config.timezone);
+  const rows = deadLetters.map(({ entry, reason }) => {
+    let line = entry.line;
+    if (line.length > DEAD_LETTER_MAX_LINE_LENGTH) {
+      line = line.slice(0, DEAD_LETTER_MAX_LINE_LENGTH);
+      reason += ' (ログ行が長すぎるため切り詰めました)';
+    }
+    return [TimestampUtil_.formatToIsoString(entry.nanoTs, config.timezone), config.jobId, reason,
+      JSON.stringify(entry.labels || {}), line, recordedAt];
+  });
+  const range = sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, DEAD_LETTER_SHEET_HEADER.length);
+  range.setNumberFormat(PLAIN_TEXT_NUMBER_FORMAT);
+  range.setValues(rows);
+  Logger.log(`シート '${DEAD_LETTER_SHEET_NAME}' に ${rows.length} 件のログを記録しました。`);
+}
+
+/**
+ * シートへの書き込みに失敗したログを _deadletter シートに記録する
+ * 同期カーソルはそのログの先に進むため、記録しておかないとログが失われる。
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {object} config - 設定オブジェクト
+ * @param {Array<{entry: object, reason: string}>} failedRecords - 書き込みに失敗したログと理由 (writeLogsToSheets_ の戻り値)
+ */
+function recordFailedWrites_(ss, config, failedRecords) {
+  if (failedRecords.length > 0) {
+    Logger.log(`Warning: シートへの書き込みに失敗した ${failedRecords.length} 件のログを '${DEAD_LETTER_SHEET_NAME}' シートに記録します。`);
+    appendDeadLetters_(ss, config, failedRecords);
+  }
+}
+
+/**
+ * _deadletter シートに記録したジョブのログを、現在の設定でパース・振り分けしてシートに書き込む
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {object} config - ジョブの設定オブジェクト
+ * @param {{stats: object}} run - ジョブ用の実行コンテキスト
+ * @returns {boolean} ジョブの行を全て処理できた場合はtrue (書き込みに失敗した行や、上限を超えて残った行がある場合はfalse)
+ */
+function replayDeadLettersForJob_(ss, config, run) {
+  const sheet = ss.getSheetByName(DEAD_LETTER_SHEET_NAME);
+  const lastRow = sheet ? sheet.getLastRow() : 0;
+  if (lastRow < 2) {
+    Logger.log(`シート '${DEAD_LETTER_SHEET_NAME}' に処理し直すログはありません。`);
+    return true;
+  }
+  const header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const [tsCol, jobCol, labelsCol, lineCol] = [TIMESTAMP_COLUMN_NAME, 'job_id', 'labels', 'line'].map(name => header.indexOf(name));
+  if ([tsCol, jobCol, labelsCol, lineCol].includes(-1)) {
+    throw new Error(`シート '${DEAD_LETTER_SHEET_NAME}' のヘッダーが不正です。Header: ${header.join(', ')}`);
+  }
+
+  const entries = [];
+  const rowNumbers = [];
+  let remaining = 0;
+  sheet.getRange(2, 1, lastRow - 1, header.length).getValues().forEach((row, index) => {
+    if (String(row[jobCol]) !== config.jobId) {
+      return;
+    }
+    if (entries.length >= DEAD_LETTER_REPLAY_MAX_ROWS) {
+      remaining++;
+      return;
+    }
+    const nanoTs = TimestampUtil_.parseIsoString(String(row[tsCol]), config.timezone);
+    let labels = null;
+    try {
+      labels = JSON.parse(String(row[labelsCol]) || '{}');
+    } catch (e) {
+      // 下でまとめてログに出す
+    }
+    if (nanoTs === null || !labels || typeof labels !== 'object') {
+      Logger.log(`Warning: シート '${DEAD_LETTER_SHEET_NAME}' の ${index + 2} 行目はタイムスタンプまたはラベルが不正なため、処理し直せません。`);
+      return;
+    }
+    entries.push({ nanoTs, line: String(row[lineCol]), labels });
+    rowNumbers.push(index + 2);
+  });
+  if (entries.length === 0) {
+    Logger.log(`シート '${DEAD_LETTER_SHEET_NAME}' にジョブ '${config.jobId}' の処理し直せるログはありません。`);
+    return true;
+  }
+
+  // シートの行は時系列順とは限らない (失敗したログは末尾に記録し直され、複数回の実行の行も混ざる)。
+  // 重複チェックは古い->新しい順に並んだログを前提とするため、行番号と一緒に並べ替える
+  const order = entries.map((entry, index) => index).sort((a, b) => {
+    if (entries[a].nanoTs < entries[b].nanoTs) return -1;
+    if (entries[a].nanoTs > entries[b].nanoTs) return 1;
+    return a - b;
+  });
+  const sortedEntries = order.map(index => entries[index]);
+  const sortedRowNumbers = order.map(index => rowNumbers[index]);
+
+  Logger.log(`シート '${DEAD_LETTER_SHEET_NAME}' の ${sortedEntries.length} 件のログを処理し直します。`);
+  extendRunWindow_(run.stats, sortedEntries[0].nanoTs, sortedEntries[sortedEntries.length - 1].nanoTs + BigInt(1));
+  run.stats.fetched += sortedEntries.length;
+  const deadLetters = [];
+  const failedRecords = writeLogsToSheets_(ss, config, parseLogEntries_(sortedEntries, config, deadLetters), run, deadLetters);
+
+  // 書き込みに失敗したシートのログの行は削除せずに残す (次の replayDeadLetters で処理し直す)
+  // 再び失敗したログはシートの末尾に記録し直されるため、処理した行は行番号順に並べれば元の位置のまま削除できる
+  const failedEntries = new Set(failedRecords.map(record => record.entry));
+  const processedRowNumbers = sortedRowNumbers
+      .filter((rowNumber, index) => !failedEntries.has(sortedEntries[index]))
+      .sort((a, b) => a - b);
+
+  // 処理した行を下から (連続する行はまとめて) 削除する
+  for (let end = processedRowNumbers.length - 1; end >= 0;) {
+    let start = end;
+    while (start > 0 && processedRowNumbers[start - 1] === processedRowNumbers[start] - 1) {
+      start--;
+    }
+    sheet.deleteRows(processedRowNumbers[start], end - start + 1);
+    end = start - 1;
+  }
+  Logger.log(`シート '${DEAD_LETTER_SHEET_NAME}' から ${processedRowNumbers.length} 行を削除しました ` +
+      `(再び失敗したログ: ${deadLetters.length} 件、書き込みに失敗したため残した行: ${failedEntries.size} 行)。`);
+
+  if (failedEntries.size > 0) {
+    return false;
+  }
+  if (remaining > 0) {
+    Logger.log(`ジョブ '${config.jobId}' の残りの ${remaining} 件は、もう一度 replayDeadLetters を実行して処理してください。`);
+    return false;
+  }
+  return true;
+}
+
+// --- ドライラン関連 ---
+
+/**
+ * ジョブの同期 (syncJob_ の取得範囲) を、シートへの書き込みと同期カーソルの保存をせずに行い、書き込み内容を求める
+ * 全てのページのログを集めてから、シートごとに現在のシートの状態と重複排除する。
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {object} config - ジョブの設定オブジェクト
+ * @param {{deadlineMs: number, stats: object}} run - ジョブ用の実行コンテキスト
+ * @returns {{complete: boolean, preview: object}} complete: 範囲の終わりまで取得できた場合はtrue。
+ *     preview: 取得範囲 (windowStart, windowEnd)、バックフィルに回される期間 (backfillRange)、取得件数 (fetched)、
+ *     パースや振り分けに失敗したログ件数 (deadLetters)、シートごとの書き込み内容 (sheets、previewSheetGroup_ 参照)
+ */
+function previewSyncJob_(ss, config, run) {
+  const { syncCursor, lastProcessedSeconds } = loadSyncPosition_(ss, config);
+  const { startNanoTs, endNanoTs, skippedRange } = calculateLokiTimeRange_(syncCursor, lastProcessedSeconds, config);
+  Logger.log(`Lokiクエリ時間範囲 (UTCナノ秒): start=${startNanoTs}, end=${endNanoTs}`);
+
+  // ページごとのログはシートに書き込まずに集める
+  const records = [];
+  const deadLetters = [];
+  const complete = syncLokiRange_(ss, config, startNanoTs, endNanoTs, syncCursor, () => {}, run,
+      (pageSs, pageConfig, pageRecords, pageRun, pageDeadLetters) => {
+        records.push(...pageRecords);
+        deadLetters.push(...pageDeadLetters);
+        return [];
+      });
+  if (!complete) {
+    Logger.log('Warning: 範囲の終わりまで取得できなかったため、取得できた分のログで書き込み内容を求めます。');
+  }
+
+  let groupedLogs = preprocessAndGroupLogs_(records, config, deadLetters);
+  if (config.sheetRotation === 'monthly') {
+    groupedLogs = splitGroupsByMonth_(groupedLogs, config.timezone);
+  }
+  const schemaRules = loadSchemaRules_(ss);
+  const sheets = Object.keys(groupedLogs).map(sheetName =>
+      previewSheetGroup_(ss, sheetName, groupedLogs[sheetName], config, resolveSheetSchema_(schemaRules, sheetName, config)));
+
+  const formatNanoTs = nanoTs => TimestampUtil_.formatToIsoString(nanoTs, config.timezone);
+  return {
+    complete,
+    preview: {
+      windowStart: formatNanoTs(startNanoTs),
+      windowEnd: formatNanoTs(endNanoTs),
+      backfillRange: skippedRange ? { start: formatNanoTs(skippedRange.startNanoTs), end: formatNanoTs(skippedRange.endNanoTs) } : null,
+      fetched: run.stats.fetched,
+      deadLetters: deadLetters.length,
+      sheets,
+    },
+  };
+}
+
+/**
+ * ロググループのシートへの書き込み内容を、シートに書き込まずに求める
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {string} sheetName - 書き込み先のシート名
+ * @param {Array<object>} logs - 対象のログ配列 (タイムスタンプはBigInt)
+ * @param {object} config - 設定オブジェクト
+ * @param {object|null} schema - シートのスキーマ。定義がない場合はnull
+ * @returns {{sheetName: string, newSheet: boolean, newColumns: string[], logs: number, duplicates: number, rows: number,
+ *     sampleRows: Array<Object<string, any>>, error: string|null}} 書き込み内容。sampleRows は追記される先頭 DRY_RUN_SAMPLE_ROWS 行 (索引列を除く)
+ */
+function previewSheetGroup_(ss, sheetName, logs, config, schema) {
+  try {
+    const sheet = ss.getSheetByName(sheetName);
+    const lastRow = sheet ? sheet.getLastRow() : 0;
+    const lastCol = sheet ? sheet.getLastColumn() : 0;
+    const header = lastRow > 0 && lastCol > 0 ? sheet.getRange(1, 1, 1, lastCol).getValues()[0] : [];
+    const plan = planMetricGroup_({ name: sheetName, sheet, lastRow, header }, logs, config, schema);
+
+    const sampleRows = plan.dataToWrite.slice(0, DRY_RUN_SAMPLE_ROWS).map(row => {
+      const sample = {};
+      plan.updatedHeader.forEach((column, index) => {
+        if (column !== HASH_COLUMN_NAME) {
+          sample[column] = row[index];
+        }
+      });
+      return sample;
+    });
+    return {
+      sheetName,
+      newSheet: !sheet,
+      newColumns: plan.updatedHeader.slice(header.length),
+      logs: logs.length,
+      duplicates: logs.length - plan.dataToWrite.length,
+      rows: plan.dataToWrite.length,
+      sampleRows,
+      error: null,
+    };
+  } catch (e) {
+    Logger.log(`Error: シート '${sheetName}' の書き込み内容の確認中にエラーが発生しました。詳細: ${e} \nStack: ${e.stack}`);
+    return { sheetName, newSheet: false, newColumns: [], logs: logs.length, duplicates: 0, rows: 0, sampleRows: [], error: String(e) };
+  }
+}
+
+/**
+ * ドライランの結果を実行ログに出力する
+ * @param {object} config - ジョブの設定オブジェクト
+ * @param {object} preview - previewSyncJob_ で求めた書き込み内容
+ */
+function logSyncPreview_(config, preview) {
+  Logger.log(`[ドライラン] ジョブ '${config.jobId}': 取得期間 ${preview.windowStart} - ${preview.windowEnd}、` +
+      `取得 ${preview.fetched} 件、パースや振り分けに失敗 ${preview.deadLetters} 件`);
+  if (preview.backfillRange) {
+    Logger.log(`[ドライラン] ${preview.backfillRange.start} - ${preview.backfillRange.end} はバックフィルに登録されます。`);
+  }
+  if (preview.sheets.length === 0) {
+    Logger.log('[ドライラン] 書き込まれるログはありません。');
+  }
+  preview.sheets.forEach(sheet => {
+    if (sheet.error) {
+      Logger.log(`[ドライラン] シート '${sheet.sheetName}': エラー ${sheet.error}`);
+      return;
+    }
+    Logger.log(`[ドライラン] シート '${sheet.sheetName}'${sheet.newSheet ? ' (新規作成)' : ''}: ${sheet.rows} 行を追記 ` +
+        `(ログ ${sheet.logs} 件、重複 ${sheet.duplicates} 件)` +
+        (sheet.newColumns.length > 0 ? `、追加する列: ${sheet.newColumns.join(', ')}` : ''));
+    sheet.sampleRows.forEach(row => Logger.log(`  ${JSON.stringify(row)}`));
+  });
+}
+
+/**
+ * ドライランの結果を、ジョブのスプレッドシートごとに _preview シートに書き込む (シートの内容は置き換える)
+ * 1行がジョブの1シート分の書き込み内容に対応する。書き込むシートがないジョブや失敗したジョブは、ジョブの情報だけの1行にする。
+ * @param {Array<object>} configs - ジョブごとの設定オブジェクト
+ * @param {Array<object>} results - dryRun のジョブごとの結果 (configs と同じ順)
+ */
+function writePreviewSheets_(configs, results) {
+  const truncate = text => text.length > PREVIEW_SHEET_MAX_CELL_LENGTH ? text.slice(0, PREVIEW_SHEET_MAX_CELL_LENGTH) + '...' : text;
+  const rowsBySpreadsheet = {};
+  configs.forEach((config, index) => {
+    const result = results[index];
+    const generatedAt = TimestampUtil_.formatToIsoString(BigInt(Date.now()) * BigInt(1000000), config.timezone);
+    const jobColumns = [generatedAt, config.jobId, result.status].concat(result.sheets
+        ? [result.windowStart, result.windowEnd, result.fetched, result.deadLetters]
+        : ['', '', '', '']);
+    const sheets = result.sheets && result.sheets.length > 0 ? result.sheets : [null];
+    const rows = sheets.map(sheet => jobColumns.concat(sheet
+        ? [sheet.sheetName, sheet.newSheet, sheet.newColumns.join(', '), sheet.logs, sheet.duplicates, sheet.rows,
+          truncate(sheet.sampleRows.map(row => JSON.stringify(row)).join('\n')), sheet.error || '']
+        : ['', '', '', '', '', '', '', result.error || '']));
+    rowsBySpreadsheet[config.spreadsheetId] = (rowsBySpreadsheet[config.spreadsheetId] || []).concat(rows);
+  });
+
+  for (const spreadsheetId in rowsBySpreadsheet) {
+    try {
+      const ss = SpreadsheetApp.openById(spreadsheetId);
+      let sheet = ss.getSheetByName(PREVIEW_SHEET_NAME);
+      if (sheet) {
+        sheet.clearContents();
+      } else {
+        sheet = ss.insertSheet(PREVIEW_SHEET_NAME);
+        sheet.setFrozenRows(1);
+      }
+      const rows = [PREVIEW_SHEET_HEADER].concat(rowsBySpreadsheet[spreadsheetId]);
+      sheet.getRange(1, 1, rows.length, PREVIEW_SHEET_HEADER.length).setValues(rows);
+      Logger.log(`シート '${PREVIEW_SHEET_NAME}' にドライランの結果を ${rows.length - 1} 行書き込みました。スプレッドシートID: ${spreadsheetId}`);
+    } catch (e) {
+      Logger.log(`Warning: シート '${PREVIEW_SHEET_NAME}' への書き込みに失敗しました。スプレッドシートID: ${spreadsheetId}, 詳細: ${e}`);
+    }
+  }
+}
+
+// --- メニュー・サイドバー関連 ---
+
+/**
+ * スプレッドシートを開いたときにメニューを追加する (シンプルトリガー)
+ * スプレッドシートにバインドされたスクリプトでのみ呼ばれる。
+ */
+function onOpen() {
+  SpreadsheetApp.getUi().createMenu(MENU_NAME)
+      .addItem('今すぐ同期', 'menuSyncNow')
+      .addItem('ドライラン', 'menuDryRun')
+      .addItem('期間を指定してバックフィル', 'menuBackfillRange')
+      .addSeparator()
+      .addItem('同期カーソルをリセット', 'menuResetCursor')
+      .addSeparator()
+      .addItem('設定', 'showSidebar')
+      .addToUi();
+}
+
+/**
+ * 設定を編集するサイドバーを表示する
+ */
+function showSidebar() {
+  SpreadsheetApp.getUi().showSidebar(HtmlService.createHtmlOutputFromFile('sidebar').setTitle(SIDEBAR_TITLE));
+}
+
+/**
+ * メニュー「今すぐ同期」: main を実行し、結果を表示する
+ */
+function menuSyncNow() {
+  showJobResults_('同期', main());
+}
+
+/**
+ * メニュー「ドライラン」: dryRun を実行して結果を _preview シートに書き込み、結果を表示する
+ */
+function menuDryRun() {
+  const results = dryRun(undefined, true);
+  showJobResults_('ドライラン', results, results.length > 0 ? `書き込み内容は '${PREVIEW_SHEET_NAME}' シートを確認してください。` : '');
+}
+
+/**
+ * メニュー「期間を指定してバックフィル」: 開始日時と終了日時を入力させて backfill を実行し、結果を表示する
+ */
+function menuBackfillRange() {
+  const ui = SpreadsheetApp.getUi();
+  const start = ui.prompt('バックフィル', '開始日時を ISO 8601 形式で入力してください (この時刻を含む)。\n例: 2025-04-19T00:00:00+09:00', ui.ButtonSet.OK_CANCEL);
+  if (start.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  const end = ui.prompt('バックフィル', '終了日時を ISO 8601 形式で入力してください (この時刻は含まない)。\n例: 2025-04-20T00:00:00+09:00', ui.ButtonSet.OK_CANCEL);
+  if (end.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  showJobResults_('バックフィル', backfill(start.getResponseText().trim(), end.getResponseText().trim()),
+      '取り切れなかった期間は、以降の同期で続きから取得します。');
+}
+
+/**
+ * メニュー「同期カーソルをリセット」: 確認してから resetSyncCursor を実行し、結果を表示する
+ */
+function menuResetCursor() {
+  const ui = SpreadsheetApp.getUi();
+  const answer = ui.alert('同期カーソルのリセット',
+      '全てのジョブの同期カーソルを削除します。次回の同期は、シートの最終行のタイムスタンプから再開します。よろしいですか？',
+      ui.ButtonSet.YES_NO);
+  if (answer !== ui.Button.YES) {
+    return;
+  }
+  showJobResults_('同期カーソルのリセット', resetSyncCursor());
+}
+
+/**
+ * メニューから実行した処理のジョブごとの結果をダイアログで表示する
+ * @param {string} title - 処理名
+ * @param {Array<{jobId: string, status: string, error?: string}>} results - ジョブごとの結果 (runJobs_ 参照)
+ * @param {string} [note] - 結果の後に示す補足
+ */
+function showJobResults_(title, results, note) {
+  const ui = SpreadsheetApp.getUi();
+  const lines = results.length === 0
+      ? ['実行できるジョブがないか、入力が不正なため実行しませんでした。']
+      : results.map(result => `ジョブ '${result.jobId}': ${JOB_STATUS_LABELS[result.status] || result.status}` +
+          (result.error ? ` (${result.error})` : ''));
+  if (note) {
+    lines.push('', note);
+  }
+  lines.push('', '詳細は実行ログを確認してください。');
+  ui.alert(title, lines.join('\n'), ui.ButtonSet.OK);
+}
+
+/**
+ * サイドバーに表示する内容を返す (サイドバーから google.script.run で呼ばれる)
+ * SECRET_PROPERTY_KEYS の値は送らず、設定済みかどうかだけを返す。
+ * @returns {{settings: Array<{key: string, value: string, secret: boolean, isSet: boolean}>, containerSpreadsheetId: string|null,
+ *     validation: object, lastRuns: Array<{jobId: string, lastRun: Object<string, (string|number)>|null}>}}
+ *     スクリプトプロパティごとの値、バインドされたスプレッドシートのID、現在の設定の検証結果 (validateSettings 参照)、ジョブごとの前回の実行結果
+ */
+function getSidebarState() {
+  const scriptProps = PropertiesService.getScriptProperties();
+  const problems = [];
+  const configs = getJobConfigs_(scriptProps, problems);
+  return {
+    settings: Object.values(SCRIPT_PROPERTIES_KEYS).map(key => {
+      const value = scriptProps.getProperty(key) || '';
+      const secret = SECRET_PROPERTY_KEYS.includes(key);
+      return { key, value: secret ? '' : value, secret, isSet: value !== '' };
+    }),
+    containerSpreadsheetId: getContainerSpreadsheetId_(),
+    validation: summarizeSettingsValidation_(configs, problems),
+    lastRuns: getLastRuns_(configs),
+  };
+}
+
+/**
+ * サイドバーで入力された設定を、保存せずに検証する (サイドバーから google.script.run で呼ばれる)
+ * @param {Object<string, string>} values - スクリプトプロパティのキーごとの入力値 (normalizeSidebarSettings_ 参照)
+ * @returns {{valid: boolean, jobIds: string[], problems: Array<{jobId: string|null, message: string}>}}
+ *     valid: 実行できるジョブがあり、Error がない場合はtrue。jobIds: 実行できるジョブのID。problems: 設定の問題
+ */
+function validateSettings(values) {
+  const problems = [];
+  const configs = getJobConfigs_(createSettingsSource_(normalizeSidebarSettings_(values)), problems);
+  return summarizeSettingsValidation_(configs, problems);
+}
+
+/**
+ * サイドバーで入力された設定を検証し、問題がなければスクリプトプロパティに保存する (サイドバーから google.script.run で呼ばれる)
+ * Warning だけの場合は保存する (実行時と同じく、不正な値の代わりにデフォルト値を使う)。
+ * @param {Object<string, string>} values - スクリプトプロパティのキーごとの入力値 (normalizeSidebarSettings_ 参照)
+ * @returns {{saved: boolean, validation: object}} saved: 保存した場合はtrue。validation: 検証結果 (validateSettings 参照)
+ */
+function saveSettings(values) {
+  const changes = normalizeSidebarSettings_(values);
+  const problems = [];
+  const validation = summarizeSettingsValidation_(getJobConfigs_(createSettingsSource_(changes), problems), problems);
+  if (!validation.valid) {
+    return { saved: false, validation };
+  }
+
+  const scriptProps = PropertiesService.getScriptProperties();
+  Object.keys(changes).forEach(key => {
+    if (changes[key] === scriptProps.getProperty(key)) {
+      return;
+    }
+    if (changes[key] === null) {
+      scriptProps.deleteProperty(key);
+    } else {
+      scriptProps.setProperty(key, changes[key]);
+    }
+    Logger.log(`スクリプトプロパティ ${key} を${changes[key] === null ? '削除' : '更新'}しました。`);
+  });
+  return { saved: true, validation };
+}
+
+/**
+ * サイドバーで入力された設定で、ジョブごとに Loki へクエリを1回実行する (サイドバーから google.script.run で呼ばれる)
+ * 直近 CONNECTION_TEST_LOOKBACK_SECONDS 秒を最大 CONNECTION_TEST_QUERY_LIMIT 件、再試行せずに取得する。設定は保存しない。
+ * @param {Object<string, string>} values - スクリプトプロパティのキーごとの入力値 (normalizeSidebarSettings_ 参照)
+ * @returns {{problems: Array<{jobId: string|null, message: string}>, results: Array<{jobId: string, ok: boolean, message: string}>}}
+ *     設定の問題と、ジョブごとの結果
+ */
+function testLokiConnection(values) {
+  const problems = [];
+  const configs = getJobConfigs_(createSettingsSource_(normalizeSidebarSettings_(values)), problems);
+  const endNanoTs = BigInt(Date.now()) * BigInt(1000000);
+  const startNanoTs = endNanoTs - BigInt(CONNECTION_TEST_LOOKBACK_SECONDS) * NANOS_PER_SECOND;
+  const results = configs.map(config => {
+    const testConfig = Object.assign({}, config, { maxRetries: 0, queryLimit: CONNECTION_TEST_QUERY_LIMIT });
+    try {
+      const entries = fetchLogsFromLoki_(testConfig, startNanoTs, endNanoTs, createRunContext_());
+      if (!entries) {
+        return { jobId: config.jobId, ok: false, message: 'Loki API が一時的なエラーを返したか、接続できませんでした。' };
+      }
+      return { jobId: config.jobId, ok: true, message: `接続できました。直近 ${CONNECTION_TEST_LOOKBACK_SECONDS / 60} 分間の取得件数: ${entries.length} 件` };
+    } catch (e) {
+      return { jobId: config.jobId, ok: false, message: String(e.message || e) };
+    }
+  });
+  return { problems, results };
+}
+
+/**
+ * サイドバーで入力された設定を、変更するスクリプトプロパティにする
+ * 空の値 (空白のみを含む) はプロパティの削除とする。ただし SECRET_PROPERTY_KEYS はサイドバーに値を送らないため、空の場合は変更しない。
+ * SCRIPT_PROPERTIES_KEYS にないキー (STATE_PROPERTIES_KEYS など) は無視する。
+ * @param {Object<string, string>} values - スクリプトプロパティのキーごとの入力値。含まれないキーは変更しない
+ * @returns {Object<string, string|null>} 変更するキーごとの値 (削除する場合はnull)
+ */
+function normalizeSidebarSettings_(values) {
+  const changes = {};
+  Object.values(SCRIPT_PROPERTIES_KEYS).forEach(key => {
+    if (!values || typeof values[key] !== 'string') {
+      return;
+    }
+    const isEmpty = values[key].trim() === '';
+    if (isEmpty && SECRET_PROPERTY_KEYS.includes(key)) {
+      return;
+    }
+    changes[key] = isEmpty ? null : values[key];
+  });
+  return changes;
+}
+
+/**
+ * スクリプトプロパティに、保存前の変更を重ねた設定の読み込み元を作る (getJobConfigs_ に渡す)
+ * @param {Object<string, string|null>} changes - 変更するキーごとの値 (normalizeSidebarSettings_ 参照)
+ * @returns {{getProperty: function(string): (string|null)}} 設定の読み込み元
+ */
+function createSettingsSource_(changes) {
+  const scriptProps = PropertiesService.getScriptProperties();
+  return {
+    getProperty: key => (Object.prototype.hasOwnProperty.call(changes, key) ? changes[key] : scriptProps.getProperty(key)),
+  };
+}
+
+/**
+ * 設定の検証結果をまとめる
+ * @param {Array<object>} configs - 読み込めたジョブごとの設定オブジェクト
+ * @param {Array<{jobId: string|null, message: string}>} problems - 設定の問題
+ * @returns {{valid: boolean, jobIds: string[], problems: Array<{jobId: string|null, message: string}>}} 検証結果 (validateSettings 参照)
+ */
+function summarizeSettingsValidation_(configs, problems) {
+  return {
+    valid: configs.length > 0 && !problems.some(problem => problem.message.startsWith('Error')),
+    jobIds: configs.map(config => config.jobId),
+    problems,
+  };
+}
+
+/**
+ * ジョブごとの前回の実行結果を、各ジョブのスプレッドシートの _runs シートから読み込む
+ * シートの末尾 SIDEBAR_RUNS_SCAN_ROWS 行にないジョブは、前回の実行結果をnullとする。
+ * @param {Array<object>} configs - ジョブごとの設定オブジェクト
+ * @returns {Array<{jobId: string, lastRun: Object<string, (string|number)>|null}>} ジョブごとの前回の実行結果 (キーは RUNS_SHEET_HEADER の列名)
+ */
+function getLastRuns_(configs) {
+  const lastRunsBySpreadsheet = {};
+  const loadLastRuns = spreadsheetId => {
+    const lastRuns = {};
+    try {
+      const sheet = SpreadsheetApp.openById(spreadsheetId).getSheetByName(RUNS_SHEET_NAME);
+      const lastRow = sheet ? sheet.getLastRow() : 0;
+      if (lastRow < 2) {
+        return lastRuns;
+      }
+      const numRows = Math.min(SIDEBAR_RUNS_SCAN_ROWS, lastRow - 1);
+      sheet.getRange(lastRow - numRows + 1, 1, numRows, RUNS_SHEET_HEADER.length).getValues().forEach(row => {
+        // google.script.run では Date を返せないため、数値以外は文字列にする
+        const run = {};
+        RUNS_SHEET_HEADER.forEach((name, index) => { run[name] = typeof row[index] === 'number' ? row[index] : String(row[index]); });
+        lastRuns[run.job_id] = run; // 下の行ほど新しい
+      });
+    } catch (e) {
+      Logger.log(`Warning: シート '${RUNS_SHEET_NAME}' を読み込めませんでした。スプレッドシートID: ${spreadsheetId}, 詳細: ${e}`);
+    }
+    return lastRuns;
+  };
+
+  return configs.map(config => {
+    if (!lastRunsBySpreadsheet[config.spreadsheetId]) {
+      lastRunsBySpreadsheet[config.spreadsheetId] = loadLastRuns(config.spreadsheetId);
+    }
+    return { jobId: config.jobId, lastRun: lastRunsBySpreadsheet[config.spreadsheetId][config.jobId] || null };
+  });
+}
+
+// --- スプレッドシート操作関連 ---
+
+/**
+ * 全シートを走査し、最新のタイムスタンプ (UTCナノ秒 BigInt) を見つける
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {string} timezone - スプレッドシート記録時のタイムゾーン (+HH:MM または IANA タイムゾーン名)
+ * @returns {BigInt|null} 最新のタイムスタンプ (UTCナノ秒)。見つからない場合はnull
+ */
+function findLastProcessedTimestamp_(ss, timezone) {
+  let latestNanoTs = null;
+  const sheets = ss.getSheets();
+
+  for (const sheet of sheets) {
+    const sheetName = sheet.getName();
+    if (sheetName.startsWith(IGNORED_SHEET_PREFIX)) {
+      continue; // 無視するシート
+    }
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) { // ヘッダーのみ、または空のシート
+      continue;
+    }
+
+    const header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const tsColIndex = header.indexOf(TIMESTAMP_COLUMN_NAME);
+    if (tsColIndex === -1) {
+        Logger.log(`Warning: シート '${sheetName}' にタイムスタンプ列 ('${TIMESTAMP_COLUMN_NAME}') が見つかりません。`);
+        continue;
+    }
+
+    try {
+      // 最終行のタイムスタンプ文字列を取得
+      // getLastRow() が最終データ行を返すので、複数行読み取って空行でない最後の行を探す必要はないことが多い
+      const lastTimestampStr = sheet.getRange(lastRow, tsColIndex + 1).getValue();
+
+      if (lastTimestampStr && typeof lastTimestampStr === 'string') {
+         // ISO文字列をUTCナノ秒にパース
+        const currentNanoTs = TimestampUtil_.parseIsoString(lastTimestampStr, timezone);
+        if (currentNanoTs !== null) {
+          if (latestNanoTs === null || currentNanoTs > latestNanoTs) {
+            latestNanoTs = currentNanoTs;
+          }
+        } else {
+            Logger.log(`Warning: シート '${sheetName}' の最終行のタイムスタンプ文字列 '${lastTimestampStr}' のパースに失敗しました。`);
+        }
+      }
+    } catch (e) {
+        // BigInt変換エラーなども考慮
+        Logger.log(`Error: シート '${sheetName}' の最終タイムスタンプ処理中にエラー。 ${e}`);
+    }
+  }
+  return latestNanoTs;
+}
+
+/**
+ * metric_name に対応するシートを取得または作成する
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {string} metricName - シート名となる metric_name
+ * @returns {Sheet} 対象のシートオブジェクト
+ */
+function getOrCreateSheet_(ss, metricName) {
+  let sheet = ss.getSheetByName(metricName);
+  if (!sheet) {
+    sheet = ss.insertSheet(metricName);
+    Logger.log(`シート '${metricName}' を新規作成しました。`);
+    // 必要であればヘッダー行を初期化 (最初のデータ書き込み時に行う方が効率的)
+    // sheet.appendRow([TIMESTAMP_COLUMN_NAME]); // 例
+  }
+  return sheet;
+}
+
+/**
+ * ヘッダー行を更新し、新しいキーがあれば列を追加する
+ * @param {Sheet} sheet - 対象のシート
+ * @param {string[]} existingHeader - 現在のヘッダー配列
+ * @param {string[]} newKeys - 新しいログに含まれる可能性のあるキーのセット
+ * @returns {string[]} 更新後のヘッダー配列
+ */
+function updateHeaderIfNeeded_(sheet, existingHeader, newKeys) {
+    const currentHeaderSet = new Set(existingHeader);
+    const keysToAdd = newKeys.filter(key => !currentHeaderSet.has(key));
+
+    if (keysToAdd.length > 0) {
+        const firstEmptyCol = existingHeader.length + 1;
+        sheet.getRange(1, firstEmptyCol, 1, keysToAdd.length).setValues([keysToAdd]);
+        Logger.log(`シート '${sheet.getName()}' のヘッダーに新しいキーを追加: ${keysToAdd.join(', ')}`);
+        return existingHeader.concat(keysToAdd);
+    }
+    return existingHeader; // 変更なし
+}
+
+/**
+ * 整形されたデータをシートに追記する
+ * @param {Sheet} sheet - 対象のシート
+ * @param {Array<Array<any>>} dataToWrite - 書き込むデータ (2次元配列)
+ * @param {string[]} header - データの列に対応するヘッダー配列
+ * @param {Object<string, string>} [columnFormats] - 列名をキーとする表示形式 (スキーマで型を指定した列)
+ */
+function writeToSheet_(sheet, dataToWrite, header, columnFormats = {}) {
+    if (dataToWrite && dataToWrite.length > 0) {
+        writeRowsAt_(sheet, sheet.getLastRow() + 1, dataToWrite, header, columnFormats);
+        Logger.log(`シート '${sheet.getName()}' に ${dataToWrite.length} 件のログを追記しました。`);
+    } else {
+        Logger.log(`シート '${sheet.getName()}' への追記データはありません。`);
+    }
+}
+
+/**
+ * 整形されたデータを、指定した行から書き込み、列の表示形式を設定する
+ * @param {Sheet} sheet - 対象のシート
+ * @param {number} startRow - 書き込む最初の行番号
+ * @param {Array<Array<any>>} dataToWrite - 書き込むデータ (2次元配列、1行以上)
+ * @param {string[]} header - データの列に対応するヘッダー配列
+ * @param {Object<string, string>} columnFormats - 列名をキーとする表示形式 (スキーマで型を指定した列)
+ */
+function writeRowsAt_(sheet, startRow, dataToWrite, header, columnFormats) {
+    const numRows = dataToWrite.length;
+    const numCols = dataToWrite[0].length; // ヘッダーに基づいているはず
+    // 書式なしテキストの列は、値の書き込み前に表示形式を設定する (書き込み時に数値へ変換されないように)
+    for (const column in columnFormats) {
+        const colIndex = header.indexOf(column);
+        if (colIndex !== -1 && columnFormats[column] === PLAIN_TEXT_NUMBER_FORMAT) {
+            sheet.getRange(startRow, colIndex + 1, numRows, 1).setNumberFormat(PLAIN_TEXT_NUMBER_FORMAT);
+        }
+    }
+    // setValues は文字列を解釈して日付・パーセント・数式などに変換するため、Sheets API と同じ値 (toStoredCellValue_) にしてから書き込む。
+    // 文字列は先頭にアポストロフィを付けて、書いたとおりの文字列として格納させる (書式なしテキストの列は表示形式で変換されない)
+    const formats = header.map(column => columnFormats[column] || null);
+    const values = dataToWrite.map(row => row.map((value, colIndex) => {
+        const stored = toStoredCellValue_(value, formats[colIndex]);
+        return typeof stored === 'string' && stored !== '' && formats[colIndex] !== PLAIN_TEXT_NUMBER_FORMAT ? `'${stored}` : stored;
+    }));
+    sheet.getRange(startRow, 1, numRows, numCols).setValues(values);
+    for (const column in columnFormats) {
+        const colIndex = header.indexOf(column);
+        if (colIndex !== -1 && columnFormats[column] !== PLAIN_TEXT_NUMBER_FORMAT) {
+            sheet.getRange(startRow, colIndex + 1, numRows, 1).setNumberFormat(columnFormats[column]);
+        }
+    }
+    const datetimeColIndex = header.indexOf(DATETIME_COLUMN_NAME);
+    if (datetimeColIndex !== -1) {
+        sheet.getRange(startRow, datetimeColIndex + 1, numRows, 1).setNumberFormat(DATETIME_NUMBER_FORMAT);
+    }
+}
+
+// --- Sheets API (拡張サービス) 関連 ---
+
+/**
+ * ロググループを Sheets API でまとめて書き込む
+ * シートの一覧 (メタデータ) を実行ごとに1回の spreadsheets.get で、各シートのヘッダーを1回の values.batchGet で読み込み、
+ * シートの作成・ヘッダーの列追加・索引列の非表示・行の挿入と追記を1回の batchUpdate で反映する。
+ * 重複排除のためのシート末尾の読み込みは、既存のシートに対して SpreadsheetApp で行う (読み込む行数は Overlap 期間より古い行が
+ * 見つかるまで決まらないため、values.batchGet でまとめて読み込めない)。batchUpdate はページごとに呼び出す (同期カーソルをページごとに進めるため)。
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {object} config - 設定オブジェクト
+ * @param {Object<string, Array<object>>} groupedLogs - シート名をキーとするログのグループ
+ * @param {string[]} sheetNames - 書き込むシート名
+ * @param {Array<object>} schemaRules - loadSchemaRules_ で読み込んだスキーマの定義
+ * @param {{sheetsMetadata: Object<string, object>}} run - 実行コンテキスト (メタデータのキャッシュ)
+ * @returns {Array<{sheetName: string, written: number, error: Error|null}>} シートごとの結果
+ * @throws {Error} Sheets API の呼び出しに失敗した場合
+ */
+function writeGroupsWithSheetsApi_(ss, config, groupedLogs, sheetNames, schemaRules, run) {
+  const spreadsheetId = ss.getId();
+  const metadata = getSheetsMetadata_(spreadsheetId, run);
+  const sheetProperties = metadata.sheetProperties;
+
+  // 既存のシートのヘッダー (1行目) をまとめて読み込む
+  const existingNames = sheetNames.filter(name => sheetProperties[name]);
+  const headers = {};
+  if (existingNames.length > 0) {
+    const response = Sheets.Spreadsheets.Values.batchGet(spreadsheetId, {
+      ranges: existingNames.map(name => `'${name.replace(/'/g, "''")}'!1:1`),
+    });
+    (response.valueRanges || []).forEach((valueRange, index) => {
+      headers[existingNames[index]] = (valueRange.values && valueRange.values[0]) || [];
+    });
+  }
+
+  const usedSheetIds = new Set(Object.keys(sheetProperties).map(title => sheetProperties[title].sheetId));
+  const requests = [];
+  const results = [];
+  const columnCounts = {}; // batchUpdate の後のシートごとの列数 (既存のシートのみ)
+  let createsSheet = false;
+  for (const sheetName of sheetNames) {
+    try {
+      Logger.log(`処理開始: metric_name = ${sheetName}`);
+      const logs = groupedLogs[sheetName];
+      const properties = sheetProperties[sheetName];
+      const sheet = properties ? ss.getSheetByName(sheetName) : null;
+      const sheetState = { name: sheetName, sheet, lastRow: sheet ? sheet.getLastRow() : 0, header: headers[sheetName] || [] };
+      const plan = planMetricGroup_(sheetState, logs, config, resolveSheetSchema_(schemaRules, sheetName, config));
+
+      let sheetId;
+      if (properties) {
+        sheetId = properties.sheetId;
+        const missingColumns = plan.updatedHeader.length - properties.gridProperties.columnCount;
+        if (missingColumns > 0) {
+          requests.push({ appendDimension: { sheetId, dimension: 'COLUMNS', length: missingColumns } });
+          columnCounts[sheetName] = plan.updatedHeader.length;
+        }
+      } else {
+        sheetId = createUnusedSheetId_(usedSheetIds);
+        createsSheet = true;
+        requests.push({ addSheet: { properties: { sheetId, title: sheetName,
+            gridProperties: { rowCount: 1000, columnCount: Math.max(26, plan.updatedHeader.length) } } } });
+      }
+      requests.push(...buildSheetPlanRequests_(sheetId, plan, metadata.timeZone));
+      results.push({ sheetName, written: plan.dataToWrite.length, error: null });
+    } catch (e) {
+      Logger.log(`Error: metric_name '${sheetName}' の処理中にエラーが発生しました。詳細: ${e} \nStack: ${e.stack}`);
+      // エラーが発生しても他の metric_name の処理を続行
+      results.push({ sheetName, written: 0, error: e });
+    }
+  }
+
+  if (requests.length > 0) {
+    Sheets.Spreadsheets.batchUpdate({ requests }, spreadsheetId);
+  }
+  // 作成したシートの ID などは次の spreadsheets.get で読み込み直し、列の追加はキャッシュに反映する
+  if (createsSheet) {
+    invalidateSheetsMetadata_(spreadsheetId, run);
+  } else {
+    Object.keys(columnCounts).forEach(sheetName => { sheetProperties[sheetName].gridProperties.columnCount = columnCounts[sheetName]; });
+  }
+  const plannedResults = results.filter(result => !result.error);
+  plannedResults.forEach(result => Logger.log(`処理完了: metric_name = ${result.sheetName}`));
+  Logger.log(`Sheets API で ${plannedResults.length} シートへの書き込みを反映しました (リクエスト数: ${requests.length})。`);
+  return results;
+}
+
+/**
+ * Sheets API でスプレッドシートのメタデータ (タイムゾーンとシートの一覧) を読み込む
+ * 読み込んだメタデータは実行コンテキストにキャッシュし、同じ実行では spreadsheets.get を1回だけ呼び出す。
+ * シートを作成・削除した場合は invalidateSheetsMetadata_ でキャッシュを破棄する。
+ * @param {string} spreadsheetId - スプレッドシートのID
+ * @param {{sheetsMetadata: Object<string, object>}} run - 実行コンテキスト
+ * @returns {{timeZone: string, sheetProperties: Object<string, object>}} タイムゾーンと、シート名をキーとするシートのプロパティ
+ */
+function getSheetsMetadata_(spreadsheetId, run) {
+  if (!run.sheetsMetadata[spreadsheetId]) {
+    const response = Sheets.Spreadsheets.get(spreadsheetId, {
+      fields: 'properties.timeZone,sheets.properties(sheetId,title,gridProperties(rowCount,columnCount))',
+    });
+    const sheetProperties = {};
+    (response.sheets || []).forEach(sheet => { sheetProperties[sheet.properties.title] = sheet.properties; });
+    run.sheetsMetadata[spreadsheetId] = { timeZone: response.properties.timeZone, sheetProperties };
+  }
+  return run.sheetsMetadata[spreadsheetId];
+}
+
+/**
+ * キャッシュした Sheets API のメタデータを破棄する (getSheetsMetadata_ 参照)
+ * @param {string} spreadsheetId - スプレッドシートのID
+ * @param {{sheetsMetadata: Object<string, object>}} run - 実行コンテキスト
+ */
+function invalidateSheetsMetadata_(spreadsheetId, run) {
+  delete run.sheetsMetadata[spreadsheetId];
+}
+
+/**
+ * 書き込み内容を Sheets API の batchUpdate のリクエストに変換する (ヘッダーの作成・列追加、索引列の非表示、行の挿入・追記)
+ * @param {number} sheetId - 対象シートのID
+ * @param {object} plan - planMetricGroup_ の戻り値
+ * @param {string} spreadsheetTimeZone - スプレッドシートのタイムゾーン (日時型の値の変換に使う)
+ * @returns {Array<object>} batchUpdate のリクエスト
+ */
+function buildSheetPlanRequests_(sheetId, plan, spreadsheetTimeZone) {
+  const { header, updatedHeader } = plan;
+  const requests = [];
 
-  // 必須項目のチェック
-  if (!config.spreadsheetId || !config.lokiApiEndpoint || !config.baseQuery) {
-    Logger.log('Error: 必須の設定項目 (SPREADSHEET_ID, LOKI_API_ENDPOINT, LOKI_BASE_QUERY) が不足しています。');
-    return null;
+  // ヘッダーの作成・列追加
+  if (updatedHeader.length > header.length) {
+    requests.push({ updateCells: {
+      start: { sheetId, rowIndex: 0, columnIndex: header.length },
+      rows: [{ values: updatedHeader.slice(header.length).map(name => ({ userEnteredValue: { stringValue: String(name) } })) }],
+      fields: 'userEnteredValue',
+    } });
   }
+  // 索引列を追加した場合は非表示にする
+  if (!header.includes(HASH_COLUMN_NAME)) {
+    const hashColIndex = updatedHeader.indexOf(HASH_COLUMN_NAME);
+    requests.push({ updateDimensionProperties: {
+      range: { sheetId, dimension: 'COLUMNS', startIndex: hashColIndex, endIndex: hashColIndex + 1 },
+      properties: { hiddenByUser: true },
+      fields: 'hiddenByUser',
+    } });
+  }
+
+  const columnFormats = Object.assign({ [DATETIME_COLUMN_NAME]: DATETIME_NUMBER_FORMAT }, plan.columnFormats);
+  const formats = updatedHeader.map(name => columnFormats[name] || null);
+  const toRowData = row => ({ values: row.map((value, index) => toCellData_(value, formats[index], spreadsheetTimeZone)) });
+  const { insertions, appendRows } = groupRowsByInsertPosition_(plan);
 
-  // Timezone Offset の形式チェック (簡易)
-  if (!/^[\+\-]([01]\d|2[0-3]):([0-5]\d)$/.test(config.timezoneOffset)) {
-      Logger.log(`Warning: TimeZoneOffset の形式が不正です ('${config.timezoneOffset}')。デフォルトの '+00:00' を使用します。`);
-      config.timezoneOffset = '+00:00';
+  // シートの最新の行より古いログの挿入 (下の位置から順に挿入する)
+  insertions.forEach(({ beforeRow, rows }) => {
+    requests.push({ insertDimension: {
+      range: { sheetId, dimension: 'ROWS', startIndex: beforeRow - 1, endIndex: beforeRow - 1 + rows.length },
+      inheritFromBefore: false,
+    } });
+    requests.push({ updateCells: {
+      start: { sheetId, rowIndex: beforeRow - 1, columnIndex: 0 },
+      rows: rows.map(toRowData),
+      fields: 'userEnteredValue,userEnteredFormat.numberFormat',
+    } });
+    Logger.log(`シート '${plan.sheetName}' の ${beforeRow} 行目に ${rows.length} 件のログを挿入します。`);
+  });
+
+  // 行の追記 (appendCells はデータのある最終行の次に追記する)
+  if (appendRows.length > 0) {
+    requests.push({ appendCells: {
+      sheetId,
+      rows: appendRows.map(toRowData),
+      fields: 'userEnteredValue,userEnteredFormat.numberFormat',
+    } });
+    Logger.log(`シート '${plan.sheetName}' に ${appendRows.length} 件のログを追記します。`);
+  } else if (insertions.length === 0) {
+    Logger.log(`シート '${plan.sheetName}' への追記データはありません。`);
   }
+  return requests;
+}
 
-  return config;
+/**
+ * 書き込む値を、セルに格納する値に変換する (SpreadsheetApp と Sheets API の両方の書き込みで使う)
+ * 書式なしテキストの列以外では、数値形式・真偽値形式の文字列を数値・真偽値にする。
+ * それ以外の文字列 (日付・パーセント・通貨の形式の文字列や、= で始まる文字列も) は変換せずに文字列のまま格納する。
+ * @param {any} value - 値 (formatDataForSheet_ で整形済み)
+ * @param {string|null} numberFormat - 列の表示形式
+ * @returns {Date|number|boolean|string} 格納する値。値が空の場合は空文字
+ */
+function toStoredCellValue_(value, numberFormat) {
+  if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  } else if (value === '' || value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  if (numberFormat !== PLAIN_TEXT_NUMBER_FORMAT && NUMERIC_STRING_REGEX.test(text)) {
+    return Number(text);
+  } else if (numberFormat !== PLAIN_TEXT_NUMBER_FORMAT && BOOLEAN_STRING_REGEX.test(text)) {
+    return text.toLowerCase() === 'true';
+  }
+  return text;
 }
 
-// --- スプレッドシート操作関連 ---
+/**
+ * 書き込む値を Sheets API の CellData に変換する (値は toStoredCellValue_ で SpreadsheetApp と同じセルの値にする)
+ * @param {any} value - 値 (formatDataForSheet_ で整形済み)
+ * @param {string|null} numberFormat - 表示形式
+ * @param {string} spreadsheetTimeZone - スプレッドシートのタイムゾーン
+ * @returns {object} CellData
+ */
+function toCellData_(value, numberFormat, spreadsheetTimeZone) {
+  const cell = {};
+  const stored = toStoredCellValue_(value, numberFormat);
+  if (stored instanceof Date) {
+    cell.userEnteredValue = { numberValue: TimestampUtil_.toSerialNumber(stored, spreadsheetTimeZone) };
+  } else if (typeof stored === 'number') {
+    cell.userEnteredValue = { numberValue: stored };
+  } else if (typeof stored === 'boolean') {
+    cell.userEnteredValue = { boolValue: stored };
+  } else if (stored !== '') {
+    cell.userEnteredValue = { stringValue: stored };
+  }
+  if (numberFormat === PLAIN_TEXT_NUMBER_FORMAT) {
+    cell.userEnteredFormat = { numberFormat: { type: 'TEXT' } };
+  } else if (numberFormat) {
+    cell.userEnteredFormat = { numberFormat: { type: 'DATE_TIME', pattern: numberFormat } };
+  }
+  return cell;
+}
 
 /**
- * 全シートを走査し、最新のタイムスタンプ (UTCナノ秒 BigInt) を見つける
- * @param {Spreadsheet} ss - 対象のスプレッドシート
- * @param {string} timezoneOffset - スプレッドシート記録時のタイムゾーンオフセット (+HH:MM)
- * @returns {BigInt|null} 最新のタイムスタンプ (UTCナノ秒)。見つからない場合はnull
+ * 既存のシートと重複しない新しいシートのIDを作る
+ * @param {Set<number>} usedSheetIds - 使用済みのシートID (作ったIDを追加する)
+ * @returns {number} シートID
  */
-function findLastProcessedTimestamp_(ss, timezoneOffset) {
-  let latestNanoTs = null;
-  const sheets = ss.getSheets();
+function createUnusedSheetId_(usedSheetIds) {
+  let sheetId;
+  do {
+    sheetId = Math.floor(Math.random() * 2147483646) + 1;
+  } while (usedSheetIds.has(sheetId));
+  usedSheetIds.add(sheetId);
+  return sheetId;
+}
 
-  for (const sheet of sheets) {
-    const sheetName = sheet.getName();
-    if (sheetName.startsWith(IGNORED_SHEET_PREFIX)) {
-      continue; // 無視するシート
-    }
+// --- 保持ポリシー関連 ---
 
-    const lastRow = sheet.getLastRow();
-    if (lastRow < 2) { // ヘッダーのみ、または空のシート
-      continue;
+/**
+ * 保持ポリシー (RETENTION_MAX_ROWS, RETENTION_MAX_AGE_DAYS) を適用し、古い行を削除する
+ * ARCHIVE_SPREADSHEET_ID が設定されていれば、削除する行をアーカイブ用スプレッドシートの同名のシートに移す。
+ * 行は時刻順に並んでいる前提 (古いログも時刻順の位置に挿入される) で、シートの先頭 (古い側) から削除する。重複排除で比較する範囲の行は削除しない。
+ * 月ごとに分割したシートが空になった場合は、シートごと削除する。
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @param {object} config - 設定オブジェクト
+ * @param {{deadlineMs: number, sheetsMetadata: Object<string, object>}} run - 実行コンテキスト (シートを削除した場合はメタデータのキャッシュを破棄する)
+ */
+function applyRetention_(ss, config, run) {
+  if (config.retentionMaxRows > 0 || config.retentionMaxAgeDays > 0) {
+    const cutoffNanoTs = config.retentionMaxAgeDays > 0
+        ? BigInt(Date.now() - Math.round(config.retentionMaxAgeDays * 24 * 60 * 60 * 1000)) * BigInt(1000000)
+        : null;
+    // 重複排除で比較する範囲 (同期カーソルから Overlap 期間を遡った時刻以降)
+    const syncCursor = loadSyncCursor_(config.jobId);
+    const protectedFromNanoTs = (syncCursor ? syncCursor.nanoTs : BigInt(Date.now()) * BigInt(1000000)) -
+        BigInt(config.overlapSeconds) * NANOS_PER_SECOND;
+    let archiveSs = null;
+    if (config.archiveSpreadsheetId) {
+      archiveSs = SpreadsheetApp.openById(config.archiveSpreadsheetId);
+      if (!archiveSs) {
+        // アーカイブできない行は削除しない
+        Logger.log(`Error: アーカイブ用スプレッドシートが見つからないため、保持ポリシーを適用しません。ID: ${config.archiveSpreadsheetId}`);
+        return;
+      }
     }
 
-    const header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    const tsColIndex = header.indexOf(TIMESTAMP_COLUMN_NAME);
-    if (tsColIndex === -1) {
-        Logger.log(`Warning: シート '${sheetName}' にタイムスタンプ列 ('${TIMESTAMP_COLUMN_NAME}') が見つかりません。`);
+    for (const sheet of ss.getSheets()) {
+      const sheetName = sheet.getName();
+      if (sheetName.startsWith(IGNORED_SHEET_PREFIX)) {
         continue;
+      }
+      if (Date.now() >= run.deadlineMs) {
+        Logger.log('実行時間の上限に近づいたため、保持ポリシーの適用を打ち切ります。');
+        break;
+      }
+      try {
+        const rowsToRemove = Math.min(countExpiredRows_(sheet, config, cutoffNanoTs, protectedFromNanoTs), RETENTION_MAX_ROWS_PER_RUN);
+        if (rowsToRemove > 0) {
+          removeOldestRows_(sheet, rowsToRemove, archiveSs);
+        }
+        if (config.sheetRotation === 'monthly' && ROTATED_SHEET_NAME_REGEX.test(sheetName) &&
+            sheet.getLastRow() < 2 && ss.getSheets().length > 1) {
+          ss.deleteSheet(sheet);
+          invalidateSheetsMetadata_(ss.getId(), run);
+          Logger.log(`空になった月別シート '${sheetName}' を削除しました。`);
+        }
+      } catch (e) {
+        Logger.log(`Error: シート '${sheetName}' の保持ポリシーの適用中にエラーが発生しました。詳細: ${e}`);
+        // エラーが発生しても他のシートの処理を続行
+      }
     }
+  }
 
-    try {
-      // 最終行のタイムスタンプ文字列を取得
-      // getLastRow() が最終データ行を返すので、複数行読み取って空行でない最後の行を探す必要はないことが多い
-      const lastTimestampStr = sheet.getRange(lastRow, tsColIndex + 1).getValue();
+  warnIfNearCellLimit_(ss);
+}
 
-      if (lastTimestampStr && typeof lastTimestampStr === 'string') {
-         // ISO文字列をUTCナノ秒にパース
-        const currentNanoTs = TimestampUtil_.parseIsoString(lastTimestampStr, timezoneOffset);
-        if (currentNanoTs !== null) {
-          if (latestNanoTs === null || currentNanoTs > latestNanoTs) {
-            latestNanoTs = currentNanoTs;
-          }
-        } else {
-            Logger.log(`Warning: シート '${sheetName}' の最終行のタイムスタンプ文字列 '${lastTimestampStr}' のパースに失敗しました。`);
-        }
+/**
+ * 保持ポリシーにより削除する行数 (シート先頭からの行数) を求める
+ * 重複排除で比較する範囲 (protectedFromNanoTs 以降) の行は削除しない。削除すると Overlap で再取得したログが再び書き込まれるため。
+ * @param {Sheet} sheet - 対象シート
+ * @param {object} config - 設定オブジェクト
+ * @param {BigInt|null} cutoffNanoTs - この時刻 (UTCナノ秒) より古い行を削除する。経過日数で削除しない場合はnull
+ * @param {BigInt} protectedFromNanoTs - この時刻 (UTCナノ秒) 以降の行は削除しない
+ * @returns {number} 削除する行数
+ */
+function countExpiredRows_(sheet, config, cutoffNanoTs, protectedFromNanoTs) {
+  const lastRow = sheet.getLastRow();
+  const dataRows = lastRow - 1;
+  if (dataRows < 1) {
+    return 0;
+  }
+
+  // 行数の上限を超えた分
+  const rowsOverLimit = config.retentionMaxRows > 0 ? Math.max(0, dataRows - config.retentionMaxRows) : 0;
+  if (rowsOverLimit === 0 && cutoffNanoTs === null) {
+    return 0;
+  }
+  const header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const tsColIndex = header.indexOf(TIMESTAMP_COLUMN_NAME);
+  if (tsColIndex === -1) {
+    return rowsOverLimit;
+  }
+
+  // 先頭側から順に、行数の上限を超えた行または保持期間を過ぎた行を数える
+  let rowsToRemove = 0;
+  let chunkStartRow = 2;
+  while (chunkStartRow <= lastRow && rowsToRemove < RETENTION_MAX_ROWS_PER_RUN) {
+    const numRows = Math.min(RETENTION_SCAN_CHUNK_ROWS, lastRow - chunkStartRow + 1);
+    const timestamps = sheet.getRange(chunkStartRow, tsColIndex + 1, numRows, 1).getValues();
+    for (let i = 0; i < numRows; i++) {
+      const rowTsStr = timestamps[i][0];
+      const rowTsNano = rowTsStr && typeof rowTsStr === 'string' ? TimestampUtil_.parseIsoString(rowTsStr, config.timezone) : null;
+      const isExpired = rowsToRemove < rowsOverLimit ||
+          (cutoffNanoTs !== null && rowTsNano !== null && rowTsNano < cutoffNanoTs);
+      if (!isExpired || (rowTsNano !== null && rowTsNano >= protectedFromNanoTs)) {
+        return rowsToRemove;
       }
-    } catch (e) {
-        // BigInt変換エラーなども考慮
-        Logger.log(`Error: シート '${sheetName}' の最終タイムスタンプ処理中にエラー。 ${e}`);
+      rowsToRemove++;
     }
+    chunkStartRow += numRows;
   }
-  return latestNanoTs;
+  return rowsToRemove;
 }
 
 /**
- * metric_name に対応するシートを取得または作成する
- * @param {Spreadsheet} ss - 対象のスプレッドシート
- * @param {string} metricName - シート名となる metric_name
- * @returns {Sheet} 対象のシートオブジェクト
+ * シート先頭 (ヘッダーの次の行) から指定行数を削除する。アーカイブ先があれば先に移しておく
+ * @param {Sheet} sheet - 対象シート
+ * @param {number} numRows - 削除する行数
+ * @param {Spreadsheet|null} archiveSs - アーカイブ用スプレッドシート
  */
-function getOrCreateSheet_(ss, metricName) {
-  let sheet = ss.getSheetByName(metricName);
-  if (!sheet) {
-    sheet = ss.insertSheet(metricName);
-    Logger.log(`シート '${metricName}' を新規作成しました。`);
-    // 必要であればヘッダー行を初期化 (最初のデータ書き込み時に行う方が効率的)
-    // sheet.appendRow([TIMESTAMP_COLUMN_NAME]); // 例
+function removeOldestRows_(sheet, numRows, archiveSs) {
+  if (archiveSs) {
+    const lastCol = sheet.getLastColumn();
+    const header = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
+    const values = sheet.getRange(2, 1, numRows, lastCol).getValues();
+    appendRowsToArchive_(archiveSs, sheet.getName(), header, values);
   }
-  return sheet;
+  sheet.deleteRows(2, numRows);
+  Logger.log(`シート '${sheet.getName()}' から古い行を ${numRows} 件${archiveSs ? 'アーカイブしました' : '削除しました'}。`);
 }
 
 /**
- * ヘッダー行を更新し、新しいキーがあれば列を追加する
- * @param {Sheet} sheet - 対象のシート
- * @param {string[]} existingHeader - 現在のヘッダー配列
- * @param {string[]} newKeys - 新しいログに含まれる可能性のあるキーのセット
- * @returns {string[]} 更新後のヘッダー配列
+ * アーカイブ用スプレッドシートの同名のシートに行を追記する (列はヘッダー名で対応付ける)
+ * @param {Spreadsheet} archiveSs - アーカイブ用スプレッドシート
+ * @param {string} sheetName - シート名
+ * @param {string[]} header - 追記する行のヘッダー
+ * @param {Array<Array<any>>} values - 追記する行
  */
-function updateHeaderIfNeeded_(sheet, existingHeader, newKeys) {
-    const currentHeaderSet = new Set(existingHeader);
-    const keysToAdd = newKeys.filter(key => !currentHeaderSet.has(key));
-
-    if (keysToAdd.length > 0) {
-        const firstEmptyCol = existingHeader.length + 1;
-        sheet.getRange(1, firstEmptyCol, 1, keysToAdd.length).setValues([keysToAdd]);
-        Logger.log(`シート '${sheet.getName()}' のヘッダーに新しいキーを追加: ${keysToAdd.join(', ')}`);
-        return existingHeader.concat(keysToAdd);
+function appendRowsToArchive_(archiveSs, sheetName, header, values) {
+  const archiveSheet = getOrCreateSheet_(archiveSs, sheetName);
+  const keys = header.filter(key => key !== '');
+  let archiveHeader;
+  if (archiveSheet.getLastRow() < 1) {
+    archiveSheet.getRange(1, 1, 1, keys.length).setValues([keys]);
+    archiveHeader = keys;
+    if (archiveHeader.includes(HASH_COLUMN_NAME)) {
+      archiveSheet.hideColumns(archiveHeader.indexOf(HASH_COLUMN_NAME) + 1);
     }
-    return existingHeader; // 変更なし
+  } else {
+    archiveHeader = updateHeaderIfNeeded_(
+        archiveSheet, archiveSheet.getRange(1, 1, 1, archiveSheet.getLastColumn()).getValues()[0], keys);
+  }
+  const rows = values.map(row => archiveHeader.map(key => {
+    const index = header.indexOf(key);
+    return index === -1 ? '' : row[index];
+  }));
+  writeToSheet_(archiveSheet, rows, archiveHeader);
 }
 
 /**
- * 整形されたデータをシートに追記する
- * @param {Sheet} sheet - 対象のシート
- * @param {Array<Array<any>>} dataToWrite - 書き込むデータ (2次元配列)
+ * スプレッドシートのセル数が上限に近づいていれば警告する
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
  */
-function writeToSheet_(sheet, dataToWrite) {
-    if (dataToWrite && dataToWrite.length > 0) {
-        const startRow = sheet.getLastRow() + 1;
-        const numRows = dataToWrite.length;
-        const numCols = dataToWrite[0].length; // ヘッダーに基づいているはず
-        sheet.getRange(startRow, 1, numRows, numCols).setValues(dataToWrite);
-        Logger.log(`シート '${sheet.getName()}' に ${numRows} 件のログを追記しました。`);
-    } else {
-        Logger.log(`シート '${sheet.getName()}' への追記データはありません。`);
-    }
+function warnIfNearCellLimit_(ss) {
+  const totalCells = ss.getSheets().reduce((sum, sheet) => sum + sheet.getMaxRows() * sheet.getMaxColumns(), 0);
+  if (totalCells >= SPREADSHEET_CELL_LIMIT * SPREADSHEET_CELL_WARNING_RATIO) {
+    Logger.log(`Warning: スプレッドシートのセル数 (${totalCells}) が上限 (${SPREADSHEET_CELL_LIMIT}) に近づいています。` +
+        'RETENTION_MAX_ROWS, RETENTION_MAX_AGE_DAYS, SHEET_ROTATION, ARCHIVE_SPREADSHEET_ID の設定を検討してください。');
+  }
 }
 
 // --- Loki API 関連 ---
 
 /**
- * Lokiクエリの時間範囲 (unix秒) を計算する
- * @param {number|null} lastProcessedSeconds - 最新処理タイムスタンプ (unix秒)
- * @param {number} overlapSeconds - Overlap秒数
- * @returns {{startSeconds: number, endSeconds: number}} クエリの開始・終了時刻 (unix秒)
+ * Lokiクエリの時間範囲 (UTCナノ秒) を計算する
+ * 同期カーソルがあればその時刻を起点にし、なければシートから求めた最新処理タイムスタンプを使う。
+ * どちらもなければ INITIAL_LOOKBACK_SECONDS 遡った時刻から取得する。
+ * @param {{nanoTs: BigInt, entryKeys: string[]}|null} syncCursor - 保存済みの同期カーソル
+ * @param {number|null} lastProcessedSeconds - 同期カーソルがない場合に、シートから求めた最新処理タイムスタンプ (unix秒)
+ * @param {object} config - 設定オブジェクト
+ * @returns {{startNanoTs: BigInt, endNanoTs: BigInt, skippedRange: object|null}} クエリの開始・終了時刻 (UTCナノ秒) と、
+ *     追いつき方が backfill の場合に後回しにした範囲
  */
-function calculateLokiTimeRange_(lastProcessedSeconds, overlapSeconds) {
+function calculateLokiTimeRange_(syncCursor, lastProcessedSeconds, config) {
     const nowSeconds = Math.floor(Date.now() / 1000); // 現在時刻 (unix秒)
-    let startSeconds = nowSeconds - INITIAL_LOOKBACK_SECONDS;
+    // end は実行開始時点で固定し、ページング中に取得範囲が伸び続けないようにする。
+    // 取り込み途中のログを取りこぼさないよう、直近 LOKI_INGEST_DELAY_SECONDS 秒は次回以降に取得する
+    const endSeconds = nowSeconds - config.ingestDelaySeconds;
+    const endNanoTs = BigInt(endSeconds) * NANOS_PER_SECOND;
+    const overlapNanos = BigInt(config.overlapSeconds) * NANOS_PER_SECOND;
+    const lookbackStartNanoTs = BigInt(endSeconds - config.initialLookbackSeconds) * NANOS_PER_SECOND;
 
-    if (lastProcessedSeconds !== null && lastProcessedSeconds > nowSeconds - INITIAL_LOOKBACK_SECONDS) {
-        // 最後のログが1時間以内なら、最後のログを起点にログを検索する
-        startSeconds = lastProcessedSeconds - overlapSeconds;
+    let resumeCursor = syncCursor;
+    if (!resumeCursor && lastProcessedSeconds !== null) {
+        resumeCursor = { nanoTs: BigInt(lastProcessedSeconds) * NANOS_PER_SECOND, entryKeys: [] };
+    }
+    if (!resumeCursor) {
+        // 初回実行
+        return { startNanoTs: lookbackStartNanoTs, endNanoTs, skippedRange: null };
     }
 
-    // end は指定しない (Lokiサーバーの現在時刻まで)
-    // APIによっては end を指定する必要があるかもしれないが、Lokiは省略可能
-    const endSeconds = nowSeconds; // 参考情報として返す
+    const catchupLimitNanoTs = BigInt(endSeconds - config.catchupMaxSeconds) * NANOS_PER_SECOND;
+    if (config.catchupPolicy === 'backfill' && resumeCursor.nanoTs < catchupLimitNanoTs && resumeCursor.nanoTs < lookbackStartNanoTs) {
+        // 直近の分を先に取得し、前回の続きから直近の分の手前まではバックフィルに回す
+        const skippedRange = { startNanoTs: resumeCursor.nanoTs, endNanoTs: lookbackStartNanoTs, cursor: syncCursor };
+        return { startNanoTs: lookbackStartNanoTs, endNanoTs, skippedRange };
+    }
 
-    return { startSeconds, endSeconds };
+    // どれだけ古くても前回の続きから取得する。
+    // 前回の実行で取り切った end が同期カーソルになっているため、Overlap なしでも取得範囲は隙間なく連続する
+    return { startNanoTs: resumeCursor.nanoTs - overlapNanos, endNanoTs, skippedRange: null };
 }
 
 /**
- * Loki API からログを取得する
+ * Loki API からログを1ページ分取得する
+ * LOKI_QUERY_TYPE が metric の場合は、METRIC_STEP_SECONDS ごとに評価したメトリッククエリの値を取得する。
+ * 一時的なエラー (429, 5xx, タイムアウトなどの通信エラー) は、指数バックオフ (ジッター付き) で LOKI_MAX_RETRIES 回まで再試行する。
+ * Retry-After ヘッダーがあれば、その時間以上待ってから再試行する。再試行を待つと打ち切り期限を過ぎる場合は再試行しない。
  * @param {object} config - 設定オブジェクト
- * @param {number} startSeconds - クエリ開始時刻 (unix秒)
- * @param {number} endSeconds - クエリ終了時刻 (unix秒、Loki APIでは通常 end は省略可能)
- * @returns {Array<object>|null} Lokiログの配列。失敗時はnull
+ * @param {BigInt} startNanoTs - クエリ開始時刻 (UTCナノ秒、この時刻を含む)
+ * @param {BigInt} endNanoTs - クエリ終了時刻 (UTCナノ秒、この時刻は含まない)
+ * @param {{deadlineMs: number}} run - 実行コンテキスト
+ * @returns {Array<{nanoTs: BigInt, line: string, labels: object}>|null} タイムスタンプ昇順のログ (最大 LOKI_QUERY_LIMIT 件)。
+ *     メトリッククエリの場合は評価時刻ごと・系列ごとの値 (line は値の文字列、labels は系列のラベル)。
+ *     一時的なエラーで取得できなかった場合はnull
+ * @throws {Error} 再試行しても成功しないエラー (400: LogQL の誤り、401/403: 認証エラー、LOKI_QUERY_TYPE と合わない結果など) の場合
  */
-function fetchLogsFromLoki_(config, startSeconds, endSeconds) {
+function fetchLogsFromLoki_(config, startNanoTs, endNanoTs, run) {
   // LogQLクエリの構築
-  // end は指定しない例
   const query = encodeURIComponent(`${config.baseQuery}`);
-  const url = `${config.lokiApiEndpoint}/loki/api/v1/query_range` +
-              `?query=${query}` +
-              `&start=${startSeconds}000000000` +
-              // `&end=${endSeconds}000000000` + // 通常 end は省略可能
-              `&limit=${config.queryLimit}` +
-              `&direction=forward`; // 古いものから取得
+  let url = `${config.lokiApiEndpoint}/loki/api/v1/query_range` +
+            `?query=${query}` +
+            `&start=${startNanoTs}` +
+            `&end=${endNanoTs}`;
+  if (config.queryType === 'metric') {
+    url += `&step=${config.metricStepSeconds}`;
+  } else {
+    url += `&limit=${config.queryLimit}` +
+           `&direction=forward`; // 古いものから取得
+  }
 
   const options = {
     method: 'get',
@@ -291,79 +3087,259 @@ function fetchLogsFromLoki_(config, startSeconds, endSeconds) {
 
   Logger.log(`Lokiクエリ実行: ${url}`);
 
-  try {
-    const response = UrlFetchApp.fetch(url, options);
-    const responseCode = response.getResponseCode();
-    const responseBody = response.getContentText();
-
-    if (responseCode === 200) {
-      const jsonResponse = JSON.parse(responseBody);
-      if (jsonResponse.status === 'success' && jsonResponse.data && jsonResponse.data.result) {
-        // Lokiのレスポンス形式 (query_range) に合わせてログデータを抽出・整形
-        const logs = [];
-        jsonResponse.data.result.forEach(stream => {
-          stream.values.forEach(value => {
-            try {
-                // value[0] は Unix epoch nano seconds (string)
-                // value[1] は ログメッセージ (string)
-                const timestampNanoStr = value[0];
-                const logLine = value[1];
-
-                // ログメッセージがJSON形式であることを期待
-                const logJson = JSON.parse(logLine);
-
-                // Lokiのタイムスタンプをログオブジェクトに追加 (処理しやすいように)
-                logJson[TIMESTAMP_COLUMN_NAME] = timestampNanoStr; // BigIntに変換するのは後段で行う
-                logs.push(logJson);
-            } catch (parseError) {
-                Logger.log(`Warning: ログ行のJSONパースに失敗しました。スキップします。Line: ${value[1]}, Error: ${parseError}`);
-            }
-          });
-        });
-         // 時系列順 (古い->新しい) にソートされているはずだが、念のためソート
-        logs.sort((a, b) => {
-            const tsA = BigInt(a[TIMESTAMP_COLUMN_NAME]);
-            const tsB = BigInt(b[TIMESTAMP_COLUMN_NAME]);
-            if (tsA < tsB) return -1;
-            if (tsA > tsB) return 1;
-            return 0;
-        });
-        return logs;
+  for (let attempt = 0; ; attempt++) {
+    let retryAfterMs = 0;
+    let response = null;
+    try {
+      response = UrlFetchApp.fetch(url, options);
+    } catch (e) {
+      // タイムアウトや DNS エラーなどの通信エラー
+      Logger.log(`Warning: Loki APIへの接続中にエラーが発生しました (${attempt + 1} 回目)。 ${e}`);
+    }
+
+    if (response) {
+      const responseCode = response.getResponseCode();
+      const responseBody = response.getContentText();
+      if (responseCode === 200) {
+        const entries = parseLokiResponse_(responseBody, config.queryType);
+        if (entries) {
+          return entries;
+        }
+      } else if (LOKI_RETRYABLE_STATUS_CODES.includes(responseCode)) {
+        retryAfterMs = parseRetryAfterMs_(response.getHeaders());
+        Logger.log(`Warning: Loki APIへのリクエストが一時的なエラーで失敗しました (${attempt + 1} 回目)。 Status Code: ${responseCode}, Response: ${responseBody}`);
       } else {
-        Logger.log(`Error: Loki APIから成功ステータスでない応答がありました。Status: ${jsonResponse.status}, Message: ${jsonResponse.message || responseBody}`);
-        return null;
+        // 設定を直すまで成功しないため、再試行せずにジョブを失敗とする
+        throw new Error(`Loki APIへのリクエストが再試行できないエラーで失敗しました (LOKI_BASE_QUERY や認証情報を確認してください)。` +
+            ` Status Code: ${responseCode}, Response: ${responseBody}`);
       }
-    } else {
-      Logger.log(`Error: Loki APIへのリクエストに失敗しました。 Status Code: ${responseCode}, Response: ${responseBody}`);
+    }
+
+    if (attempt >= config.maxRetries) {
+      Logger.log(`Error: Loki APIへのリクエストが ${attempt + 1} 回失敗したため、取得を中断します。`);
+      return null;
+    }
+    const backoffMs = Math.min(LOKI_RETRY_MAX_DELAY_MS, config.retryBaseSeconds * 1000 * Math.pow(2, attempt));
+    const delayMs = Math.max(retryAfterMs, Math.round(backoffMs * (0.5 + Math.random() / 2)));
+    if (Date.now() + delayMs >= run.deadlineMs) {
+      Logger.log(`Error: 再試行を待つと実行時間の上限を超えるため、取得を中断します (待ち時間: ${delayMs} ミリ秒)。`);
       return null;
     }
+    Logger.log(`${delayMs} ミリ秒後に再試行します。`);
+    Utilities.sleep(delayMs);
+  }
+}
+
+/**
+ * Loki API (query_range) のレスポンスからログを取り出す
+ * ログのクエリの結果 (streams) はログ行を、メトリッククエリの結果 (matrix、インスタントクエリの場合は vector) は
+ * 評価時刻ごと・系列ごとの値を、同じ形 (line は値の文字列、labels は系列のラベル) で取り出す。
+ * @param {string} responseBody - レスポンスの本文
+ * @param {string} queryType - クエリの種類 (LOKI_QUERY_TYPES)
+ * @returns {Array<{nanoTs: BigInt, line: string, labels: object}>|null} タイムスタンプ昇順のログ。レスポンスが不正な場合はnull
+ * @throws {Error} 結果の種類がクエリの種類と合わない場合 (LOKI_BASE_QUERY と LOKI_QUERY_TYPE の組み合わせの誤り)
+ */
+function parseLokiResponse_(responseBody, queryType) {
+  let jsonResponse;
+  try {
+    jsonResponse = JSON.parse(responseBody);
   } catch (e) {
-    Logger.log(`Error: Loki APIへの接続またはレスポンス処理中にエラーが発生しました。 ${e}\nStack: ${e.stack}`);
+    // ゲートウェイで途中まで返されたレスポンスなど
+    Logger.log(`Warning: Loki APIのレスポンスを JSON として読み込めませんでした。 ${e}`);
+    return null;
+  }
+  if (jsonResponse.status !== 'success' || !jsonResponse.data || !jsonResponse.data.result) {
+    Logger.log(`Warning: Loki APIから成功ステータスでない応答がありました。Status: ${jsonResponse.status}, Message: ${jsonResponse.message || responseBody}`);
     return null;
   }
+
+  const resultType = jsonResponse.data.resultType || 'streams';
+  const expectedResultTypes = queryType === 'metric' ? ['matrix', 'vector'] : ['streams'];
+  if (!expectedResultTypes.includes(resultType)) {
+    throw new Error(`Loki APIの結果の種類 (${resultType}) が LOKI_QUERY_TYPE (${queryType}) と合いません。` +
+        (queryType === 'metric' ? 'LOKI_BASE_QUERY を count_over_time などのメトリッククエリにしてください。' : 'メトリッククエリの場合は LOKI_QUERY_TYPE を metric にしてください。'));
+  }
+
+  // Lokiのレスポンス形式 (query_range) からログを抽出
+  const entries = [];
+  jsonResponse.data.result.forEach(stream => {
+    if (resultType !== 'streams') {
+      // series.metric は系列のラベルセット、values (vector の場合は value) は [Unix epoch seconds (number), 値 (string)]
+      const samples = resultType === 'matrix' ? stream.values : [stream.value];
+      samples.forEach(sample => {
+        entries.push({ nanoTs: TimestampUtil_.parseUnixSeconds(sample[0]), line: String(sample[1]), labels: stream.metric || {} });
+      });
+      return;
+    }
+    const labels = stream.stream || {}; // ストリームのラベルセット
+    stream.values.forEach(value => {
+      // value[0] は Unix epoch nano seconds (string)
+      // value[1] は ログメッセージ (string)
+      entries.push({ nanoTs: BigInt(value[0]), line: value[1], labels });
+    });
+  });
+  // ストリームをまたいで時系列順 (古い->新しい) に並べる
+  entries.sort((a, b) => {
+      if (a.nanoTs < b.nanoTs) return -1;
+      if (a.nanoTs > b.nanoTs) return 1;
+      return 0;
+  });
+  return entries;
+}
+
+/**
+ * Retry-After ヘッダーの値 (秒数または HTTP 日付) を待ち時間に変換する
+ * @param {Object<string, string>} headers - レスポンスヘッダー
+ * @returns {number} 待ち時間 (ミリ秒)。ヘッダーがない場合や読み込めない場合は0
+ */
+function parseRetryAfterMs_(headers) {
+  const name = Object.keys(headers || {}).find(key => key.toLowerCase() === 'retry-after');
+  if (!name) {
+    return 0;
+  }
+  const value = String(headers[name]).trim();
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+  const dateMs = new Date(value).getTime();
+  return isNaN(dateMs) ? 0 : Math.max(0, dateMs - Date.now());
 }
 
 // --- データ処理関連 ---
 
 /**
- * Lokiログの前処理とmetric_nameごとのグループ化
- * @param {Array<object>} lokiLogs - Lokiから取得したログの配列
+ * Lokiから取得したログ行をパースする
+ * パーサーはストリームのラベルに一致する LOG_PARSER_RULES のルール、なければ LOG_FORMAT で選ぶ。
+ * @param {Array<{nanoTs: BigInt, line: string, labels: object}>} entries - Lokiから取得したログ
+ * @param {object} config - 設定オブジェクト
+ * @param {Array<{entry: object, reason: string}>} deadLetters - パースに失敗したログと理由を追加する配列
+ * @returns {Array<{entry: object, log: object}>} 元のログと、パース済みのログオブジェクト (タイムスタンプはUTCナノ秒の文字列) の組の配列
+ */
+function parseLogEntries_(entries, config, deadLetters) {
+  if (config.queryType === 'metric') {
+    return parseMetricSamples_(entries);
+  }
+  const records = [];
+  for (const entry of entries) {
+    const parser = LogParser_.selectParser(config.parserRules, config.defaultParser, entry.labels);
+    try {
+      let log = LogParser_.parse(entry.line, parser);
+      if (config.flattenDepth > 0) {
+        log = flattenLog_(log, config.flattenDepth, config.flattenArrays);
+      }
+      if (config.includeStreamLabels) {
+        mergeStreamLabels_(log, entry.labels, config);
+      }
+
+      // Lokiのタイムスタンプをログオブジェクトに追加 (処理しやすいように)
+      log[TIMESTAMP_COLUMN_NAME] = entry.nanoTs.toString(); // BigIntに変換するのは後段で行う
+      records.push({ entry, log });
+    } catch (parseError) {
+      Logger.log(`Warning: ログ行のパース (${parser.format}) に失敗しました。スキップします。Line: ${entry.line}, Error: ${parseError}`);
+      deadLetters.push({ entry, reason: `パース (${parser.format}) に失敗: ${parseError}` });
+    }
+  }
+  return records;
+}
+
+/**
+ * メトリッククエリの値を、系列のラベルと値 (value 列) を持つログオブジェクトにする
+ * 値は数値にする (NaN や +Inf などの数値にできない値は文字列のまま)。
+ * @param {Array<{nanoTs: BigInt, line: string, labels: object}>} samples - Lokiから取得した値 (line は値の文字列)
+ * @returns {Array<{entry: object, log: object}>} 元の値と、ログオブジェクト (タイムスタンプはUTCナノ秒の文字列) の組の配列
+ */
+function parseMetricSamples_(samples) {
+  return samples.map(sample => {
+    const log = Object.assign({}, sample.labels);
+    const value = Number(sample.line);
+    log[METRIC_VALUE_COLUMN_NAME] = sample.line.trim() !== '' && isFinite(value) ? value : sample.line;
+    log[TIMESTAMP_COLUMN_NAME] = sample.nanoTs.toString();
+    return { entry: sample, log };
+  });
+}
+
+/**
+ * ネストしたオブジェクトを parent.child 形式のキーに展開する
+ * maxDepth 階層より深いオブジェクトは展開せず、そのまま (書き込み時にJSON文字列として) 残す。
+ * @param {object} log - ログオブジェクト
+ * @param {number} maxDepth - 展開する最大の階層数
+ * @param {string} arrayMode - 配列の扱い (index: items.0.id のように展開、join: カンマ区切りの文字列にする)
+ * @returns {object} 展開後のログオブジェクト
+ */
+function flattenLog_(log, maxDepth, arrayMode) {
+  const flattened = {};
+  const walk = (obj, prefix, depth) => {
+    Object.keys(obj).forEach(key => {
+      const value = obj[key];
+      const path = prefix === '' ? key : `${prefix}${FLATTEN_KEY_SEPARATOR}${key}`;
+      const canExpand = depth < maxDepth && value !== null && typeof value === 'object';
+      if (canExpand && Array.isArray(value) && arrayMode === 'join') {
+        flattened[path] = value.map(item => (item !== null && typeof item === 'object' ? JSON.stringify(item) : String(item))).join(',');
+      } else if (canExpand && Object.keys(value).length > 0) {
+        walk(value, path, depth + 1);
+      } else {
+        flattened[path] = value; // 空のオブジェクト・配列や、最大の階層を超えた値はそのまま
+      }
+    });
+  };
+  walk(log, '', 0);
+  return flattened;
+}
+
+/**
+ * ストリームのラベルを、プレフィックスを付けたキーとしてログオブジェクトに追加する
+ * STREAM_LABEL_ALLOWLIST が指定されていればそのラベルのみ、STREAM_LABEL_DENYLIST のラベルは除いて追加する。
+ * ログ自体に同じキーがある場合は、ログの値を優先する。
+ * @param {object} log - ログオブジェクト (直接変更される)
+ * @param {object} labels - ストリームのラベルセット
+ * @param {object} config - 設定オブジェクト
+ */
+function mergeStreamLabels_(log, labels, config) {
+  Object.keys(labels).forEach(name => {
+    if (config.streamLabelAllowlist.length > 0 && !config.streamLabelAllowlist.includes(name)) {
+      return;
+    }
+    if (config.streamLabelDenylist.includes(name)) {
+      return;
+    }
+    const key = `${config.streamLabelPrefix}${name}`;
+    if (!(key in log)) {
+      log[key] = labels[name];
+    }
+  });
+}
+
+/**
+ * Lokiログの前処理とmetric_name (振り分け先のシート名) ごとのグループ化
+ * @param {Array<{entry: object, log: object}>} records - パース済みのログ
+ * @param {object} config - 設定オブジェクト
+ * @param {Array<{entry: object, reason: string}>} deadLetters - 振り分けできなかったログと理由を追加する配列
  * @returns {object} metric_nameをキー、ログ配列を値とするオブジェクト
  */
-function preprocessAndGroupLogs_(lokiLogs) {
+function preprocessAndGroupLogs_(records, config, deadLetters) {
   const groupedLogs = {};
 
-  for (const log of lokiLogs) {
-    // 1. metric_name の存在確認
-    const metricName = log.metric_name;
-    if (metricName === undefined || metricName === null || metricName === '') {
-      Logger.log(`Warning: 'metric_name' が存在しないログをスキップします。Log: ${JSON.stringify(log)}`);
+  for (const { entry, log } of records) {
+    // 1. 振り分けキーの値を取得 (METRIC_SHEET_NAME がある場合は、全ての値をそのシートに書き込む)
+    let metricName = config.metricSheetName || resolveMetricName_(log, entry.labels, config.routingKey);
+    if (metricName === null) {
+      Logger.log(`Warning: 振り分けキー (${config.routingKey}) の値が存在しないログをスキップします。Log: ${JSON.stringify(log)}`);
+      deadLetters.push({ entry, reason: `振り分けキー (${config.routingKey}) の値が存在しない` });
       continue;
     }
 
-    // 2. metric_name の形式検証
-    if (!ALLOWED_METRIC_NAME_REGEX.test(metricName)) {
-        Logger.log(`Warning: 'metric_name' ("${metricName}") に許可されない文字が含まれるためスキップします。Log: ${JSON.stringify(log)}`);
+    // 2. metric_name の形式検証 (ROUTING_SANITIZE が有効なら使えない文字を置き換える)
+    if (config.routingSanitize) {
+      metricName = sanitizeMetricName_(metricName);
+    }
+    if (!ALLOWED_METRIC_NAME_REGEX.test(metricName) || metricName.length > MAX_SHEET_NAME_LENGTH) {
+        Logger.log(`Warning: 振り分けキーの値 ("${metricName}") に許可されない文字が含まれるためスキップします。Log: ${JSON.stringify(log)}`);
+        deadLetters.push({ entry, reason: `振り分けキーの値 ("${metricName}") に許可されない文字が含まれる` });
+        continue;
+    }
+    if (metricName.startsWith(IGNORED_SHEET_PREFIX)) {
+        Logger.log(`シート名が '${IGNORED_SHEET_PREFIX}' で始まるためスキップ: ${metricName}`);
+        deadLetters.push({ entry, reason: `振り分けキーの値 ("${metricName}") が '${IGNORED_SHEET_PREFIX}' で始まる` });
         continue;
     }
 
@@ -371,47 +3347,334 @@ function preprocessAndGroupLogs_(lokiLogs) {
     if (!groupedLogs[metricName]) {
       groupedLogs[metricName] = [];
     }
-    // タイムスタンプを BigInt に変換して格納
-    try {
-        log[TIMESTAMP_COLUMN_NAME] = BigInt(log[TIMESTAMP_COLUMN_NAME]);
-        groupedLogs[metricName].push(log);
-    } catch (e) {
-        Logger.log(`Warning: タイムスタンプのBigInt変換に失敗したログをスキップします。Timestamp: ${log[TIMESTAMP_COLUMN_NAME]}, Error: ${e}`);
+    // タイムスタンプを BigInt に変換して格納
+    try {
+        log[TIMESTAMP_COLUMN_NAME] = BigInt(log[TIMESTAMP_COLUMN_NAME]);
+        // 列に出力しないラベルも含めたストリームのラベルセットで、別のストリームの同じ内容のログを区別する
+        log[SERIES_KEY_PROPERTY] = LogHasher_.calculateSeriesKey(log[TIMESTAMP_COLUMN_NAME], entry.labels);
+        groupedLogs[metricName].push(log);
+    } catch (e) {
+        Logger.log(`Warning: タイムスタンプのBigInt変換に失敗したログをスキップします。Timestamp: ${log[TIMESTAMP_COLUMN_NAME]}, Error: ${e}`);
+        deadLetters.push({ entry, reason: `タイムスタンプの変換に失敗: ${e}` });
+    }
+  }
+  return groupedLogs;
+}
+
+/**
+ * 振り分けキー (ROUTING_KEY) からログの振り分け先 (metric_name) を求める
+ * 振り分けキーには次のいずれかを指定できる。
+ * - JSONのフィールドのパス (例: metric_name, a.b.c)
+ * - ストリームのラベル (例: label:app)
+ * - 上記を {} で囲んで組み合わせたテンプレート (例: {label:app}-{level})
+ * @param {object} log - ログオブジェクト
+ * @param {object} labels - ストリームのラベルセット
+ * @param {string} routingKey - 振り分けキー
+ * @returns {string|null} 振り分け先。値が存在しない場合はnull
+ */
+function resolveMetricName_(log, labels, routingKey) {
+  if (!routingKey.includes('{')) {
+    return resolveRoutingValue_(log, labels, routingKey);
+  }
+  let hasMissingValue = false;
+  const metricName = routingKey.replace(/\{([^{}]+)\}/g, (_, spec) => {
+    const value = resolveRoutingValue_(log, labels, spec.trim());
+    if (value === null) {
+      hasMissingValue = true;
+      return '';
+    }
+    return value;
+  });
+  return hasMissingValue ? null : metricName;
+}
+
+/**
+ * 振り分けキーの1要素 (フィールドのパスまたはラベル) の値を文字列で取得する
+ * @param {object} log - ログオブジェクト
+ * @param {object} labels - ストリームのラベルセット
+ * @param {string} spec - フィールドのパス (a.b.c) または label:ラベル名
+ * @returns {string|null} 値。存在しない、空、またはオブジェクトの場合はnull
+ */
+function resolveRoutingValue_(log, labels, spec) {
+  let value;
+  if (spec.startsWith(ROUTING_LABEL_PREFIX)) {
+    value = (labels || {})[spec.substring(ROUTING_LABEL_PREFIX.length)];
+  } else if (spec in log) {
+    value = log[spec]; // "a.b" のようにドットを含むキーそのものを優先
+  } else {
+    value = spec.split('.').reduce((obj, key) =>
+        (obj !== null && typeof obj === 'object' ? obj[key] : undefined), log);
+  }
+  if (value === undefined || value === null || value === '' || typeof value === 'object') {
+    return null;
+  }
+  return String(value);
+}
+
+/**
+ * シート名に使えない文字を '_' に置き換え、最大文字数に切り詰める
+ * @param {string} metricName - 振り分けキーの値
+ * @returns {string} シート名として使える文字列
+ */
+function sanitizeMetricName_(metricName) {
+  return metricName.replace(DISALLOWED_METRIC_NAME_CHARS_REGEX, '_').substring(0, MAX_SHEET_NAME_LENGTH);
+}
+
+/**
+ * _schema シートからシートごとの列の定義 (スキーマ) を読み込む
+ * 1行目はヘッダー (sheet, key, column, type, include) で、2行目以降の各行が1つのキーの定義になる。
+ * - sheet: 対象のシート名 (metric_name)。"*" は全てのシート
+ * - key: ログのキー。"*" は定義されていない全てのキー (include で含めるかどうかだけを指定する)
+ * - column: 列名 (省略時はキーと同じ)
+ * - type: 値の型 (string, number, boolean, date。省略時は変換しない)
+ * - include: FALSE なら列に含めない (省略時は TRUE)
+ * @param {Spreadsheet} ss - 対象のスプレッドシート
+ * @returns {Array<{sheet: string, key: string, column: string, type: string, include: boolean}>} 定義の行 (シートに書かれた順)
+ */
+function loadSchemaRules_(ss) {
+  const sheet = ss.getSheetByName(SCHEMA_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+  const values = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+  const header = values[0].map(name => String(name).trim().toLowerCase());
+  if (!header.includes('sheet') || !header.includes('key')) {
+    Logger.log(`Warning: シート '${SCHEMA_SHEET_NAME}' のヘッダーに sheet, key の列がないため、スキーマを使用しません。`);
+    return [];
+  }
+
+  const rules = [];
+  values.slice(1).forEach((row, index) => {
+    const cell = name => (header.includes(name) ? String(row[header.indexOf(name)]).trim() : '');
+    const sheetName = cell('sheet');
+    const key = cell('key');
+    if (!sheetName || !key) {
+      return; // 空行
+    }
+    let type = cell('type').toLowerCase();
+    if (type && !SCHEMA_VALUE_TYPES.includes(type)) {
+      Logger.log(`Warning: シート '${SCHEMA_SHEET_NAME}' の ${index + 2} 行目の type ('${type}') が不正です。型を変換しません。`);
+      type = '';
+    }
+    const include = !['false', 'no', '0'].includes(cell('include').toLowerCase());
+    rules.push({ sheet: sheetName, key, column: cell('column') || key, type, include });
+  });
+  return rules;
+}
+
+/**
+ * シートに適用するスキーマを求める
+ * シート個別の定義を "*" (全てのシート) の定義より優先する。月ごとに分割したシートには、分割前のシート名の定義を使う。
+ * @param {Array<object>} rules - loadSchemaRules_ で読み込んだ定義
+ * @param {string} sheetName - シート名
+ * @param {object} config - 設定オブジェクト
+ * @returns {{keyRules: Map<string, object>, includeUnlisted: boolean, columnOrder: string[], columnFormats: Object<string, string>}|null}
+ *     スキーマ。定義がない場合はnull
+ */
+function resolveSheetSchema_(rules, sheetName, config) {
+  const baseName = config.sheetRotation === 'monthly' ? sheetName.replace(ROTATED_SHEET_NAME_REGEX, '') : sheetName;
+  const sheetRules = rules.filter(rule => rule.sheet === sheetName || rule.sheet === baseName)
+      .concat(rules.filter(rule => rule.sheet === SCHEMA_WILDCARD));
+  if (sheetRules.length === 0) {
+    return null;
+  }
+
+  const keyRules = new Map();
+  let unlistedRule = null;
+  sheetRules.forEach(rule => {
+    if (rule.key === SCHEMA_WILDCARD) {
+      unlistedRule = unlistedRule || rule;
+    } else if (!keyRules.has(rule.key)) {
+      keyRules.set(rule.key, rule);
+    }
+  });
+
+  const columnOrder = [];
+  const columnFormats = {};
+  keyRules.forEach(rule => {
+    if (!rule.include) return;
+    columnOrder.push(rule.column);
+    if (rule.type === 'string') {
+      columnFormats[rule.column] = PLAIN_TEXT_NUMBER_FORMAT;
+    } else if (rule.type === 'date') {
+      columnFormats[rule.column] = DATETIME_NUMBER_FORMAT;
+    }
+  });
+  return { keyRules, includeUnlisted: unlistedRule ? unlistedRule.include : true, columnOrder, columnFormats };
+}
+
+/**
+ * スキーマに従って、ログのキーの選択・列名の変更・値の型変換を行う
+ * タイムスタンプ列などスクリプトが管理する列はそのまま残す。
+ * @param {object} log - ログオブジェクト
+ * @param {object} schema - resolveSheetSchema_ の戻り値
+ * @returns {object} 列名をキーとする新しいログオブジェクト
+ */
+function applySheetSchema_(log, schema) {
+  const result = { [SERIES_KEY_PROPERTY]: log[SERIES_KEY_PROPERTY] };
+  for (const key of Object.keys(log)) {
+    if (key === TIMESTAMP_COLUMN_NAME || DERIVED_COLUMN_NAMES.includes(key)) {
+      result[key] = log[key];
+      continue;
+    }
+    const rule = schema.keyRules.get(key);
+    if (rule ? !rule.include : !schema.includeUnlisted) {
+      continue;
+    }
+    result[rule ? rule.column : key] = rule && rule.type ? castSchemaValue_(log[key], rule.type) : log[key];
+  }
+  return result;
+}
+
+/**
+ * スキーマで指定された型に値を変換する。変換できない値はそのまま返す
+ * @param {any} value - 値
+ * @param {string} type - 型 (string, number, boolean, date)
+ * @returns {any} 変換後の値
+ */
+function castSchemaValue_(value, type) {
+  if (value === undefined || value === null || value === '') {
+    return value;
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+  switch (type) {
+    case 'string':
+      return typeof value === 'object' ? text : String(value);
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(text);
+      return text !== '' && isFinite(number) ? number : value;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      if (['true', '1', 'yes'].includes(text.toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(text.toLowerCase())) return false;
+      return value;
+    }
+    case 'date': {
+      // 数値 (または数字だけの文字列) は Unix 時刻として扱う (1e12 未満は秒、それ以上はミリ秒)
+      const epoch = typeof value === 'number' ? value : (/^\d+$/.test(text) ? Number(text) : null);
+      const date = epoch !== null ? new Date(epoch < 1e12 ? epoch * 1000 : epoch) : new Date(text);
+      return isNaN(date.getTime()) ? value : date;
     }
+    default:
+      return value;
   }
-  return groupedLogs;
 }
 
 /**
- * 特定の metric_name のロググループを処理する
+ * 新しく追加する列を、スキーマで定義された列順に並べる
+ * 定義された列を定義順に先頭に置き、定義されていない列は元の順序のまま後ろに置く。
+ * @param {string[]} columns - 新しく追加する列名
+ * @param {string[]} columnOrder - スキーマで定義された列名の順
+ * @returns {string[]} 並べ替えた列名
+ */
+function orderColumnsBySchema_(columns, columnOrder) {
+  if (!columnOrder || columnOrder.length === 0) {
+    return columns;
+  }
+  const rank = column => {
+    const index = columnOrder.indexOf(column);
+    return index === -1 ? columnOrder.length : index;
+  };
+  return columns.map((column, index) => ({ column, index }))
+      .sort((a, b) => rank(a.column) - rank(b.column) || a.index - b.index)
+      .map(item => item.column);
+}
+
+/**
+ * metric_name ごとのログを、さらにタイムスタンプの年月 (記録用タイムゾーン) ごとのシートに分ける
+ * シート名は metric_YYYYMM になる。ログの書き込み先はタイムスタンプだけで決まるため、重複排除は各シート内で完結する。
+ * @param {Object<string, Array<object>>} groupedLogs - metric_name をキーとするログのグループ
+ * @param {string} timezone - 記録用タイムゾーン (+HH:MM または IANA タイムゾーン名)
+ * @returns {Object<string, Array<object>>} シート名をキーとするログのグループ
+ */
+function splitGroupsByMonth_(groupedLogs, timezone) {
+  const sheetGroups = {};
+  for (const metricName in groupedLogs) {
+    const baseName = metricName.substring(0, MAX_SHEET_NAME_LENGTH - 7); // "_YYYYMM" の分を空ける
+    groupedLogs[metricName].forEach(log => {
+      const isoString = TimestampUtil_.formatToIsoString(log[TIMESTAMP_COLUMN_NAME], timezone);
+      const sheetName = `${baseName}_${isoString.substring(0, 4)}${isoString.substring(5, 7)}`;
+      if (!sheetGroups[sheetName]) {
+        sheetGroups[sheetName] = [];
+      }
+      sheetGroups[sheetName].push(log);
+    });
+  }
+  return sheetGroups;
+}
+
+/**
+ * 特定の metric_name のロググループを処理する (SpreadsheetApp で書き込む)
  * @param {Spreadsheet} ss - 対象のスプレッドシート
  * @param {string} metricName - 処理対象の metric_name
  * @param {Array<object>} logs - 対象のログ配列 (タイムスタンプはBigInt)
- * @param {string} timezoneOffset - 記録用タイムゾーンオフセット (+HH:MM)
+ * @param {object} config - 設定オブジェクト
+ * @param {object|null} schema - シートのスキーマ (resolveSheetSchema_ の戻り値)。定義がない場合はnull
+ * @returns {number} 追記した行数
  */
-function processMetricGroup_(ss, metricName, logs, timezoneOffset) {
+function processMetricGroup_(ss, metricName, logs, config, schema) {
   if (!logs || logs.length === 0) {
     Logger.log(`metric_name '${metricName}' に処理対象ログはありません。`);
-    return;
+    return 0;
   }
 
   const sheet = getOrCreateSheet_(ss, metricName);
   const lastRow = sheet.getLastRow();
   let header = [];
-  let existingData = []; // シートの既存データ（比較用）
-
   if (lastRow > 0) {
     const lastCol = sheet.getLastColumn();
     if (lastCol > 0) {
         header = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
     }
   }
-  // ヘッダーがない場合は、最初のログのキーから作成する準備
-  const initialHeader = header.length > 0 ? header : [TIMESTAMP_COLUMN_NAME, ...Object.keys(logs[0])];
+
+  const plan = planMetricGroup_({ name: metricName, sheet, lastRow, header }, logs, config, schema);
+  applySheetPlan_(sheet, plan);
+  return plan.dataToWrite.length;
+}
+
+/**
+ * ロググループの書き込み内容 (重複排除後の追記データと更新後のヘッダー) を求める
+ * シートへの書き込みは行わない (SpreadsheetApp と Sheets API の書き込みで共通)。
+ * @param {{name: string, sheet: Sheet|null, lastRow: number, header: string[]}} sheetState - シートの現在の状態 (未作成のシートは sheet が null、lastRow が 0)
+ * @param {Array<object>} logs - 対象のログ配列 (タイムスタンプはBigInt)
+ * @param {object} config - 設定オブジェクト
+ * @param {object|null} schema - シートのスキーマ。定義がない場合はnull
+ * @returns {{sheetName: string, header: string[], updatedHeader: string[], dataToWrite: Array<Array<any>>, insertBeforeRows: Array<number|null>,
+ *     columnFormats: Object<string, string>}} 書き込み内容。insertBeforeRows は行ごとの挿入位置 (null はシート末尾への追記)
+ */
+function planMetricGroup_(sheetState, logs, config, schema) {
+  // ヘッダーがない場合は、先頭の列だけ用意する (ログのキーの列は重複排除の際に追加される)
+  const leadingColumns = config.writeDatetimeColumn
+      ? [TIMESTAMP_COLUMN_NAME, DATETIME_COLUMN_NAME, HASH_COLUMN_NAME]
+      : [TIMESTAMP_COLUMN_NAME, HASH_COLUMN_NAME];
+  const initialHeader = sheetState.header.length > 0 ? sheetState.header : leadingColumns;
+
+  // スキーマがあれば、列の選択・列名の変更・型変換をしたログにする (重複排除のハッシュもこのログで計算する)
+  const sheetLogs = schema ? logs.map(log => applySheetSchema_(log, schema)) : logs;
 
   // 重複排除と追記データの準備
-  const { dataToWrite, updatedHeader } = deduplicateAndPrepareData_(sheet, initialHeader, logs, timezoneOffset);
+  const { dataToWrite, insertBeforeRows, updatedHeader } = deduplicateAndPrepareData_(
+      sheetState, initialHeader, sheetLogs, config, schema ? schema.columnOrder : []);
 
+  return {
+    sheetName: sheetState.name,
+    header: sheetState.header,
+    updatedHeader,
+    dataToWrite,
+    insertBeforeRows,
+    columnFormats: schema ? schema.columnFormats : {},
+  };
+}
+
+/**
+ * 書き込み内容を SpreadsheetApp でシートに反映する (ヘッダーの作成・列追加、索引列の非表示、行の挿入・追記)
+ * @param {Sheet} sheet - 対象シート
+ * @param {object} plan - planMetricGroup_ の戻り値
+ */
+function applySheetPlan_(sheet, plan) {
+  const { header, updatedHeader } = plan;
   // ヘッダー更新 (必要な場合)
   if (updatedHeader.length > header.length || header.length === 0) {
       // ヘッダー行が存在しない or 更新が必要な場合
@@ -422,170 +3685,145 @@ function processMetricGroup_(ss, metricName, logs, timezoneOffset) {
           // 既存のヘッダーを更新 (列追加)
           updateHeaderIfNeeded_(sheet, header, updatedHeader); // updatedHeaderには全てのキーが含まれる
       }
+      // 索引列を追加した場合は非表示にする
+      if (!header.includes(HASH_COLUMN_NAME)) {
+          sheet.hideColumns(updatedHeader.indexOf(HASH_COLUMN_NAME) + 1);
+      }
   }
 
-  // データの追記
-  writeToSheet_(sheet, dataToWrite);
+  // シートの最新の行より古いログは時刻順の位置に挿入し、残りを追記する
+  const { insertions, appendRows } = groupRowsByInsertPosition_(plan);
+  insertions.forEach(({ beforeRow, rows }) => {
+      sheet.insertRowsBefore(beforeRow, rows.length);
+      writeRowsAt_(sheet, beforeRow, rows, updatedHeader, plan.columnFormats);
+      Logger.log(`シート '${sheet.getName()}' の ${beforeRow} 行目に ${rows.length} 件のログを挿入しました。`);
+  });
+  writeToSheet_(sheet, appendRows, updatedHeader, plan.columnFormats);
+}
+
+/**
+ * 書き込む行を、挿入位置ごとのまとまりと、シート末尾に追記する行に分ける
+ * @param {object} plan - planMetricGroup_ の戻り値
+ * @returns {{insertions: Array<{beforeRow: number, rows: Array<Array<any>>}>, appendRows: Array<Array<any>>}}
+ *     insertions は挿入位置の降順 (下の位置から挿入すれば、上の挿入位置の行番号は変わらない)
+ */
+function groupRowsByInsertPosition_(plan) {
+  const rowsByPosition = new Map();
+  const appendRows = [];
+  plan.dataToWrite.forEach((row, index) => {
+    const beforeRow = plan.insertBeforeRows[index];
+    if (beforeRow === null) {
+      appendRows.push(row);
+      return;
+    }
+    if (!rowsByPosition.has(beforeRow)) {
+      rowsByPosition.set(beforeRow, []);
+    }
+    rowsByPosition.get(beforeRow).push(row);
+  });
+  const insertions = Array.from(rowsByPosition.keys())
+      .sort((a, b) => b - a)
+      .map(beforeRow => ({ beforeRow, rows: rowsByPosition.get(beforeRow) }));
+  return { insertions, appendRows };
 }
 
 /**
  * 重複排除ロジック (## 11.) を実行し、追記するデータを整形する
- * @param {Sheet} sheet - 対象シート
+ * @param {{name: string, sheet: Sheet|null, lastRow: number, header: string[]}} sheetState - シートの現在の状態
  * @param {string[]} initialHeader - シートの初期ヘッダー (なければ空配列)
  * @param {Array<object>} lokiLogs - Lokiから取得したログ (タイムスタンプはBigInt)
- * @param {string} timezoneOffset - 記録用タイムゾーンオフセット (+HH:MM)
- * @returns {{dataToWrite: Array<Array<any>>, updatedHeader: string[]}} 追記データと最終的なヘッダー
+ * @param {object} config - 設定オブジェクト
+ * @param {string[]} columnOrder - 新しい列を追加するときの列順 (スキーマで定義された列名の順)
+ * @returns {{dataToWrite: Array<Array<any>>, insertBeforeRows: Array<number|null>, updatedHeader: string[]}}
+ *     書き込むデータと、行ごとの挿入位置 (findInsertPositions_ 参照) と、最終的なヘッダー
  */
-function deduplicateAndPrepareData_(sheet, initialHeader, lokiLogs, timezoneOffset) {
-    const sheetName = sheet.getName();
-    const lastRow = sheet.getLastRow();
-    let sheetLastTsNano = null; // シートの最後のタイムスタンプ (UTCナノ秒)
+function deduplicateAndPrepareData_(sheetState, initialHeader, lokiLogs, config, columnOrder) {
+    const timezone = config.timezone;
+    const sheet = sheetState.sheet;
+    const sheetName = sheetState.name;
+    const lastRow = sheetState.lastRow;
     let header = [...initialHeader]; // ヘッダーをコピーして使う
 
-    // タイムスタンプ列のインデックス特定
-    let tsColIndex = header.indexOf(TIMESTAMP_COLUMN_NAME);
-
-    // シートの最終タイムスタンプを取得 (Case判定用)
-    if (lastRow >= 2 && tsColIndex !== -1) {
-        try {
-            const lastTsStr = sheet.getRange(lastRow, tsColIndex + 1).getValue();
-            if (lastTsStr && typeof lastTsStr === 'string') {
-                sheetLastTsNano = TimestampUtil_.parseIsoString(lastTsStr, timezoneOffset);
-            }
-        } catch(e) {
-            Logger.log(`Warning: シート '${sheetName}' 最終行タイムスタンプのパースに失敗。 ${e}`);
-        }
-    } else if (lastRow >= 1 && tsColIndex === -1) {
-        // ヘッダーはあるがTS列がない場合 -> ヘッダーに追加
+    // ヘッダーがない、またはヘッダーにTS列がない場合はヘッダーに追加する (実質的に初回書き込みと同じ扱いになる)
+    if (!header.includes(TIMESTAMP_COLUMN_NAME)) {
         header.push(TIMESTAMP_COLUMN_NAME);
-        tsColIndex = header.length - 1;
-        // この場合、実質的に初回書き込みと同じ扱いになる
-        sheetLastTsNano = null;
-    } else if (lastRow === 0) {
-        // シートが完全に空の場合
-        if (tsColIndex === -1) {
-             header.push(TIMESTAMP_COLUMN_NAME);
-             tsColIndex = header.length - 1;
-        }
-        sheetLastTsNano = null;
+    }
+
+    // 日時型の列が有効で、まだヘッダーにない場合は追加する
+    if (config.writeDatetimeColumn && !header.includes(DATETIME_COLUMN_NAME)) {
+        header.push(DATETIME_COLUMN_NAME);
+    }
+    // 索引列がまだヘッダーにない場合は追加する (以前のバージョンで作成されたシート)
+    if (!header.includes(HASH_COLUMN_NAME)) {
+        header.push(HASH_COLUMN_NAME);
     }
 
     // Lokiログの最も古いタイムスタンプ
     const lokiOldestTsNano = lokiLogs.length > 0 ? lokiLogs[0][TIMESTAMP_COLUMN_NAME] : null; // ソート済み前提
 
+    // シート末尾から、Loki最古タイムスタンプ以降の行の索引 (_hash 列) とタイムスタンプを読み込む。
+    // 読み込み量は重なっている行数に比例し、シート全体の行数には依存しない。
+    // Case 判定には最終行ではなく、読み込んだ行の最新のタイムスタンプを使う (最終行が最新とは限らないため)。
+    const currentHeader = sheetState.header; // シート上の現在のヘッダー
+    const dedupWindow = lastRow >= 2 && lokiOldestTsNano !== null
+        ? readDedupWindow_(sheet, currentHeader, lokiOldestTsNano, timezone)
+        : null;
+    const sheetNewestTsNano = dedupWindow
+        ? dedupWindow.rows.reduce((newest, row) => (newest === null || row.nanoTs > newest ? row.nanoTs : newest), null)
+        : null;
+
     // Case 1: シートが空 or Lokiの最古ログ > シートの最新ログ
-    if (sheetLastTsNano === null || (lokiOldestTsNano !== null && lokiOldestTsNano > sheetLastTsNano)) {
-        Logger.log(`Case 1: シートが空か、Lokiログが全て新しい (${lokiOldestTsNano} > ${sheetLastTsNano})。全件追記対象。`);
+    if (sheetNewestTsNano === null) {
+        Logger.log(`Case 1: シートが空か、Lokiログが全て新しい (最古: ${lokiOldestTsNano})。全件追記対象。`);
         // ヘッダー更新チェック
         const allKeys = new Set(header);
         lokiLogs.forEach(log => Object.keys(log).forEach(key => allKeys.add(key)));
-        const finalHeader = Array.from(allKeys);
+        const finalHeader = header.concat(orderColumnsBySchema_(Array.from(allKeys).slice(header.length), columnOrder));
         // データ整形
-        const dataToWrite = formatDataForSheet_(lokiLogs, finalHeader, timezoneOffset);
-        return { dataToWrite, updatedHeader: finalHeader };
-    }
-
-    // --- Case 2 と Case 3' の準備 ---
-    // 比較対象のシートデータを読み込む
-    let compareSheetData = []; // シートから読み込んだ比較対象行 [{nanoTs: BigInt, hash: string, rowNum: int}]
-    let comparisonRange = null; // 読み込むシートの範囲
-    let lokiLogsToCompare = []; // 比較対象のLokiログ
-
-    const lokiLogHashes = new Set(); // 比較対象Lokiログのハッシュセット
-    lokiLogs.forEach(log => lokiLogHashes.add(LogHasher_.calculateHash(log, header))); // ヘッダー順でハッシュ計算
-
-    // Case 2: Loki最古 == シート最新
-    if (lokiOldestTsNano !== null && lokiOldestTsNano === sheetLastTsNano) {
-        Logger.log(`Case 2: Loki最古タイムスタンプ (${lokiOldestTsNano}) == シート最新タイムスタンプ。部分比較実行。`);
-        lokiLogsToCompare = lokiLogs.filter(log => log[TIMESTAMP_COLUMN_NAME] >= sheetLastTsNano);
-        // 比較対象シート範囲: 最終行とその周辺の同じタイムスタンプを持つ可能性のある行
-        // 安全のため、少し前から読む (例: 10行前から)
-        const startRow = Math.max(2, lastRow - 9); // 2行目から
-        const numRows = lastRow - startRow + 1;
-        if (numRows > 0 && sheet.getLastColumn() > 0) {
-            comparisonRange = sheet.getRange(startRow, 1, numRows, sheet.getLastColumn());
-        }
-    }
-    // Case 3': Loki最古 < シート最新
-    else if (lokiOldestTsNano !== null && lokiOldestTsNano < sheetLastTsNano) {
-        Logger.log(`Case 3': Loki最古タイムスタンプ (${lokiOldestTsNano}) < シート最新タイムスタンプ (${sheetLastTsNano})。広範囲比較実行。`);
-        lokiLogsToCompare = lokiLogs; // 全てのLokiログが比較対象
-        // 比較対象シート範囲: タイムスタンプが Loki最古 >= である全ての行
-        // **効率化の注意点:** 全行読むのは非効率。バイナリサーチ等で開始行を特定するのが理想だが、
-        // GASの制限内で実装が複雑になるため、ここではLoki最古TSを含む可能性のある範囲を読み込む。
-        // まずシートのタイムスタンプ列を読み、開始行を特定する。
-        let startRow = 2; // デフォルトは2行目
-        if (tsColIndex !== -1 && lastRow >= 2) {
-            const timestampsCol = sheet.getRange(2, tsColIndex + 1, lastRow - 1, 1).getValues();
-            for (let i = 0; i < timestampsCol.length; i++) {
-                try {
-                    const rowTsStr = timestampsCol[i][0];
-                    if (rowTsStr && typeof rowTsStr === 'string') {
-                        const rowTsNano = TimestampUtil_.parseIsoString(rowTsStr, timezoneOffset);
-                        if (rowTsNano !== null && rowTsNano >= lokiOldestTsNano) {
-                            startRow = i + 2; // 発見した行番号 (1ベース)
-                            break; // 最初に見つかった行から最後までが対象
-                        }
-                    }
-                } catch (e) { /* パースエラーは無視して進む */ }
-            }
-            Logger.log(`Case 3': 比較対象シート開始行: ${startRow} (タイムスタンプ >= ${lokiOldestTsNano})`);
-        }
-        const numRows = lastRow - startRow + 1;
-        if (numRows > 0 && sheet.getLastColumn() > 0) {
-             comparisonRange = sheet.getRange(startRow, 1, numRows, sheet.getLastColumn());
-        }
-    } else {
-         Logger.log(`Warning: 予期しないタイムスタンプ比較状態。Loki最古=${lokiOldestTsNano}, シート最新=${sheetLastTsNano}`);
-         // この場合、安全のため全件比較を行う Case 3' 相当とする
-         lokiLogsToCompare = lokiLogs;
-         if (lastRow >= 2 && sheet.getLastColumn() > 0) {
-              comparisonRange = sheet.getRange(2, 1, lastRow -1, sheet.getLastColumn());
-         }
+        const dataToWrite = formatDataForSheet_(lokiLogs, finalHeader, timezone);
+        return { dataToWrite, insertBeforeRows: dataToWrite.map(() => null), updatedHeader: finalHeader };
     }
 
-    // シートデータの読み込みとハッシュ化
-    const existingLogHashes = new Set();
-    if (comparisonRange) {
-        const sheetValues = comparisonRange.getValues();
-        const currentHeader = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0]; // 最新のヘッダーで
-        tsColIndex = currentHeader.indexOf(TIMESTAMP_COLUMN_NAME); // 再取得
+    // --- Case 2 (Loki最古 == シート最新) と Case 3' (Loki最古 < シート最新) ---
+    Logger.log(`Case ${lokiOldestTsNano === sheetNewestTsNano ? '2' : "3'"}: Loki最古タイムスタンプ (${lokiOldestTsNano}) <= シート最新タイムスタンプ (${sheetNewestTsNano})。索引で比較実行。`);
+    const existingLogHashes = dedupWindow.hashes;
 
+    // 索引列を追加する前に書き込まれた行は、行の値からハッシュを計算する
+    // (行の値からのハッシュとログの内容のハッシュは同じ正規化を経るため、系列キーのない索引と同じ集合で比較できる)
+    const legacyRowNumbers = dedupWindow.legacyRowNumbers;
+    if (legacyRowNumbers.length > 0) {
+        const firstRow = Math.min(...legacyRowNumbers);
+        const lastLegacyRow = Math.max(...legacyRowNumbers);
+        const legacyRowSet = new Set(legacyRowNumbers);
+        const sheetValues = sheet.getRange(firstRow, 1, lastLegacyRow - firstRow + 1, currentHeader.length).getValues();
         sheetValues.forEach((row, index) => {
-            const rowNum = comparisonRange.getRow() + index;
-            let rowTsNano = null;
-            if (tsColIndex !== -1 && row[tsColIndex] && typeof row[tsColIndex] === 'string') {
-                 try {
-                     rowTsNano = TimestampUtil_.parseIsoString(row[tsColIndex], timezoneOffset);
-                 } catch (e) {/* ignore */}
-            }
-             // シートの値を元にログオブジェクトを（近似的に）再構築してハッシュ化
-            const sheetLog = {};
-            currentHeader.forEach((h, colIdx) => {
-                // スプレッドシートから読み取った値はそのまま使う
-                // JSON文字列化されたものはそのまま文字列としてハッシュ計算に含める
-                sheetLog[h] = row[colIdx];
-            });
-            // タイムスタンプはパースしたナノ秒値で上書き (比較のため)
-            // ただし、ハッシュ計算時は元の文字列形式 or BigIntを使う必要がある。
-            // ここでは、シートから読み込んだ値をそのまま使ってオブジェクトを再構築しハッシュを計算する
-            // ※注意: スプレッドシートの数値型と元のJSONの数値型が完全一致しない可能性あり
-            if(rowTsNano !== null) {
-                sheetLog[TIMESTAMP_COLUMN_NAME] = rowTsNano; // ハッシュ計算用にBigIntを入れる場合
+            if (legacyRowSet.has(firstRow + index)) {
+                existingLogHashes.add(LogHasher_.calculateHashFromSheetRow(row, currentHeader, timezone));
             }
+        });
+    }
+    Logger.log(`シート '${sheetName}' から比較用に ${existingLogHashes.size} 件のログハッシュを読み込みました (索引のない行: ${legacyRowNumbers.length} 件)。`);
 
-            const hash = LogHasher_.calculateHashFromSheetRow(row, currentHeader, timezoneOffset); // シート行から直接ハッシュ計算
-            existingLogHashes.add(hash);
+    // メトリッククエリでは、同じ評価時刻・同じ系列の値は遅れて届いたログで変わっても同じ行とみなす (系列キーだけで比較する)
+    const existingSeriesKeys = new Set();
+    if (config.queryType === 'metric') {
+        existingLogHashes.forEach(hash => {
+            const separatorIndex = hash.indexOf(HASH_SERIES_KEY_SEPARATOR);
+            if (separatorIndex >= 0) {
+                existingSeriesKeys.add(hash.slice(separatorIndex + 1));
+            }
         });
-        Logger.log(`シート '${sheetName}' から比較用に ${existingLogHashes.size} 件のログハッシュを生成しました。`);
     }
 
     // 重複チェックと追記対象の選定
     const logsToWrite = [];
     const allKeys = new Set(header); // ヘッダー更新のためにキーを集める
     lokiLogs.forEach(log => {
-        const logHash = LogHasher_.calculateHash(log, header); // ヘッダー順でハッシュ計算
-        if (!existingLogHashes.has(logHash)) {
+        // 系列キーのない索引 (以前のバージョンで書き込まれた行) や索引のない行とは、ログの内容のハッシュで比較する
+        const isDuplicate = existingSeriesKeys.has(log[SERIES_KEY_PROPERTY]) ||
+            existingLogHashes.has(LogHasher_.calculateIndexHash(log)) ||
+            existingLogHashes.has(LogHasher_.calculateLogHash(log));
+        if (!isDuplicate) {
             logsToWrite.push(log);
             // 新しいログのキーもヘッダー候補に追加
             Object.keys(log).forEach(key => allKeys.add(key));
@@ -594,29 +3832,151 @@ function deduplicateAndPrepareData_(sheet, initialHeader, lokiLogs, timezoneOffs
 
     Logger.log(`重複チェックの結果、${logsToWrite.length} 件の新しいログが見つかりました。`);
 
-    const finalHeader = Array.from(allKeys).sort((a, b) => { // ソートして順序を安定させる
-        if (a === TIMESTAMP_COLUMN_NAME) return -1;
-        if (b === TIMESTAMP_COLUMN_NAME) return 1;
-        return a.localeCompare(b);
+    // 既存ヘッダーの列順は変えず、新しいキーだけをソートして末尾に追加する (シート上の列と揃えるため)
+    const newKeys = Array.from(allKeys).slice(header.length).sort((a, b) => a.localeCompare(b));
+    const finalHeader = header.concat(orderColumnsBySchema_(newKeys, columnOrder));
+
+    // データ整形 (シートの最新の行より古いログは、時刻順の位置に挿入する)
+    const dataToWrite = formatDataForSheet_(logsToWrite, finalHeader, timezone);
+    const insertBeforeRows = findInsertPositions_(dedupWindow.rows, logsToWrite);
+
+    return { dataToWrite, insertBeforeRows, updatedHeader: finalHeader };
+}
+
+/**
+ * シートの最新の行より古いログを時刻順の位置に挿入するため、ログごとの挿入位置を求める
+ * 各ログは、そのログより新しい最初の行 (行番号順) の前に挿入する。そのような行がなければシート末尾に追記する。
+ * @param {Array<{rowNumber: number, nanoTs: BigInt}>} windowRows - readDedupWindow_ で読み込んだ行の行番号とタイムスタンプ
+ * @param {Array<object>} logs - 書き込むログ (タイムスタンプはBigInt)
+ * @returns {Array<number|null>} ログごとの挿入位置 (この行番号の行の前に挿入する)。シート末尾に追記する場合はnull
+ */
+function findInsertPositions_(windowRows, logs) {
+    const rows = windowRows.slice().sort((a, b) => a.rowNumber - b.rowNumber);
+    // 行番号順に累積した最大のタイムスタンプは単調に増えるため、ログより新しい最初の行を二分探索で求められる
+    const runningMaxNanoTs = [];
+    rows.forEach((row, index) => {
+        const previous = index > 0 ? runningMaxNanoTs[index - 1] : null;
+        runningMaxNanoTs.push(previous !== null && previous > row.nanoTs ? previous : row.nanoTs);
+    });
+    return logs.map(log => {
+        const nanoTs = log[TIMESTAMP_COLUMN_NAME];
+        let low = 0;
+        let high = rows.length;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (runningMaxNanoTs[mid] > nanoTs) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return low < rows.length ? rows[low].rowNumber : null;
     });
+}
+
+
+/**
+ * シート末尾から、指定時刻以降に記録された行の索引 (_hash 列の値) を読み込む
+ * _timestamp 列と _hash 列だけを DEDUP_SCAN_CHUNK_ROWS 行ずつ末尾から読む。
+ * 手動の編集などで行が時刻順に並んでいない場合もあるため、指定時刻より古い行に達しても打ち切らず、
+ * 古い行が DEDUP_SCAN_OLDER_ROWS_LIMIT 行続いたところで打ち切る。
+ * @param {Sheet} sheet - 対象シート
+ * @param {string[]} header - シートの現在のヘッダー
+ * @param {BigInt} sinceNanoTs - この時刻 (UTCナノ秒) 以降の行を読み込む
+ * @param {string} timezone - タイムスタンプパース用タイムゾーン
+ * @returns {{hashes: Set<string>, legacyRowNumbers: number[], rows: Array<{rowNumber: number, nanoTs: BigInt}>}}
+ *     索引のハッシュと、索引のない行 (索引列の追加前に書き込まれた行) の行番号と、読み込んだ行の行番号とタイムスタンプ
+ */
+function readDedupWindow_(sheet, header, sinceNanoTs, timezone) {
+    const hashes = new Set();
+    const legacyRowNumbers = [];
+    const rows = [];
+    const tsColIndex = header.indexOf(TIMESTAMP_COLUMN_NAME);
+    const hashColIndex = header.indexOf(HASH_COLUMN_NAME);
+    if (tsColIndex === -1) {
+        return { hashes, legacyRowNumbers, rows };
+    }
 
-    // データ整形
-    const dataToWrite = formatDataForSheet_(logsToWrite, finalHeader, timezoneOffset);
+    let chunkEndRow = sheet.getLastRow();
+    let olderRows = 0; // 続けて読んだ、指定時刻より古い行の数
+    while (chunkEndRow >= 2 && olderRows < DEDUP_SCAN_OLDER_ROWS_LIMIT) {
+        const chunkStartRow = Math.max(2, chunkEndRow - DEDUP_SCAN_CHUNK_ROWS + 1);
+        const numRows = chunkEndRow - chunkStartRow + 1;
+        const timestamps = sheet.getRange(chunkStartRow, tsColIndex + 1, numRows, 1).getValues();
+        const rowHashes = hashColIndex !== -1
+            ? sheet.getRange(chunkStartRow, hashColIndex + 1, numRows, 1).getValues()
+            : null;
 
-    return { dataToWrite, updatedHeader: finalHeader };
+        for (let i = numRows - 1; i >= 0 && olderRows < DEDUP_SCAN_OLDER_ROWS_LIMIT; i--) {
+            const rowTsStr = timestamps[i][0];
+            const rowTsNano = rowTsStr && typeof rowTsStr === 'string' ? TimestampUtil_.parseIsoString(rowTsStr, timezone) : null;
+            if (rowTsNano !== null && rowTsNano < sinceNanoTs) {
+                olderRows++;
+                continue;
+            }
+            olderRows = 0;
+            if (rowTsNano !== null) {
+                rows.push({ rowNumber: chunkStartRow + i, nanoTs: rowTsNano });
+            }
+            const rowHash = rowHashes ? rowHashes[i][0] : '';
+            if (rowHash) {
+                hashes.add(String(rowHash));
+            } else {
+                legacyRowNumbers.push(chunkStartRow + i);
+            }
+        }
+        chunkEndRow = chunkStartRow - 1;
+    }
+    return { hashes, legacyRowNumbers, rows };
 }
 
+/**
+ * シート末尾の行について、索引列のログの内容のハッシュと行の値から計算したハッシュを比較する
+ * @param {Sheet} sheet - 対象シート
+ * @param {string} timezone - タイムスタンプパース用タイムゾーン
+ * @returns {{sheetName: string, checkedRows: number, mismatchedRows: number[]}|null} 結果。索引列がないシートはnull
+ */
+function verifySheetHashes_(sheet, timezone) {
+    const lastRow = sheet.getLastRow();
+    const lastCol = sheet.getLastColumn();
+    if (lastRow < 2 || lastCol < 1) {
+        return null;
+    }
+    const header = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
+    const hashColIndex = header.indexOf(HASH_COLUMN_NAME);
+    if (hashColIndex === -1) {
+        return null;
+    }
+
+    const startRow = Math.max(2, lastRow - VERIFY_HASH_MAX_ROWS + 1);
+    const values = sheet.getRange(startRow, 1, lastRow - startRow + 1, lastCol).getValues();
+    let checkedRows = 0;
+    const mismatchedRows = [];
+    values.forEach((row, index) => {
+        if (!row[hashColIndex]) {
+            return; // 索引のない行は対象外
+        }
+        checkedRows++;
+        const contentHash = String(row[hashColIndex]).split(HASH_SERIES_KEY_SEPARATOR)[0];
+        if (LogHasher_.calculateHashFromSheetRow(row, header, timezone) !== contentHash) {
+            mismatchedRows.push(startRow + index);
+        }
+    });
+    return { sheetName: sheet.getName(), checkedRows, mismatchedRows };
+}
 
 /**
  * ログデータをスプレッドシート書き込み用の2次元配列に整形する
  * @param {Array<object>} logs - 書き込むログの配列 (タイムスタンプはBigInt)
  * @param {string[]} header - 使用するヘッダー配列
- * @param {string} timezoneOffset - 記録用タイムゾーンオフセット (+HH:MM)
+ * @param {string} timezone - 記録用タイムゾーン (+HH:MM または IANA タイムゾーン名)
  * @returns {Array<Array<any>>} 整形後の2次元配列
  */
-function formatDataForSheet_(logs, header, timezoneOffset) {
+function formatDataForSheet_(logs, header, timezone) {
   const data = [];
   const tsColIndex = header.indexOf(TIMESTAMP_COLUMN_NAME);
+  const datetimeColIndex = header.indexOf(DATETIME_COLUMN_NAME);
+  const hashColIndex = header.indexOf(HASH_COLUMN_NAME);
 
   for (const log of logs) {
     const row = [];
@@ -626,13 +3986,21 @@ function formatDataForSheet_(logs, header, timezoneOffset) {
 
       if (i === tsColIndex && typeof value === 'bigint') {
         // タイムスタンプ列: BigIntをISO文字列に変換
-        row.push(TimestampUtil_.formatToIsoString(value, timezoneOffset));
+        row.push(TimestampUtil_.formatToIsoString(value, timezone));
+      } else if (i === datetimeColIndex && typeof log[TIMESTAMP_COLUMN_NAME] === 'bigint') {
+        // 日時型の列: ミリ秒未満を切り捨てた Date として書き込む (表示はスプレッドシートのタイムゾーン)
+        row.push(TimestampUtil_.toDate(log[TIMESTAMP_COLUMN_NAME]));
+      } else if (i === hashColIndex) {
+        // 索引列: ヘッダーの列順に依存しないログのハッシュと系列キー
+        row.push(LogHasher_.calculateIndexHash(log));
       } else if (value === undefined || value === null) {
         row.push(""); // 欠損キーは空文字列
       } else if (typeof value === 'number') {
         row.push(value); // 数値はそのまま
       } else if (typeof value === 'boolean') {
         row.push(value); // 真偽値はそのまま
+      } else if (value instanceof Date) {
+        row.push(value); // スキーマで date 型に変換した値は日時型のまま
       } else if (typeof value === 'object') {
         // 配列やネストされたオブジェクトはJSON文字列として書き込む
         try {
@@ -659,13 +4027,111 @@ function formatDataForSheet_(logs, header, timezoneOffset) {
  * @namespace
  */
 const TimestampUtil_ = {
+  /** タイムゾーン名ごとの Intl.DateTimeFormat キャッシュ */
+  formatterCache_: {},
+
+  /**
+   * 固定オフセット (+HH:MM) 形式かどうかを判定する
+   * @param {string} timezone - タイムゾーン (+HH:MM または IANA タイムゾーン名)
+   * @returns {boolean} 固定オフセットならtrue
+   */
+  isFixedOffset(timezone) {
+    return /^[\+\-]([01]\d|2[0-3]):([0-5]\d)$/.test(timezone);
+  },
+
+  /**
+   * タイムゾーン指定が有効かどうかを判定する
+   * @param {string} timezone - タイムゾーン (+HH:MM または IANA タイムゾーン名)
+   * @returns {boolean} 有効ならtrue
+   */
+  isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    if (this.isFixedOffset(timezone)) return true;
+    try {
+      this.getFormatter_(timezone);
+      return true;
+    } catch (e) {
+      return false; // 未知のタイムゾーン名は RangeError になる
+    }
+  },
+
+  /**
+   * IANA タイムゾーン用の Intl.DateTimeFormat を取得する (キャッシュ付き)
+   * @param {string} timeZoneName - IANA タイムゾーン名 (例: "Europe/Berlin")
+   * @returns {Intl.DateTimeFormat} フォーマッタ
+   * @throws {RangeError} 未知のタイムゾーン名の場合
+   */
+  getFormatter_(timeZoneName) {
+    if (!this.formatterCache_[timeZoneName]) {
+      this.formatterCache_[timeZoneName] = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZoneName,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+      });
+    }
+    return this.formatterCache_[timeZoneName];
+  },
+
+  /**
+   * 指定時刻における IANA タイムゾーンのUTCオフセット (分) を求める
+   * @param {number} utcMs - UTC基準のUnixミリ秒
+   * @param {string} timeZoneName - IANA タイムゾーン名
+   * @returns {number} UTCオフセット (分)
+   */
+  getZoneOffsetMinutes_(utcMs, timeZoneName) {
+    const fields = {};
+    this.getFormatter_(timeZoneName).formatToParts(new Date(utcMs)).forEach(part => {
+      fields[part.type] = part.value;
+    });
+    // その地域の壁時計の時刻をUTCとして解釈し、実際のUTC時刻 (秒単位に切り捨て) との差を取る
+    const wallClockMs = Date.UTC(
+      parseInt(fields.year, 10), parseInt(fields.month, 10) - 1, parseInt(fields.day, 10),
+      parseInt(fields.hour, 10) % 24, parseInt(fields.minute, 10), parseInt(fields.second, 10));
+    const truncatedUtcMs = Math.floor(utcMs / 1000) * 1000;
+    return Math.round((wallClockMs - truncatedUtcMs) / 60000);
+  },
+
+  /**
+   * 指定時刻に適用されるオフセット文字列 (+HH:MM) を求める
+   * IANA タイムゾーン名の場合は、その時刻の夏時間を反映したオフセットを返す
+   * @param {BigInt} utcNanoTs - UTC基準のUnixナノ秒 (BigInt)
+   * @param {string} timezone - タイムゾーン (+HH:MM または IANA タイムゾーン名)
+   * @returns {string} "+HH:MM" または "-HH:MM" 形式の文字列
+   */
+  resolveOffsetString(utcNanoTs, timezone) {
+    if (this.isFixedOffset(timezone)) {
+      return timezone;
+    }
+    const offsetMinutes = this.getZoneOffsetMinutes_(this.toDate(utcNanoTs).getTime(), timezone);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absMinutes = Math.abs(offsetMinutes);
+    const hours = String(Math.floor(absMinutes / 60)).padStart(2, '0');
+    const minutes = String(absMinutes % 60).padStart(2, '0');
+    return `${sign}${hours}:${minutes}`;
+  },
+
+  /**
+   * Unix 秒 (Loki のメトリッククエリの評価時刻。小数部はミリ秒まで) を UTCナノ秒に変換する
+   * 浮動小数点数の誤差が出ないよう、10進数の文字列のまま整数部と小数部に分けて変換する。
+   * @param {number|string} seconds - Unix 秒
+   * @returns {BigInt} UTCナノ秒
+   */
+  parseUnixSeconds(seconds) {
+    const [integerPart, fractionPart = ''] = String(seconds).split('.');
+    return BigInt(integerPart) * NANOS_PER_SECOND + BigInt((fractionPart + '000000000').substring(0, 9));
+  },
+
   /**
    * オフセット文字列 (+HH:MM) をナノ秒単位のオフセット値 (BigInt) に変換する
-   * @param {string} offsetString - "+HH:MM" または "-HH:MM" 形式の文字列
+   * @param {string} offsetString - "+HH:MM"、"-HH:MM" または "Z"
    * @returns {BigInt} ナノ秒単位のオフセット値
    * @throws {Error} 不正な形式の場合
    */
   parseOffsetString(offsetString) {
+    if (offsetString === 'Z') {
+      return BigInt(0);
+    }
     const match = offsetString.match(/^([\+\-])(\d{2}):(\d{2})$/);
     if (!match) {
       throw new Error(`Invalid timezone offset format: ${offsetString}`);
@@ -680,19 +4146,15 @@ const TimestampUtil_ = {
   /**
    * ISO 8601 文字列 (ナノ秒精度、オフセット付き) をパースし、UTC基準のUnixナノ秒 (BigInt) を返す
    * @param {string} isoString - "YYYY-MM-DDTHH:mm:ss.nnnnnnnnn+HH:MM" 形式の文字列
-   * @param {string} defaultOffset - パース時に使用するデフォルトのオフセット（通常は記録時のもの）
+   * @param {string} defaultTimezone - 文字列にオフセットが無い場合に使うタイムゾーン (+HH:MM または IANA タイムゾーン名)
    * @returns {BigInt|null} UTC基準のUnixナノ秒 (BigInt)。パース失敗時はnull
    */
-  parseIsoString(isoString, defaultOffset) {
+  parseIsoString(isoString, defaultTimezone) {
     try {
         // 例: "2023-10-27T10:30:05.123456789+09:00"
         const dateTimePart = isoString.substring(0, 29); // "YYYY-MM-DDTHH:mm:ss.nnnnnnnnn"
         const offsetPart = isoString.substring(29); // "+HH:MM" or "-HH:MM"
 
-        // オフセットをパース（記録時のオフセットを使う）
-        // スプレッドシート上の文字列自体に含まれるオフセットを使うべき
-        const offsetNano = this.parseOffsetString(offsetPart || defaultOffset);
-
         // 日付時刻部分をパース
         const year = parseInt(dateTimePart.substring(0, 4), 10);
         const month = parseInt(dateTimePart.substring(5, 7), 10) - 1; // Dateは0-11
@@ -709,10 +4171,20 @@ const TimestampUtil_ = {
         // ミリ秒タイムスタンプにナノ秒部分を加算して、"擬似"ナノ秒タイムスタンプを生成
         const pseudoNanoTs = (msTimestamp * BigInt(1000000)) + BigInt(nanoseconds);
 
-        // オフセットを減算してUTC基準のナノ秒タイムスタンプを得る
-        const utcNanoTs = pseudoNanoTs - offsetNano;
+        // 文字列自体に含まれるオフセット（記録時のもの）を優先する
+        // 夏時間の切り替えや設定変更の前後に書かれた行も、それぞれのオフセットで正しく解釈される
+        if (offsetPart) {
+            return pseudoNanoTs - this.parseOffsetString(offsetPart);
+        }
+        if (this.isFixedOffset(defaultTimezone)) {
+            return pseudoNanoTs - this.parseOffsetString(defaultTimezone);
+        }
 
-        return utcNanoTs;
+        // オフセットが無く IANA タイムゾーンの場合: 壁時計の時刻から、その時点のオフセットを求める
+        // (一度目の推定で夏時間の境界をまたぐ場合があるため、求めたUTC時刻で再計算する)
+        const firstOffsetNano = this.parseOffsetString(this.resolveOffsetString(pseudoNanoTs, defaultTimezone));
+        const offsetNano = this.parseOffsetString(this.resolveOffsetString(pseudoNanoTs - firstOffsetNano, defaultTimezone));
+        return pseudoNanoTs - offsetNano;
     } catch (e) {
       Logger.log(`Error parsing ISO string "${isoString}": ${e}`);
       return null;
@@ -720,13 +4192,41 @@ const TimestampUtil_ = {
   },
 
   /**
-   * UTC基準のUnixナノ秒 (BigInt) を、指定オフセット付きのISO 8601 文字列 (ナノ秒精度) に変換する
+   * UTC基準のUnixナノ秒 (BigInt) を Date に変換する (ミリ秒未満は切り捨て)
+   * @param {BigInt} utcNanoTs - UTC基準のUnixナノ秒 (BigInt)
+   * @returns {Date} 日時
+   */
+  toDate(utcNanoTs) {
+    const nanosPerMs = BigInt(1000000);
+    let msTs = utcNanoTs / nanosPerMs;
+    if (utcNanoTs < BigInt(0) && utcNanoTs % nanosPerMs !== BigInt(0)) {
+      msTs -= BigInt(1); // 負の値は切り捨て方向に丸める
+    }
+    return new Date(Number(msTs));
+  },
+
+  /**
+   * Date をスプレッドシートのシリアル値 (1899-12-30 からの日数。指定タイムゾーンの現地時刻) に変換する
+   * @param {Date} date - 日時
+   * @param {string} timezone - スプレッドシートのタイムゾーン (+HH:MM または IANA タイムゾーン名)
+   * @returns {number} シリアル値
+   */
+  toSerialNumber(date, timezone) {
+    const offsetString = this.resolveOffsetString(BigInt(date.getTime()) * BigInt(1000000), timezone);
+    const offsetMs = Number(this.parseOffsetString(offsetString) / BigInt(1000000));
+    return (date.getTime() + offsetMs) / (24 * 60 * 60 * 1000) + SHEETS_EPOCH_OFFSET_DAYS;
+  },
+
+  /**
+   * UTC基準のUnixナノ秒 (BigInt) を、指定タイムゾーンのオフセット付きISO 8601 文字列 (ナノ秒精度) に変換する
+   * IANA タイムゾーン名の場合、オフセットはその時刻の夏時間を反映したものになる
    * @param {BigInt} utcNanoTs - UTC基準のUnixナノ秒 (BigInt)
-   * @param {string} offsetString - "+HH:MM" または "-HH:MM" 形式の文字列
+   * @param {string} timezone - タイムゾーン (+HH:MM または IANA タイムゾーン名)
    * @returns {string} "YYYY-MM-DDTHH:mm:ss.nnnnnnnnn+HH:MM" 形式の文字列
    */
-  formatToIsoString(utcNanoTs, offsetString) {
+  formatToIsoString(utcNanoTs, timezone) {
     try {
+        const offsetString = this.resolveOffsetString(utcNanoTs, timezone);
         const offsetNano = this.parseOffsetString(offsetString);
 
         // UTCナノ秒にオフセットを加算して、指定タイムゾーンでのナノ秒タイムスタンプ（擬似ローカルタイム）を得る
@@ -752,93 +4252,329 @@ const TimestampUtil_ = {
         // 文字列を組み立て
         return `${dateTimePart}.${nanosecondsString}${offsetString}`;
     } catch (e) {
-        Logger.log(`Error formatting nano timestamp ${utcNanoTs} with offset ${offsetString}: ${e}`);
+        Logger.log(`Error formatting nano timestamp ${utcNanoTs} with timezone ${timezone}: ${e}`);
         return `[Timestamp format error: ${utcNanoTs}]`; // エラーを示す文字列
     }
   },
 };
 
 
+/**
+ * ログ行のパースユーティリティ
+ * @namespace
+ */
+const LogParser_ = {
+  /**
+   * ログ行の形式からパーサーを作成する
+   * @param {string} format - ログ行の形式 (json, logfmt, regex)
+   * @param {string|null} pattern - format が regex の場合に使う、名前付きキャプチャグループを含む正規表現
+   * @returns {{format: string, regex: RegExp|null}} パーサー
+   * @throws {Error} 形式や正規表現が不正な場合
+   */
+  createParser(format, pattern) {
+    if (!LOG_FORMATS.includes(format)) {
+      throw new Error(`Unknown log format: ${format}`);
+    }
+    if (format !== 'regex') {
+      return { format, regex: null };
+    }
+    if (!pattern) {
+      throw new Error('Log format "regex" requires a pattern');
+    }
+    const regex = new RegExp(pattern);
+    if (!/\(\?<[a-zA-Z_]/.test(pattern)) {
+      throw new Error(`Regex has no named capture groups: ${pattern}`);
+    }
+    return { format, regex };
+  },
+
+  /**
+   * LOG_PARSER_RULES の設定値 (JSON配列) からルールを作成する
+   * 例: [{"labels": {"app": "nginx"}, "format": "regex", "pattern": "^(?<remote_addr>\\S+) ..."}]
+   * @param {Array<object>} rules - ルールの配列
+   * @returns {Array<{labels: object, parser: object}>} ラベルとパーサーの組の配列
+   * @throws {Error} ルールが不正な場合
+   */
+  createRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('LOG_PARSER_RULES must be a JSON array');
+    }
+    return rules.map(rule => ({
+      labels: rule.labels || {},
+      parser: this.createParser(rule.format, rule.pattern || null),
+    }));
+  },
+
+  /**
+   * ストリームのラベルに一致する最初のルールのパーサーを選ぶ
+   * @param {Array<{labels: object, parser: object}>} rules - ルールの配列
+   * @param {object} defaultParser - 一致するルールがない場合のパーサー
+   * @param {object} labels - ストリームのラベルセット
+   * @returns {{format: string, regex: RegExp|null}} パーサー
+   */
+  selectParser(rules, defaultParser, labels) {
+    const rule = rules.find(r => Object.keys(r.labels).every(name => labels[name] === r.labels[name]));
+    return rule ? rule.parser : defaultParser;
+  },
+
+  /**
+   * ログ行をパースしてログオブジェクトを返す
+   * @param {string} line - ログ行
+   * @param {{format: string, regex: RegExp|null}} parser - パーサー
+   * @returns {object} ログオブジェクト
+   * @throws {Error} パースできない場合
+   */
+  parse(line, parser) {
+    switch (parser.format) {
+      case 'logfmt':
+        return this.parseLogfmt(line);
+      case 'regex':
+        return this.parseRegex(line, parser.regex);
+      default:
+        return this.parseJson(line);
+    }
+  },
+
+  /**
+   * JSON形式のログ行をパースする
+   * @param {string} line - ログ行
+   * @returns {object} ログオブジェクト
+   * @throws {Error} JSONオブジェクトでない場合
+   */
+  parseJson(line) {
+    const log = JSON.parse(line);
+    if (log === null || typeof log !== 'object' || Array.isArray(log)) {
+      throw new Error('Log line is not a JSON object');
+    }
+    return log;
+  },
+
+  /**
+   * logfmt形式 (key=value key2="quoted value") のログ行をパースする
+   * 値は全て文字列になる。値のないキーは空文字列になる。
+   * @param {string} line - ログ行
+   * @returns {object} ログオブジェクト
+   * @throws {Error} キーが1つもない場合
+   */
+  parseLogfmt(line) {
+    const log = {};
+    const pairRegex = /([^\s=]+)(?:=(?:"((?:[^"\\]|\\.)*)"|([^\s]*)))?/g;
+    let match;
+    while ((match = pairRegex.exec(line)) !== null) {
+      const key = match[1];
+      if (match[2] !== undefined) {
+        log[key] = match[2].replace(/\\(.)/g, (_, c) => (c === 'n' ? '\n' : c === 't' ? '\t' : c));
+      } else {
+        log[key] = match[3] !== undefined ? match[3] : '';
+      }
+    }
+    if (Object.keys(log).length === 0) {
+      throw new Error('Log line has no logfmt key');
+    }
+    return log;
+  },
+
+  /**
+   * 名前付きキャプチャグループを含む正規表現でログ行をパースする
+   * @param {string} line - ログ行
+   * @param {RegExp} regex - 正規表現
+   * @returns {object} 名前付きキャプチャグループの名前をキーとするログオブジェクト
+   * @throws {Error} 正規表現に一致しない場合
+   */
+  parseRegex(line, regex) {
+    const match = regex.exec(line);
+    if (!match || !match.groups) {
+      throw new Error(`Log line does not match ${regex}`);
+    }
+    const log = {};
+    Object.keys(match.groups).forEach(name => {
+      log[name] = match.groups[name] !== undefined ? match.groups[name] : '';
+    });
+    return log;
+  },
+};
+
+
 /**
  * ログオブジェクトのハッシュ計算ユーティリティ
  * @namespace
  */
 const LogHasher_ = {
   /**
-   * ログオブジェクトから正規化された文字列を作成し、SHA-256ハッシュを計算する
+   * ログオブジェクトのハッシュを計算する (索引列に記録する値)
+   * canonicalize で正規化した文字列を対象とするため、ヘッダーの列順やスプレッドシートによる型変換に依存しない。
    * @param {object} logObject - ログオブジェクト (timestampはBigIntの想定)
-   * @param {string[]} headerOrder - ハッシュ計算に使用するキーの順序 (ヘッダー配列)
    * @returns {string} SHA-256ハッシュ値 (16進数文字列)
    */
-  calculateHash(logObject, headerOrder) {
-    try {
-      const valuesToHash = headerOrder.map(key => {
-        const value = logObject[key];
-        if (value === undefined || value === null) {
-          return ''; // 欠損値は空文字
-        } else if (typeof value === 'bigint') {
-          return value.toString(); // BigIntは文字列化
-        } else if (typeof value === 'object') {
-          try {
-            // オブジェクト/配列はキーをソートしてJSON文字列化 (一貫性のため)
-            return JSON.stringify(value, Object.keys(value || {}).sort());
-          } catch (e) {
-            return '[stringify error]'; // 文字列化失敗
-          }
-        } else {
-          return String(value); // その他は文字列化
-        }
-      });
+  calculateLogHash(logObject) {
+    return this.sha256Hex(this.canonicalize(logObject));
+  },
 
-      const stringToHash = valuesToHash.join('||'); // 区切り文字で結合
-      const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, stringToHash, Utilities.Charset.UTF_8);
-      return digest.map(byte => {
-        const hex = (byte & 0xFF).toString(16);
-        return hex.length === 1 ? '0' + hex : hex;
-      }).join('');
-    } catch (e) {
-        Logger.log(`Error calculating hash for log: ${e} \nLog Snippet: ${JSON.stringify(logObject).substring(0,100)}`);
-        // エラー時はユニークな値を返して重複とみなされないようにする（あるいはその逆）
-        // ここではランダムな文字列を返して、重複しないようにする
-        return `error-hash-${Math.random()}`;
-    }
+  /**
+   * ログオブジェクトの索引 (_hash 列に記録する値) を計算する
+   * ログの内容のハッシュ (calculateLogHash) と系列キー (calculateSeriesKey) を HASH_SERIES_KEY_SEPARATOR でつなぐ。
+   * 内容のハッシュは行の値から計算し直せる部分で、系列キーは列に出力しないラベルを含めてストリームを区別する部分。
+   * @param {object} logObject - ログオブジェクト (系列キーがない場合は内容のハッシュのみ)
+   * @returns {string} 索引の値
+   */
+  calculateIndexHash(logObject) {
+    const contentHash = this.calculateLogHash(logObject);
+    const seriesKey = logObject[SERIES_KEY_PROPERTY];
+    return seriesKey ? `${contentHash}${HASH_SERIES_KEY_SEPARATOR}${seriesKey}` : contentHash;
   },
 
   /**
-   * スプレッドシートの行データから直接ハッシュを計算する（効率化のため）
+   * 時刻とストリーム (メトリッククエリでは系列) のラベルセットを識別する系列キーを計算する
+   * @param {BigInt} nanoTs - タイムスタンプ (UTCナノ秒)
+   * @param {object} labels - ストリームのラベルセット
+   * @returns {string} SHA-256ハッシュ値 (16進数文字列)
+   */
+  calculateSeriesKey(nanoTs, labels) {
+    return this.sha256Hex(`${nanoTs}||{${this.labelString_(labels)}}`);
+  },
+
+  /**
+   * スプレッドシートの行データからハッシュを計算する
+   * 行をログオブジェクトに戻してから calculateLogHash と同じ正規化を行うため、
+   * 同じログであればログから計算したハッシュと一致する。
    * @param {Array<any>} rowData - シートの1行分のデータ配列
    * @param {string[]} header - 対応するヘッダー配列
-   * @param {string} timezoneOffset - タイムスタンプパース用オフセット
+   * @param {string} timezone - タイムスタンプパース用タイムゾーン
    * @returns {string} SHA-256ハッシュ値 (16進数文字列)
    */
-   calculateHashFromSheetRow(rowData, header, timezoneOffset) {
-        try {
-            const tsColIndex = header.indexOf(TIMESTAMP_COLUMN_NAME);
-            const valuesToHash = rowData.map((value, index) => {
-                if (index === tsColIndex && typeof value === 'string') {
-                    // タイムスタンプ列はBigIntにパースして文字列化する
-                    const nanoTs = TimestampUtil_.parseIsoString(value, timezoneOffset);
-                    return nanoTs !== null ? nanoTs.toString() : ''; // パース失敗時は空文字
-                } else if (value === null || value === undefined) {
-                    return '';
-                } else {
-                    // 他の列はそのまま文字列化
-                    // Note: スプレッドシート上の数値や真偽値も文字列として扱われる
-                    return String(value);
-                }
-            });
-
-            const stringToHash = valuesToHash.join('||');
-            const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, stringToHash, Utilities.Charset.UTF_8);
-            return digest.map(byte => {
-                const hex = (byte & 0xFF).toString(16);
-                return hex.length === 1 ? '0' + hex : hex;
-            }).join('');
-        } catch (e) {
-            Logger.log(`Error calculating hash from sheet row: ${e} \nRow Snippet: ${rowData.slice(0,5).join(', ')}`);
-            return `error-hash-row-${Math.random()}`;
+  calculateHashFromSheetRow(rowData, header, timezone) {
+    return this.calculateLogHash(this.rowToLogObject(rowData, header, timezone));
+  },
+
+  /**
+   * スプレッドシートの行データをログオブジェクトに戻す
+   * タイムスタンプ列は ISO 文字列からUTCナノ秒 (BigInt) にパースする。
+   * @param {Array<any>} rowData - シートの1行分のデータ配列
+   * @param {string[]} header - 対応するヘッダー配列
+   * @param {string} timezone - タイムスタンプパース用タイムゾーン
+   * @returns {object} ログオブジェクト
+   */
+  rowToLogObject(rowData, header, timezone) {
+    const logObject = {};
+    header.forEach((key, index) => {
+      if (!key) return; // ヘッダーのない列は無視
+      const value = rowData[index];
+      if (key === TIMESTAMP_COLUMN_NAME && typeof value === 'string') {
+        const nanoTs = TimestampUtil_.parseIsoString(value, timezone);
+        logObject[key] = nanoTs !== null ? nanoTs : value;
+      } else {
+        logObject[key] = value;
+      }
+    });
+    return logObject;
+  },
+
+  /**
+   * ログオブジェクトをハッシュ計算用の正規形の文字列に変換する
+   * - キーはソートし、値が空 (undefined, null, 空文字) のキーと導出列は含めない (列の有無・順序に依存しない)
+   * - 値は normalizeValue_ で正規化する
+   * @param {object} logObject - ログオブジェクト
+   * @returns {string} 正規形の文字列
+   */
+  canonicalize(logObject) {
+    return Object.keys(logObject)
+        .filter(key => !DERIVED_COLUMN_NAMES.includes(key))
+        .map(key => [key, this.normalizeValue_(logObject[key])])
+        .filter(([, value]) => value !== null)
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => `${JSON.stringify(key)}=${value}`)
+        .join('||');
+  },
+
+  /**
+   * 値を正規化した文字列に変換する
+   * スプレッドシートに書き込んで読み戻した値と、元のログの値が同じ結果になるようにする。
+   * 文字列は書き込み時と同じ toStoredCellValue_ でセルに格納される値にしてから正規化する。
+   * - 数値と数値形式の文字列は数値として文字列化 ("1.0" と 1 は同じ "1")
+   * - 真偽値と "true"/"false" (大文字小文字を問わない) の文字列は "true"/"false"
+   * - オブジェクト/配列と、それをJSON文字列化した値は、キーを再帰的にソートしたJSON
+   * - それ以外の文字列 (日付・パーセント形式の文字列も) は、文字列のまま格納されるためそのまま
+   * @param {any} value - 値
+   * @returns {string|null} 正規化した文字列。値が空の場合は null
+   */
+  normalizeValue_(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    } else if (typeof value === 'bigint') {
+      return value.toString();
+    } else if (typeof value === 'number' || typeof value === 'boolean') {
+      return String(value);
+    } else if (value instanceof Date) {
+      return value.toISOString();
+    } else if (typeof value === 'object') {
+      return this.canonicalJson_(value);
+    }
+
+    const text = String(value);
+    const stored = toStoredCellValue_(text, null);
+    if (typeof stored !== 'string') {
+      return String(stored);
+    }
+    if (/^[\[{]/.test(text)) {
+      try {
+        const parsed = JSON.parse(text);
+        if (parsed !== null && typeof parsed === 'object') {
+          return this.canonicalJson_(parsed);
         }
+      } catch (e) { /* JSON でなければ文字列のまま */ }
+    }
+    return text;
+  },
+
+  /**
+   * オブジェクト/配列を、キーを再帰的にソートしたJSON文字列に変換する
+   * @param {any} value - 値
+   * @returns {string} JSON文字列
+   */
+  canonicalJson_(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalJson_(item)).join(',')}]`;
+    } else if (value !== null && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonicalJson_(value[key])}`).join(',')}}`;
+    } else if (value === undefined) {
+      return 'null';
     }
+    return JSON.stringify(value);
+  },
+
+  /**
+   * Lokiから取得した生のログ (タイムスタンプ・ストリームのラベル・ログ行) を識別するキーを計算する
+   * ページ境界で同一ナノ秒のログを取得済みかどうか判定するために使う。
+   * 別のストリーム (Pod など) から同じ内容の行が出力された場合も、別のログとして扱う。
+   * @param {{nanoTs: BigInt, line: string, labels: object}} entry - Lokiから取得したログ
+   * @returns {string} SHA-256ハッシュ値 (16進数文字列)
+   */
+  calculateEntryKey(entry) {
+    return this.sha256Hex(`${entry.nanoTs}||{${this.labelString_(entry.labels)}}||${entry.line}`);
+  },
+
+  /**
+   * ラベルセットを、ラベル名でソートした文字列に変換する
+   * @param {object} [labels] - ラベルセット
+   * @returns {string} ラベルの文字列
+   */
+  labelString_(labels) {
+    const labelSet = labels || {};
+    return Object.keys(labelSet).sort().map(name => `${name}=${JSON.stringify(labelSet[name])}`).join(',');
+  },
+
+  /**
+   * 文字列の SHA-256 ハッシュを計算する
+   * @param {string} text - ハッシュ対象の文字列
+   * @returns {string} SHA-256ハッシュ値 (16進数文字列)
+   */
+  sha256Hex(text) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, text, Utilities.Charset.UTF_8);
+    return digest.map(byte => {
+      const hex = (byte & 0xFF).toString(16);
+      return hex.length === 1 ? '0' + hex : hex;
+    }).join('');
+  },
 };
 
 // --- clasp 用の設定ファイル (参考: project/.clasp.json) ---
@@ -858,14 +4594,49 @@ const LogHasher_ = {
 2. 左側のメニューから「プロジェクトの設定」（歯車アイコン）を選択
 3. 「スクリプト プロパティ」セクションで「スクリプト プロパティを編集」をクリック
 4. 以下のキーと対応する値を設定します:
-   - SPREADSHEET_ID: 操作対象のスプレッドシートID
-   - LOKI_API_ENDPOINT: LokiのクエリAPIエンドポイントURL (例: https://your-loki.com/loki/api/v1)
+   - SPREADSHEET_ID: 操作対象のスプレッドシートID (スプレッドシートにバインドしたスクリプトでは省略可)
+   - LOKI_API_ENDPOINT: LokiのクエリAPIエンドポイントURL (例: https://your-loki.com)
    - LOKI_USERNAME: (オプション) Basic認証のユーザー名
    - LOKI_PASSWORD: (オプション) Basic認証のパスワード
    - LOKI_API_KEY: (オプション) BearerトークンなどのAPIキー
    - LOKI_BASE_QUERY: 基本となるLogQLクエリ (例: {job="your-app"}) 時間範囲は含まない
-   - LOKI_QUERY_LIMIT: 1回のクエリで取得する最大件数 (例: 1000)
-   - LOKI_OVERLAP_SECONDS: Overlap秒数 (例: 300 で5分、0でOverlapなし)
-   - TIMEZONE_OFFSET: 記録時のタイムゾーンオフセット (例: "+09:00", "-05:00", "+00:00")
+   - LOKI_QUERY_LIMIT: (オプション) 1回のクエリで取得する最大件数 (例: 1000)
+   - LOKI_OVERLAP_SECONDS: (オプション) Overlap秒数 (例: 300 で5分、0でOverlapなし)
+   - LOKI_INGEST_DELAY_SECONDS: (オプション) 取り込みが完了していない可能性がある直近の秒数。この分だけ手前までを取得する (例: 30)
+   - LOKI_MAX_RETRIES: (オプション) 一時的なエラーで失敗したリクエストを再試行する回数 (例: 4)
+   - LOKI_RETRY_BASE_SECONDS: (オプション) 1回目の再試行までの待ち時間の基準値の秒数 (例: 2)
+   - LOKI_QUERY_TYPE: (オプション) クエリの種類 (logs: ログ行を取得, metric: メトリッククエリの値を取得)
+   - METRIC_STEP_SECONDS: (オプション) メトリッククエリの評価間隔の秒数 (例: 3600)
+   - METRIC_SHEET_NAME: (オプション) メトリッククエリの値を書き込むシート名 (指定しない場合は ROUTING_KEY で振り分け)
+   - TIMEZONE_OFFSET: 記録時のタイムゾーン。オフセットまたは IANA タイムゾーン名 (例: "+09:00", "-05:00", "Europe/Berlin")
+   - INITIAL_LOOKBACK_SECONDS: (オプション) 初回実行時に遡って取得する秒数 (例: 3600)
+   - CATCHUP_POLICY: (オプション) 時間が空いた場合の追いつき方 (resume: 前回の続きから, backfill: 直近を先に取得して空いた期間は後から)
+   - CATCHUP_MAX_SECONDS: (オプション) backfill の場合に、空いた期間をバックフィルに回す秒数 (例: 21600)
+   - BACKFILL_CHUNK_SECONDS: (オプション) バックフィルで1回のクエリ範囲とする秒数 (例: 3600)
+   - LOG_FORMAT: (オプション) ログ行の形式 (json, logfmt, regex)
+   - LOG_REGEX: (オプション) LOG_FORMAT が regex の場合の、名前付きキャプチャグループを含む正規表現
+   - LOG_PARSER_RULES: (オプション) ストリームのラベルごとにログ行の形式を切り替えるルール (JSON 配列)
+   - INCLUDE_STREAM_LABELS: (オプション) true の場合、ストリームのラベルを列として追加する
+   - STREAM_LABEL_PREFIX: (オプション) ラベルの列名のプレフィックス (例: label_)
+   - STREAM_LABEL_ALLOWLIST: (オプション) 列として追加するラベル名 (カンマ区切り)
+   - STREAM_LABEL_DENYLIST: (オプション) 列として追加しないラベル名 (カンマ区切り)
+   - ROUTING_KEY: (オプション) シートの振り分けに使うキー (例: metric_name, label:app, {label:app}-{level})
+   - ROUTING_SANITIZE: (オプション) true の場合、振り分けキーの値のシート名に使えない文字を '_' に置き換える
+   - SYNC_JOBS: (オプション) 複数のジョブを定義する JSON 配列 (各ジョブで上記のキーを上書きする)
+   - FLATTEN_DEPTH: (オプション) ネストしたオブジェクトを parent.child 形式の列に展開する最大の階層数 (例: 2)
+   - FLATTEN_ARRAYS: (オプション) 展開時の配列の扱い (index: 要素ごとに展開, join: カンマ区切りの文字列)
+   - WRITE_DATETIME_COLUMN: (オプション) true の場合、日時型の _datetime 列も記録する
+   - SHEET_ROTATION: (オプション) monthly の場合、年月ごとの metric_YYYYMM シートに書き込む
+   - RETENTION_MAX_ROWS: (オプション) 各シートに残す最大行数 (例: 100000、0 で制限なし)
+   - RETENTION_MAX_AGE_DAYS: (オプション) 行を残す日数 (例: 90、0 で制限なし)
+   - ARCHIVE_SPREADSHEET_ID: (オプション) 保持ポリシーで削除する行の移動先スプレッドシートID
+   - SHEETS_WRITE_API: (オプション) シートへの書き込み方法 (auto: Sheets API が有効なら使用, spreadsheetapp: 常に SpreadsheetApp)
+   - ALERT_EMAIL: (オプション) ジョブが失敗した場合などに通知するメールアドレス (カンマ区切り)
+   - ALERT_WEBHOOK_URL: (オプション) ジョブが失敗した場合などに通知する Webhook の URL
+   - ALERT_SKIP_RATE: (オプション) スキップしたログの割合がこの値以上の場合に通知する (例: 0.1)
+   - LOCK_WAIT_SECONDS: (オプション) 他の実行が同じジョブを処理中の場合に待つ秒数 (例: 30)
+   - SYNC_INTERVAL_MINUTES: (オプション) installTriggers で作成するトリガーの実行間隔の分数 (例: 60)
+   - SYNC_MIN_INTERVAL_MINUTES: (オプション) 時間内に取り切れない場合に実行間隔を短くする下限の分数 (例: 15)
 5. 「保存」をクリック
+スプレッドシートにバインドしたスクリプトでは、メニュー「Loki Sync」→「設定」のサイドバーでも設定できます。
 */
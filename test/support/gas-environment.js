@@ -0,0 +1,732 @@
+/**
+ * src/ のスクリプトを Node.js で読み込むためのテスト用の環境
+ * Apps Script のサービス (SpreadsheetApp, UrlFetchApp, PropertiesService, Utilities など) をメモリ上の代替実装に置き換え、
+ * vm のコンテキストでスクリプトを実行する。時刻 (Date.now() や new Date()) はテストから進められる。
+ * スプレッドシートの UI (メニュー、ダイアログ、サイドバー) は表示した内容を記録し、ダイアログの応答はテストから差し込む。
+ * Sheets API (拡張サービス) は、有効にした場合のみ同じスプレッドシートに対する代替実装を用意する。
+ * トリガー (ScriptApp) は作成したものを記録するだけで、実行はしない (テストから main にイベントオブジェクトを渡して再現する)。
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+
+/** 書式なしテキストの表示形式 */
+const PLAIN_TEXT_FORMAT = '@';
+
+/** スプレッドシートのシリアル値の起点 (1899-12-30) から Unix エポックまでの日数 */
+const SERIAL_NUMBER_EPOCH_DAYS = 25569;
+
+/** 新しいシートの列数 */
+const DEFAULT_COLUMN_COUNT = 26;
+
+/**
+ * スプレッドシートのように、setValues で書き込んだ文字列を解釈してセルに格納する値に変換する
+ * - 先頭がアポストロフィの文字列は、アポストロフィを除いた文字列のまま
+ * - 数値形式・パーセント形式の文字列は数値、真偽値形式の文字列は真偽値
+ * - 日付形式の文字列 (yyyy-mm-dd, yyyy/mm/dd と時刻) は日時 (スプレッドシートのタイムゾーンは UTC)
+ * @param {any} value - 書き込む値
+ * @param {function(new:Date, number)} DateClass - スクリプトの Date (スクリプトの instanceof Date で判定できるように)
+ * @returns {any} セルに格納される値
+ */
+function coerceCellValue(value, DateClass) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (value.startsWith("'")) {
+    return value.slice(1);
+  }
+  if (/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (/^[+-]?(\d+\.?\d*|\.\d+)%$/.test(value)) {
+    return Number(value.slice(0, -1)) / 100;
+  }
+  if (/^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === 'true';
+  }
+  const date = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+  if (date) {
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = date.slice(1).map(part => (part === undefined ? undefined : Number(part)));
+    return new DateClass(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  }
+  return value;
+}
+
+/** Range の代替実装 */
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getRow() {
+    return this.row;
+  }
+
+  getValues() {
+    this.sheet.cellsRead += this.numRows * this.numColumns;
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const line = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        const value = (this.sheet.grid[this.row - 1 + r] || [])[this.column - 1 + c];
+        line.push(value === undefined ? '' : value);
+      }
+      values.push(line);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(line => line.length !== this.numColumns)) {
+      throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numColumns}).`);
+    }
+    values.forEach((line, r) => line.forEach((value, c) => {
+      const row = this.row + r;
+      const column = this.column + c;
+      this.sheet.setCell(row, column, this.sheet.getCellFormat(row, column) === PLAIN_TEXT_FORMAT ? value : coerceCellValue(value, this.sheet.DateClass));
+    }));
+    return this;
+  }
+
+  setValue(value) {
+    return this.setValues([[value]]);
+  }
+
+  setNumberFormat(format) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet.cellFormats.set(`${this.row + r},${this.column + c}`, format);
+      }
+    }
+    return this;
+  }
+}
+
+/** Sheet の代替実装。セルの値は grid (行の配列) に持つ */
+class FakeSheet {
+  constructor(name, sheetId = 0, DateClass = Date) {
+    this.name = name;
+    this.sheetId = sheetId;
+    this.DateClass = DateClass; // 日付形式の文字列を変換する Date (スクリプトの Date)
+    this.columnCount = DEFAULT_COLUMN_COUNT; // Sheets API の appendDimension で増やす列数
+    this.protected = false; // true の場合はセルへの書き込みをエラーにする (保護されたシート)
+    this.grid = [];
+    this.cellFormats = new Map();
+    this.hiddenColumns = new Set();
+    this.frozenRows = 0;
+    this.cellsRead = 0; // getValues で読み込んだセル数 (読み込み量の確認用)
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  setCell(row, column, value) {
+    if (this.protected) {
+      throw new Error('You are trying to edit a protected cell or object.');
+    }
+    while (this.grid.length < row) {
+      this.grid.push([]);
+    }
+    this.grid[row - 1][column - 1] = value;
+  }
+
+  getCellFormat(row, column) {
+    return this.cellFormats.get(`${row},${column}`) || null;
+  }
+
+  getLastRow() {
+    for (let r = this.grid.length; r >= 1; r--) {
+      if (this.grid[r - 1].some(value => value !== undefined && value !== '')) {
+        return r;
+      }
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let lastColumn = 0;
+    this.grid.forEach(line => line.forEach((value, index) => {
+      if (value !== undefined && value !== '') {
+        lastColumn = Math.max(lastColumn, index + 1);
+      }
+    }));
+    return lastColumn;
+  }
+
+  getMaxRows() {
+    return Math.max(1000, this.grid.length);
+  }
+
+  getMaxColumns() {
+    return Math.max(this.columnCount, this.getLastColumn());
+  }
+
+  getRange(row, column, numRows = 1, numColumns = 1) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`The coordinates of the range are outside the dimensions of the sheet (${row}, ${column}, ${numRows}, ${numColumns}).`);
+    }
+    return new FakeRange(this, row, column, numRows, numColumns);
+  }
+
+  appendRow(values) {
+    this.getRange(this.getLastRow() + 1, 1, 1, values.length).setValues([values]);
+    return this;
+  }
+
+  clearContents() {
+    this.grid = [];
+    return this;
+  }
+
+  deleteRows(rowPosition, howMany) {
+    this.grid.splice(rowPosition - 1, howMany);
+  }
+
+  insertRowsBefore(beforePosition, howMany) {
+    while (this.grid.length < beforePosition - 1) {
+      this.grid.push([]);
+    }
+    this.grid.splice(beforePosition - 1, 0, ...Array.from({ length: howMany }, () => []));
+    // 挿入位置より下のセルの表示形式をずらす
+    const cellFormats = new Map();
+    this.cellFormats.forEach((format, key) => {
+      const [row, column] = key.split(',').map(Number);
+      cellFormats.set(`${row >= beforePosition ? row + howMany : row},${column}`, format);
+    });
+    this.cellFormats = cellFormats;
+    return this;
+  }
+
+  hideColumns(columnIndex, numColumns = 1) {
+    for (let i = 0; i < numColumns; i++) {
+      this.hiddenColumns.add(columnIndex + i);
+    }
+  }
+
+  setFrozenRows(rows) {
+    this.frozenRows = rows;
+    return this;
+  }
+
+  /**
+   * ヘッダーを含む全ての行を返す (テストでの確認用)
+   * @returns {Array<Array<any>>} 行の配列
+   */
+  rows() {
+    const lastColumn = this.getLastColumn();
+    return this.grid.slice(0, this.getLastRow())
+        .map(line => Array.from({ length: lastColumn }, (_, index) => (line[index] === undefined ? '' : line[index])));
+  }
+}
+
+/** Spreadsheet の代替実装 */
+class FakeSpreadsheet {
+  constructor(id, DateClass = Date) {
+    this.id = id;
+    this.DateClass = DateClass;
+    this.sheets = [];
+    this.timeZone = 'Etc/UTC';
+    this.nextSheetId = 1;
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getSheets() {
+    return this.sheets.slice();
+  }
+
+  getSheetByName(name) {
+    return this.sheets.find(sheet => sheet.name === name) || null;
+  }
+
+  insertSheet(name, sheetId = this.nextSheetId++) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists.`);
+    }
+    const sheet = new FakeSheet(name, sheetId, this.DateClass);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  getSheetById(sheetId) {
+    const sheet = this.sheets.find(s => s.sheetId === sheetId);
+    if (!sheet) {
+      throw new Error(`No grid with id: ${sheetId}`);
+    }
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(s => s !== sheet);
+  }
+}
+
+/**
+ * Sheets API の CellData をセルの値に変換する (日時の表示形式のシリアル値は、SpreadsheetApp と同じく Date にする)
+ * @param {object} cellData - CellData
+ * @param {string} timeZone - スプレッドシートのタイムゾーン (代替実装では UTC のみ)
+ * @param {function(new:Date, number)} DateClass - スクリプトの Date (スクリプトの instanceof Date で判定できるように)
+ * @returns {any} セルの値
+ */
+function cellDataToValue(cellData, timeZone, DateClass) {
+  const value = cellData.userEnteredValue || {};
+  const numberFormat = cellData.userEnteredFormat && cellData.userEnteredFormat.numberFormat;
+  if ('numberValue' in value) {
+    if (numberFormat && numberFormat.type === 'DATE_TIME') {
+      assert.equal(timeZone, 'Etc/UTC', '日時のシリアル値は UTC のスプレッドシートでのみ変換できます');
+      return new DateClass(Math.round((value.numberValue - SERIAL_NUMBER_EPOCH_DAYS) * 24 * 60 * 60 * 1000));
+    }
+    return value.numberValue;
+  }
+  if ('boolValue' in value) {
+    return value.boolValue;
+  }
+  return 'stringValue' in value ? value.stringValue : '';
+}
+
+/**
+ * Sheets API (拡張サービス Sheets) の代替実装
+ * spreadsheets.get, spreadsheets.values.batchGet, spreadsheets.batchUpdate を、SpreadsheetApp の代替実装と同じスプレッドシートに対して行う。
+ * batchUpdate は本物と同じく、いずれかのリクエストが失敗した場合は何も反映しない。
+ * @param {function(string): FakeSpreadsheet} openById - スプレッドシートを取得する関数
+ * @param {Array<{method: string, spreadsheetId: string}>} calls - 呼び出しを記録する配列
+ * @param {function(new:Date, number)} DateClass - スクリプトの Date
+ * @returns {object} Sheets
+ */
+function createFakeSheetsService(openById, calls, DateClass) {
+  /**
+   * 行データを、指定した位置から書き込む
+   * @param {FakeSpreadsheet} ss - スプレッドシート
+   * @param {FakeSheet} sheet - シート
+   * @param {number} rowIndex - 最初の行 (0 始まり)
+   * @param {number} columnIndex - 最初の列 (0 始まり)
+   * @param {Array<{values: Array<object>}>} rows - RowData
+   * @param {string} fields - 更新するフィールド
+   */
+  const writeRows = (ss, sheet, rowIndex, columnIndex, rows, fields) => {
+    rows.forEach((rowData, r) => (rowData.values || []).forEach((cellData, c) => {
+      const row = rowIndex + r + 1;
+      const column = columnIndex + c + 1;
+      if (column > sheet.getMaxColumns()) {
+        throw new Error(`Invalid requests: GridCoordinate.columnIndex[${column - 1}] is after last column in grid[${sheet.getMaxColumns()}]`);
+      }
+      if (fields.includes('userEnteredValue')) {
+        sheet.setCell(row, column, cellDataToValue(cellData, ss.timeZone, DateClass));
+      }
+      if (fields.includes('userEnteredFormat.numberFormat')) {
+        const numberFormat = cellData.userEnteredFormat && cellData.userEnteredFormat.numberFormat;
+        if (numberFormat) {
+          sheet.cellFormats.set(`${row},${column}`, numberFormat.type === 'TEXT' ? PLAIN_TEXT_FORMAT : numberFormat.pattern);
+        } else {
+          sheet.cellFormats.delete(`${row},${column}`);
+        }
+      }
+    }));
+  };
+
+  /** batchUpdate のリクエストの種類ごとの処理 */
+  const handlers = {
+    addSheet: (ss, { properties }) => {
+      const sheet = ss.insertSheet(properties.title, properties.sheetId);
+      sheet.columnCount = properties.gridProperties.columnCount;
+    },
+    appendDimension: (ss, { sheetId, dimension, length }) => {
+      assert.equal(dimension, 'COLUMNS');
+      ss.getSheetById(sheetId).columnCount = ss.getSheetById(sheetId).getMaxColumns() + length;
+    },
+    updateCells: (ss, { start, rows, fields }) => {
+      writeRows(ss, ss.getSheetById(start.sheetId), start.rowIndex, start.columnIndex, rows, fields);
+    },
+    appendCells: (ss, { sheetId, rows, fields }) => {
+      const sheet = ss.getSheetById(sheetId);
+      writeRows(ss, sheet, sheet.getLastRow(), 0, rows, fields);
+    },
+    insertDimension: (ss, { range }) => {
+      assert.equal(range.dimension, 'ROWS');
+      ss.getSheetById(range.sheetId).insertRowsBefore(range.startIndex + 1, range.endIndex - range.startIndex);
+    },
+    updateDimensionProperties: (ss, { range, properties }) => {
+      assert.equal(range.dimension, 'COLUMNS');
+      const sheet = ss.getSheetById(range.sheetId);
+      for (let column = range.startIndex + 1; column <= range.endIndex; column++) {
+        if (properties.hiddenByUser) {
+          sheet.hiddenColumns.add(column);
+        } else {
+          sheet.hiddenColumns.delete(column);
+        }
+      }
+    },
+  };
+
+  return {
+    Spreadsheets: {
+      get: spreadsheetId => {
+        calls.push({ method: 'get', spreadsheetId });
+        const ss = openById(spreadsheetId);
+        return {
+          properties: { timeZone: ss.timeZone },
+          sheets: ss.sheets.map(sheet => ({ properties: {
+            sheetId: sheet.sheetId,
+            title: sheet.name,
+            gridProperties: { rowCount: sheet.getMaxRows(), columnCount: sheet.getMaxColumns() },
+          } })),
+        };
+      },
+      batchUpdate: ({ requests }, spreadsheetId) => {
+        calls.push({ method: 'batchUpdate', spreadsheetId });
+        const ss = openById(spreadsheetId);
+        const snapshot = {
+          sheets: ss.sheets.slice(),
+          states: ss.sheets.map(sheet => ({
+            grid: sheet.grid.map(line => line.slice()),
+            cellFormats: new Map(sheet.cellFormats),
+            hiddenColumns: new Set(sheet.hiddenColumns),
+            columnCount: sheet.columnCount,
+          })),
+        };
+        try {
+          requests.forEach(request => {
+            const kinds = Object.keys(request);
+            assert.equal(kinds.length, 1, 'リクエストには1つの種類だけを指定します');
+            assert.ok(handlers[kinds[0]], `代替実装にないリクエストです: ${kinds[0]}`);
+            handlers[kinds[0]](ss, request[kinds[0]]);
+          });
+        } catch (e) {
+          ss.sheets = snapshot.sheets;
+          ss.sheets.forEach((sheet, index) => Object.assign(sheet, snapshot.states[index]));
+          throw e;
+        }
+        return { spreadsheetId, replies: requests.map(() => ({})) };
+      },
+      Values: {
+        batchGet: (spreadsheetId, { ranges }) => {
+          calls.push({ method: 'values.batchGet', spreadsheetId });
+          const ss = openById(spreadsheetId);
+          return {
+            spreadsheetId,
+            valueRanges: ranges.map(range => {
+              const match = range.match(/^'((?:[^']|'')*)'!1:1$/);
+              assert.ok(match, `代替実装は 'シート名'!1:1 の範囲のみ読み込めます: ${range}`);
+              const sheet = ss.getSheetByName(match[1].replace(/''/g, "'"));
+              if (!sheet) {
+                throw new Error(`Unable to parse range: ${range}`);
+              }
+              const lastColumn = sheet.getLastColumn();
+              // 本物と同じく、表示した値 (文字列) を返し、末尾の空のセルは省く
+              const values = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String) : [];
+              return values.length > 0 ? { range, values: [values] } : { range };
+            }),
+          };
+        },
+      },
+    },
+  };
+}
+
+/** Trigger の代替実装。時間主導型トリガーは実行間隔 (分) を持つ */
+class FakeTrigger {
+  constructor(handlerFunction, eventType, intervalMinutes, uniqueId) {
+    this.handlerFunction = handlerFunction;
+    this.eventType = eventType;
+    this.intervalMinutes = intervalMinutes;
+    this.uniqueId = uniqueId;
+  }
+
+  getHandlerFunction() {
+    return this.handlerFunction;
+  }
+
+  getEventType() {
+    return this.eventType;
+  }
+
+  getUniqueId() {
+    return this.uniqueId;
+  }
+}
+
+/** Ui の代替実装。表示したメニュー・ダイアログ・サイドバーを記録し、ダイアログには差し込んだ応答を順に返す */
+class FakeUi {
+  constructor() {
+    this.Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+    this.ButtonSet = { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' };
+    this.menus = [];
+    this.dialogs = [];
+    this.sidebars = [];
+    this.responses = [];
+  }
+
+  createMenu(caption) {
+    const menu = { caption, items: [], added: false };
+    this.menus.push(menu);
+    const builder = {
+      addItem: (itemCaption, functionName) => {
+        menu.items.push({ caption: itemCaption, functionName });
+        return builder;
+      },
+      addSeparator: () => {
+        menu.items.push(null);
+        return builder;
+      },
+      addToUi: () => { menu.added = true; },
+    };
+    return builder;
+  }
+
+  alert(title, prompt, buttons) {
+    this.dialogs.push({ type: 'alert', title, prompt, buttons });
+    return this.responses.length > 0 ? this.responses.shift() : this.Button.OK;
+  }
+
+  prompt(title, prompt, buttons) {
+    this.dialogs.push({ type: 'prompt', title, prompt, buttons });
+    const response = this.responses.length > 0 ? this.responses.shift() : { button: this.Button.CANCEL, text: '' };
+    return {
+      getSelectedButton: () => response.button,
+      getResponseText: () => response.text,
+    };
+  }
+
+  showSidebar(userInterface) {
+    this.sidebars.push(userInterface);
+  }
+
+  /**
+   * 次のダイアログから順に返す応答を差し込む
+   * @param {...(string|{button: string, text: string})} responses - alert にはボタン、prompt にはボタンと入力した文字列
+   */
+  respondWith(...responses) {
+    this.responses.push(...responses);
+  }
+}
+
+/**
+ * テスト用の Apps Script の環境を作り、src/ のスクリプトを読み込む
+ * @param {object} [options]
+ * @param {number} [options.now] - 開始時の現在時刻 (Unix ミリ秒)
+ * @param {Object<string, string>} [options.properties] - スクリプトプロパティの初期値
+ * @param {function(string, object): ({code: number, body: string, headers: object}|Error)} [options.fetch] -
+ *     UrlFetchApp.fetch の応答を返す関数 (Error を返すと例外として投げる)
+ * @param {string} [options.activeSpreadsheetId] - スクリプトがバインドされたスプレッドシートのID (省略した場合はスタンドアロンのスクリプト)
+ * @param {boolean} [options.sheetsApi] - Sheets API (拡張サービス) を有効にする
+ * @returns {object} 環境 (スクリプトの関数の呼び出し、スプレッドシート・プロパティ・ログ・UI・トリガーの確認、時刻の操作)
+ */
+function createGasEnvironment(options = {}) {
+  const clock = { now: options.now !== undefined ? options.now : Date.UTC(2025, 3, 21, 0, 0, 0) };
+  const properties = new Map(Object.entries(options.properties || {}));
+  const spreadsheets = new Map();
+  const requests = [];
+  const logs = [];
+  const mails = [];
+  const ui = new FakeUi();
+  const triggers = [];
+  const sheetsApiCalls = [];
+  let triggerSequence = 0;
+  let fetchHandler = options.fetch || (() => ({ code: 404, body: 'not found' }));
+  let uuidSequence = 0;
+  let scriptLockHeld = false;
+
+  // 引数なしの new Date() と Date.now() はテストの時刻を返す
+  class FakeDate extends Date {
+    constructor(...args) {
+      if (args.length === 0) {
+        super(clock.now);
+      } else {
+        super(...args);
+      }
+    }
+
+    static now() {
+      return clock.now;
+    }
+  }
+
+  const scriptProperties = {
+    getProperty: key => (properties.has(key) ? properties.get(key) : null),
+    setProperty: (key, value) => {
+      properties.set(key, String(value));
+      return scriptProperties;
+    },
+    deleteProperty: key => {
+      properties.delete(key);
+      return scriptProperties;
+    },
+    getProperties: () => Object.fromEntries(properties),
+  };
+
+  const context = vm.createContext({
+    console,
+    Date: FakeDate,
+    Logger: { log: message => { logs.push(String(message)); } },
+    PropertiesService: { getScriptProperties: () => scriptProperties },
+    SpreadsheetApp: {
+      openById: id => {
+        if (!spreadsheets.has(id)) {
+          spreadsheets.set(id, new FakeSpreadsheet(id, FakeDate));
+        }
+        return spreadsheets.get(id);
+      },
+      getActiveSpreadsheet: () => (options.activeSpreadsheetId ? context.SpreadsheetApp.openById(options.activeSpreadsheetId) : null),
+      getUi: () => ui,
+    },
+    HtmlService: {
+      createHtmlOutputFromFile: filename => {
+        const output = {
+          filename,
+          content: fs.readFileSync(path.join(SRC_DIR, `${filename}.html`), 'utf8'),
+          title: null,
+          setTitle: title => {
+            output.title = title;
+            return output;
+          },
+        };
+        return output;
+      },
+    },
+    UrlFetchApp: {
+      fetch: (url, params) => {
+        requests.push({ url, params });
+        const response = fetchHandler(url, params);
+        if (response instanceof Error) {
+          throw response;
+        }
+        return {
+          getResponseCode: () => response.code,
+          getContentText: () => response.body,
+          getHeaders: () => response.headers || {},
+        };
+      },
+    },
+    Utilities: {
+      DigestAlgorithm: { SHA_256: 'sha256' },
+      Charset: { UTF_8: 'utf8' },
+      // Apps Script と同じく、符号付きバイトの配列を返す
+      computeDigest: (algorithm, text) => Array.from(crypto.createHash(algorithm).update(text, 'utf8').digest(), b => (b > 127 ? b - 256 : b)),
+      base64Encode: text => Buffer.from(text, 'utf8').toString('base64'),
+      getUuid: () => `00000000-0000-4000-8000-${String(++uuidSequence).padStart(12, '0')}`,
+      sleep: milliseconds => { clock.now += milliseconds; },
+    },
+    LockService: {
+      getScriptLock: () => ({
+        tryLock: () => {
+          if (scriptLockHeld) {
+            return false;
+          }
+          scriptLockHeld = true;
+          return true;
+        },
+        releaseLock: () => { scriptLockHeld = false; },
+      }),
+    },
+    ScriptApp: {
+      EventType: { CLOCK: 'CLOCK', ON_OPEN: 'ON_OPEN', ON_EDIT: 'ON_EDIT' },
+      getProjectTriggers: () => triggers.slice(),
+      deleteTrigger: trigger => {
+        const index = triggers.indexOf(trigger);
+        if (index !== -1) {
+          triggers.splice(index, 1);
+        }
+      },
+      // Apps Script と同じく、分・時間タイマーは決まった間隔だけを受け付ける
+      newTrigger: handlerFunction => ({
+        timeBased: () => {
+          let intervalMinutes = null;
+          const builder = {
+            everyMinutes: minutes => {
+              if (![1, 5, 10, 15, 30].includes(minutes)) {
+                throw new Error(`Invalid argument: minutes (${minutes})`);
+              }
+              intervalMinutes = minutes;
+              return builder;
+            },
+            everyHours: hours => {
+              if (![1, 2, 4, 6, 8, 12].includes(hours)) {
+                throw new Error(`Invalid argument: hours (${hours})`);
+              }
+              intervalMinutes = hours * 60;
+              return builder;
+            },
+            everyDays: days => {
+              intervalMinutes = days * 24 * 60;
+              return builder;
+            },
+            create: () => {
+              const trigger = new FakeTrigger(handlerFunction, 'CLOCK', intervalMinutes, `trigger-${++triggerSequence}`);
+              triggers.push(trigger);
+              return trigger;
+            },
+          };
+          return builder;
+        },
+      }),
+    },
+    MailApp: { sendEmail: (recipient, subject, body) => { mails.push({ recipient, subject, body }); } },
+  });
+  if (options.sheetsApi) {
+    context.Sheets = createFakeSheetsService(id => context.SpreadsheetApp.openById(id), sheetsApiCalls, FakeDate);
+  }
+
+  fs.readdirSync(SRC_DIR).filter(file => file.endsWith('.js')).sort().forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(SRC_DIR, file), 'utf8'), context, { filename: path.join(SRC_DIR, file) });
+  });
+
+  return {
+    context,
+    clock,
+    properties,
+    requests,
+    logs,
+    mails,
+    ui,
+    triggers,
+    sheetsApiCalls,
+    /**
+     * スクリプトのトップレベルの値 (関数や定数) を取得する
+     * @param {string} name - 名前 (TimestampUtil_ など)
+     * @returns {any} 値
+     */
+    get: name => vm.runInContext(name, context),
+    /**
+     * スクリプトの関数を呼び出す
+     * @param {string} name - 関数名 (main など)
+     * @param {...any} args - 引数
+     * @returns {any} 戻り値
+     */
+    call: (name, ...args) => vm.runInContext(name, context)(...args),
+    /**
+     * スプレッドシートを取得する (なければ空のスプレッドシートを作る)
+     * @param {string} id - スプレッドシートID
+     * @returns {FakeSpreadsheet} スプレッドシート
+     */
+    spreadsheet: id => context.SpreadsheetApp.openById(id),
+    /**
+     * UrlFetchApp.fetch の応答を返す関数を差し替える
+     * @param {function(string, object): object} handler - 応答を返す関数
+     */
+    setFetchHandler: handler => { fetchHandler = handler; },
+    /**
+     * 時刻を進める
+     * @param {number} milliseconds - 進める時間 (ミリ秒)
+     */
+    advance: milliseconds => { clock.now += milliseconds; },
+  };
+}
+
+module.exports = { createGasEnvironment, FakeSpreadsheet, FakeSheet, FakeRange, FakeTrigger, FakeUi };
@@ -0,0 +1,113 @@
+/**
+ * Loki の query_range API の応答をメモリ上のログから作るテスト用の代替実装
+ * start (この時刻を含む) から end (この時刻は含まない) のログを古い順に limit 件まで、ラベルセットごとのストリームに分けて返す。
+ * step を指定したリクエスト (メトリッククエリ) には、系列ごとの関数で start から end (この時刻を含む) までを step ごとに評価した matrix を返す。
+ * 応答を差し込むと (respondWith)、ログの代わりにその応答を順に返す (429 や 5xx などのエラーの再現用)。
+ */
+'use strict';
+
+/**
+ * @param {Array<{nanoTs: bigint, line: string, labels?: object}>} [initialEntries] - 初期のログ
+ * @param {object} [options]
+ * @param {Array<{metric: object, valueAt: function(number): (number|string|null)}>} [options.series] -
+ *     メトリッククエリの系列。valueAt は評価時刻 (Unix 秒) の値を返す (null の場合はその時刻の値なし)
+ * @returns {object} Loki の代替実装
+ */
+function createLokiServer(initialEntries = [], options = {}) {
+  const entries = initialEntries.slice();
+  const scriptedResponses = [];
+  const queries = [];
+
+  /**
+   * UrlFetchApp.fetch の応答を返す (createGasEnvironment の fetch に渡す)
+   * @param {string} url - リクエストの URL
+   * @returns {{code: number, body: string, headers?: object}|Error} 応答
+   */
+  function handle(url) {
+    const params = new URL(url).searchParams;
+    const query = {
+      query: params.get('query'),
+      start: BigInt(params.get('start')),
+      end: BigInt(params.get('end')),
+      limit: parseInt(params.get('limit'), 10),
+      direction: params.get('direction'),
+      step: params.has('step') ? Number(params.get('step')) : null,
+    };
+    queries.push(query);
+    if (scriptedResponses.length > 0) {
+      return scriptedResponses.shift();
+    }
+    if (query.step !== null) {
+      return matrixResponse(query);
+    }
+
+    const selected = entries
+        .filter(entry => entry.nanoTs >= query.start && entry.nanoTs < query.end)
+        .sort((a, b) => (a.nanoTs < b.nanoTs ? -1 : a.nanoTs > b.nanoTs ? 1 : 0))
+        .slice(0, query.limit);
+    const streams = new Map();
+    selected.forEach(entry => {
+      const labels = entry.labels || {};
+      const key = JSON.stringify(labels);
+      if (!streams.has(key)) {
+        streams.set(key, { stream: labels, values: [] });
+      }
+      streams.get(key).values.push([entry.nanoTs.toString(), entry.line]);
+    });
+    return {
+      code: 200,
+      body: JSON.stringify({ status: 'success', data: { resultType: 'streams', result: Array.from(streams.values()) } }),
+    };
+  }
+
+  /**
+   * メトリッククエリの応答を作る
+   * @param {{start: bigint, end: bigint, step: number}} query - リクエストのパラメーター
+   * @returns {{code: number, body: string}} 応答
+   */
+  function matrixResponse(query) {
+    const result = (options.series || []).map(series => {
+      const values = [];
+      for (let nanoTs = query.start; nanoTs <= query.end; nanoTs += BigInt(query.step) * 1000000000n) {
+        const seconds = Number(nanoTs) / 1e9;
+        const value = series.valueAt(seconds);
+        if (value !== null) {
+          values.push([seconds, String(value)]);
+        }
+      }
+      return { metric: series.metric, values };
+    }).filter(series => series.values.length > 0);
+    return {
+      code: 200,
+      body: JSON.stringify({ status: 'success', data: { resultType: 'matrix', result } }),
+    };
+  }
+
+  return {
+    handle,
+    queries,
+    /**
+     * ログを追加する
+     * @param {...{nanoTs: bigint, line: string, labels?: object}} newEntries - 追加するログ
+     */
+    push: (...newEntries) => { entries.push(...newEntries); },
+    /**
+     * 次のリクエストから順に返す応答を差し込む
+     * @param {...({code: number, body: string, headers?: object}|Error)} responses - 応答
+     */
+    respondWith: (...responses) => { scriptedResponses.push(...responses); },
+  };
+}
+
+/**
+ * JSON のログ行を作る
+ * @param {bigint} nanoTs - タイムスタンプ (UTCナノ秒)
+ * @param {object} fields - ログの内容
+ * @param {object} [labels] - ストリームのラベル
+ * @returns {{nanoTs: bigint, line: string, labels: object}} ログ
+ */
+function jsonEntry(nanoTs, fields, labels = { job: 'app' }) {
+  return { nanoTs, line: JSON.stringify(fields), labels };
+}
+
+module.exports = { createLokiServer, jsonEntry };
@@ -0,0 +1,1093 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { createGasEnvironment, FakeTrigger } = require('./support/gas-environment');
+const { createLokiServer, jsonEntry } = require('./support/loki-server');
+
+const NOW_MS = Date.UTC(2025, 3, 21, 0, 0, 0);
+const NANOS_PER_MS = 1000000n;
+
+/** 現在時刻の10分前 (初回の取得範囲に含まれる時刻) の UTCナノ秒 */
+const BASE_NANO_TS = BigInt(NOW_MS - 10 * 60 * 1000) * NANOS_PER_MS;
+
+/**
+ * Loki とスプレッドシートを用意した環境を作る
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.properties] - 追加のスクリプトプロパティ
+ * @param {Array<object>} [options.entries] - Loki のログ
+ * @param {string} [options.activeSpreadsheetId] - スクリプトがバインドされたスプレッドシートのID
+ * @param {boolean} [options.sheetsApi] - Sheets API (拡張サービス) を有効にする
+ * @returns {{env: object, loki: object, sheet: function(string): object}} 環境
+ */
+function setup({ properties = {}, entries = [], activeSpreadsheetId, sheetsApi = false } = {}) {
+  const loki = createLokiServer(entries);
+  const env = createGasEnvironment({
+    now: NOW_MS,
+    properties: Object.assign({
+      SPREADSHEET_ID: 'spreadsheet',
+      LOKI_API_ENDPOINT: 'https://loki.example.com',
+      LOKI_BASE_QUERY: '{job="app"}',
+    }, properties),
+    fetch: url => loki.handle(url),
+    activeSpreadsheetId,
+    sheetsApi,
+  });
+  return { env, loki, sheet: name => env.spreadsheet('spreadsheet').getSheetByName(name) };
+}
+
+/**
+ * シートの列の値を返す (ヘッダーを除く)
+ * @param {object} sheet - シート
+ * @param {string} column - 列名
+ * @returns {Array<any>} 値
+ */
+function columnValues(sheet, column) {
+  const [header, ...rows] = sheet.rows();
+  const index = header.indexOf(column);
+  assert.notEqual(index, -1, `列 ${column} がありません`);
+  return rows.map(row => row[index]);
+}
+
+/**
+ * シートに書き込むテストを、書き込み方法 (SpreadsheetApp と Sheets API) ごとに定義する
+ * @param {string} name - テストのグループ名
+ * @param {function({setup: function(object): object, sheetsApi: boolean})} body - 書き込み方法を指定した setup と、
+ *     Sheets API を有効にするかどうかを受け取ってテストを定義する関数
+ */
+function describeWritePaths(name, body) {
+  [{ label: 'SpreadsheetApp', sheetsApi: false }, { label: 'Sheets API', sheetsApi: true }].forEach(({ label, sheetsApi }) => {
+    describe(`${name} (${label})`, () => body({ setup: options => setup(Object.assign({ sheetsApi }, options)), sheetsApi }));
+  });
+}
+
+describeWritePaths('main', ({ setup }) => {
+  describe('ページ単位の取得', () => {
+    it('LOKI_QUERY_LIMIT 件ずつ取得し、全てのログを1回ずつ書き込む', () => {
+      const entries = [];
+      for (let i = 0; i < 10; i++) {
+        entries.push(jsonEntry(BASE_NANO_TS + BigInt(i) * 1000n, { metric_name: 'api', seq: i }));
+      }
+      const { env, loki, sheet } = setup({ properties: { LOKI_QUERY_LIMIT: '4' }, entries });
+
+      const results = env.call('main');
+
+      assert.equal(results[0].status, 'completed');
+      assert.deepEqual(columnValues(sheet('api'), 'seq'), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      // 次のページは前のページの最終タイムスタンプから取得する
+      assert.equal(loki.queries.length, 4);
+      assert.equal(loki.queries[1].start, entries[3].nanoTs);
+      assert.equal(loki.queries[2].start, entries[6].nanoTs);
+    });
+
+    it('ページの境界で同じナノ秒のログが分かれても、取りこぼしも重複もしない', () => {
+      const entries = [
+        jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 }),
+        jsonEntry(BASE_NANO_TS + 1n, { metric_name: 'api', seq: 1 }),
+        jsonEntry(BASE_NANO_TS + 2n, { metric_name: 'api', seq: 2 }),
+        jsonEntry(BASE_NANO_TS + 2n, { metric_name: 'api', seq: 3 }),
+        jsonEntry(BASE_NANO_TS + 2n, { metric_name: 'api', seq: 4 }),
+        jsonEntry(BASE_NANO_TS + 3n, { metric_name: 'api', seq: 5 }),
+      ];
+      const { env, sheet } = setup({ properties: { LOKI_QUERY_LIMIT: '4' }, entries });
+
+      env.call('main');
+
+      assert.deepEqual(columnValues(sheet('api'), 'seq'), [0, 1, 2, 3, 4, 5]);
+      assert.ok(!env.logs.some(log => log.startsWith('Warning:')));
+    });
+
+    it('metric_name ごとのシートに振り分ける', () => {
+      const { env, sheet } = setup({ entries: [
+        jsonEntry(BASE_NANO_TS, { metric_name: 'api', value: 1 }),
+        jsonEntry(BASE_NANO_TS + 1n, { metric_name: 'db', value: 2 }),
+        jsonEntry(BASE_NANO_TS + 2n, { metric_name: 'api', value: 3 }),
+      ] });
+
+      env.call('main');
+
+      assert.deepEqual(columnValues(sheet('api'), 'value'), [1, 3]);
+      assert.deepEqual(columnValues(sheet('db'), 'value'), [2]);
+    });
+  });
+
+  describe('重複排除', () => {
+    it('Overlap 期間に取得し直したログは書き込まない', () => {
+      const { env, loki, sheet } = setup({
+        properties: { LOKI_OVERLAP_SECONDS: '600' },
+        entries: [
+          jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 }),
+          jsonEntry(BASE_NANO_TS + 1000n, { metric_name: 'api', seq: 1 }),
+        ],
+      });
+      env.call('main');
+
+      env.advance(60 * 1000);
+      loki.push(jsonEntry(BigInt(NOW_MS) * NANOS_PER_MS, { metric_name: 'api', seq: 2 }));
+      env.call('main');
+
+      assert.equal(loki.queries[1].start < BASE_NANO_TS, true, 'Overlap 期間を含めて取得し直す');
+      assert.deepEqual(columnValues(sheet('api'), 'seq'), [0, 1, 2]);
+    });
+
+    it('同じ時刻・同じ内容でもストリームのラベルが異なるログは、それぞれ書き込む', () => {
+      const fields = { metric_name: 'api', message: 'retry' };
+      const { env, loki, sheet } = setup({
+        properties: { LOKI_OVERLAP_SECONDS: '600' },
+        entries: [
+          jsonEntry(BASE_NANO_TS, fields, { job: 'app', pod: 'a' }),
+          jsonEntry(BASE_NANO_TS, fields, { job: 'app', pod: 'b' }),
+        ],
+      });
+      env.call('main');
+
+      env.advance(60 * 1000);
+      loki.push(jsonEntry(BASE_NANO_TS, fields, { job: 'app', pod: 'c' }));
+      env.call('main');
+
+      assert.deepEqual(columnValues(sheet('api'), 'message'), ['retry', 'retry', 'retry']);
+    });
+
+    it('Case 1: シートのログより新しいログは比較せずに追記する', () => {
+      const { env, loki, sheet } = setup({ entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 })] });
+      env.call('main');
+
+      env.advance(60 * 1000);
+      loki.push(jsonEntry(BigInt(NOW_MS) * NANOS_PER_MS, { metric_name: 'api', seq: 1 }));
+      env.logs.length = 0;
+      env.call('main');
+
+      assert.ok(env.logs.some(log => log.startsWith('Case 1:')));
+      assert.deepEqual(columnValues(sheet('api'), 'seq'), [0, 1]);
+    });
+
+    it("Case 2 と Case 3': シートの最新のログと重なる範囲は索引 (_hash) で比較する", () => {
+      const { env, sheet } = setup({ entries: [
+        jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 }),
+        jsonEntry(BASE_NANO_TS + 1000n, { metric_name: 'api', seq: 1 }),
+      ] });
+      env.call('main');
+
+      // 同期カーソルを消すと、シートの最新のタイムスタンプ (秒単位で切り捨て) から取得し直す
+      env.properties.delete('STATE_SYNC_CURSOR');
+      env.logs.length = 0;
+      env.call('main');
+      assert.ok(env.logs.some(log => log.startsWith("Case 3':")));
+
+      // Loki の最古のログがシートの最新のログと同じ時刻の場合
+      env.properties.set('STATE_SYNC_CURSOR', JSON.stringify({ nanoTs: (BASE_NANO_TS + 1000n).toString(), entryKeys: [] }));
+      env.logs.length = 0;
+      env.call('main');
+      assert.ok(env.logs.some(log => log.startsWith('Case 2:')));
+
+      assert.deepEqual(columnValues(sheet('api'), 'seq'), [0, 1]);
+    });
+
+    it('比較範囲の途中に古い行があっても、その上の行の索引と比較する', () => {
+      const { env, loki, sheet } = setup({
+        properties: { LOKI_OVERLAP_SECONDS: '600' },
+        entries: [
+          jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 }),
+          jsonEntry(BASE_NANO_TS + 1000n, { metric_name: 'api', seq: 1 }),
+        ],
+      });
+      env.call('main');
+      // 手動で末尾に古い行と新しい行を追加する
+      const [header, firstRow] = sheet('api').rows();
+      const appendManualRow = (nanoTs, seq) => {
+        const row = firstRow.slice();
+        row[header.indexOf('_timestamp')] = env.get('TimestampUtil_').formatToIsoString(nanoTs, '+00:00');
+        row[header.indexOf('_hash')] = seq;
+        row[header.indexOf('seq')] = seq;
+        sheet('api').appendRow(row);
+      };
+      appendManualRow(BASE_NANO_TS - 3600n * 1000n * NANOS_PER_MS, 'older');
+      appendManualRow(BASE_NANO_TS + 2000n, 'newer');
+
+      env.advance(60 * 1000);
+      loki.push(jsonEntry(BigInt(NOW_MS) * NANOS_PER_MS, { metric_name: 'api', seq: 2 }));
+      env.call('main');
+
+      assert.deepEqual(columnValues(sheet('api'), 'seq'), [0, 1, 'older', 'newer', 2]);
+    });
+
+    it('backfill で取得した過去のログは時刻順の位置に挿入し、次の main で重複しない', () => {
+      const dayNanos = 24n * 3600n * 1000n * NANOS_PER_MS;
+      const entries = [];
+      for (let i = 0; i < 5; i++) {
+        entries.push(jsonEntry(BASE_NANO_TS + BigInt(i) * 1000n, { metric_name: 'api', seq: `recent${i}` }));
+      }
+      for (let i = 0; i < 3; i++) {
+        entries.push(jsonEntry(BASE_NANO_TS - dayNanos + BigInt(i) * 1000n, { metric_name: 'api', seq: `old${i}` }));
+      }
+      const { env, sheet } = setup({ properties: { LOKI_OVERLAP_SECONDS: '600' }, entries });
+      env.call('main');
+
+      const dayAgoMs = NOW_MS - 24 * 3600 * 1000;
+      env.call('backfill', new Date(dayAgoMs - 3600 * 1000).toISOString(), new Date(dayAgoMs).toISOString());
+      env.advance(60 * 1000);
+      env.call('main');
+
+      assert.deepEqual(columnValues(sheet('api'), 'seq'),
+          ['old0', 'old1', 'old2', 'recent0', 'recent1', 'recent2', 'recent3', 'recent4']);
+    });
+
+    it('索引 (_hash) 列は非表示で、各行にログのハッシュを記録する', () => {
+      const { env, sheet } = setup({ entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 })] });
+      env.call('main');
+
+      const header = sheet('api').rows()[0];
+      const hashColumn = header.indexOf('_hash') + 1;
+      assert.ok(sheet('api').hiddenColumns.has(hashColumn));
+      assert.match(String(columnValues(sheet('api'), '_hash')[0]), /^[0-9a-f]{64}\.[0-9a-f]{64}$/);
+      assert.deepEqual(JSON.parse(JSON.stringify(env.call('verifyHashIdentity'))),
+          [{ jobId: 'default', sheetName: 'api', checkedRows: 1, mismatchedRows: [] }]);
+    });
+
+    it('日付・パーセント形式の文字列の値も、行の値から計算したハッシュがログの内容のハッシュと一致する', () => {
+      const { env, sheet } = setup({ entries: [
+        jsonEntry(BASE_NANO_TS, { metric_name: 'api', day: '2025-04-01', ratio: '50%', seq: 0 }),
+        jsonEntry(BASE_NANO_TS + 1000n, { metric_name: 'api', day: '2025/04/02 09:00', ratio: '12.5%', seq: 1 }),
+      ] });
+      env.call('main');
+
+      assert.deepEqual(JSON.parse(JSON.stringify(env.call('verifyHashIdentity'))),
+          [{ jobId: 'default', sheetName: 'api', checkedRows: 2, mismatchedRows: [] }]);
+
+      // 索引のない行 (索引列の追加前に書き込まれた行) は、行の値から計算したハッシュで比較する
+      const hashColumn = sheet('api').rows()[0].indexOf('_hash') + 1;
+      [2, 3].forEach(row => sheet('api').setCell(row, hashColumn, ''));
+      env.properties.delete('STATE_SYNC_CURSOR');
+      env.call('main');
+
+      assert.deepEqual(columnValues(sheet('api'), 'seq'), [0, 1]);
+    });
+  });
+
+  describe('ヘッダー', () => {
+    it('新しいキーは既存の列の順序を変えずに、現れた順に末尾に追加し、既存の行は空にする', () => {
+      const { env, loki, sheet } = setup({ entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', b: 1, a: 2 })] });
+      env.call('main');
+      const initialHeader = sheet('api').rows()[0];
+
+      env.advance(60 * 1000);
+      loki.push(jsonEntry(BigInt(NOW_MS) * NANOS_PER_MS, { metric_name: 'api', a: 3, d: 4, c: 5 }));
+      env.call('main');
+
+      const [header, firstRow, secondRow] = sheet('api').rows();
+      assert.deepEqual(header, initialHeader.concat(['d', 'c']));
+      assert.equal(firstRow[header.indexOf('c')], '');
+      assert.equal(firstRow[header.indexOf('d')], '');
+      assert.deepEqual([secondRow[header.indexOf('a')], secondRow[header.indexOf('b')], secondRow[header.indexOf('d')]], [3, '', 4]);
+    });
+  });
+
+  describe('データ型', () => {
+    it('数値形式・真偽値形式の文字列は数値・真偽値として書き込む', () => {
+      const { env, sheet } = setup({
+        properties: { LOG_FORMAT: 'logfmt' },
+        entries: [{ nanoTs: BASE_NANO_TS, line: 'metric_name=api status=200 user=007 cached=TRUE path=/login', labels: { job: 'app' } }],
+      });
+
+      env.call('main');
+
+      const [header, row] = sheet('api').rows();
+      assert.deepEqual(['status', 'user', 'cached', 'path'].map(column => row[header.indexOf(column)]), [200, 7, true, '/login']);
+    });
+
+    it('日付・パーセント形式や = で始まる文字列は、変換せずに文字列のまま書き込む', () => {
+      const { env, sheet } = setup({ entries: [
+        jsonEntry(BASE_NANO_TS, { metric_name: 'api', day: '2025-04-01', at: '2025/04/01 12:30', ratio: '50%', expr: '=1+1', quoted: "'x" }),
+      ] });
+
+      env.call('main');
+
+      const [header, row] = sheet('api').rows();
+      assert.deepEqual(['day', 'at', 'ratio', 'expr', 'quoted'].map(column => row[header.indexOf(column)]),
+          ['2025-04-01', '2025/04/01 12:30', '50%', '=1+1', "'x"]);
+    });
+  });
+
+  describe('タイムゾーン', () => {
+    for (const timezone of ['+09:00', 'America/New_York']) {
+      it(`${timezone} で記録したタイムスタンプから、同期カーソルがなくても同じ位置から再開できる`, () => {
+        const nanoTs = BASE_NANO_TS + 123456789n;
+        const { env, sheet } = setup({
+          properties: { TIMEZONE_OFFSET: timezone },
+          entries: [jsonEntry(nanoTs, { metric_name: 'api', seq: 0 })],
+        });
+        env.call('main');
+
+        const [timestamp] = columnValues(sheet('api'), '_timestamp');
+        const TimestampUtil_ = env.get('TimestampUtil_');
+        assert.equal(timestamp, TimestampUtil_.formatToIsoString(nanoTs, timezone));
+        assert.equal(env.call('findLastProcessedTimestamp_', env.spreadsheet('spreadsheet'), timezone), nanoTs);
+
+        env.properties.delete('STATE_SYNC_CURSOR');
+        env.call('main');
+        assert.deepEqual(columnValues(sheet('api'), 'seq'), [0]);
+      });
+    }
+
+    it('夏時間の切り替えをまたぐログのオフセットは、時刻ごとに変わる', () => {
+      // America/New_York の夏時間開始 (2025-03-09T07:00:00Z) の前後
+      const before = BigInt(Date.UTC(2025, 2, 9, 6, 59, 59)) * NANOS_PER_MS;
+      const after = BigInt(Date.UTC(2025, 2, 9, 7, 0, 1)) * NANOS_PER_MS;
+      const loki = createLokiServer([
+        jsonEntry(before, { metric_name: 'api', seq: 0 }),
+        jsonEntry(after, { metric_name: 'api', seq: 1 }),
+      ]);
+      const env = createGasEnvironment({
+        now: Date.UTC(2025, 2, 9, 7, 10, 0),
+        properties: {
+          SPREADSHEET_ID: 'spreadsheet',
+          LOKI_API_ENDPOINT: 'https://loki.example.com',
+          LOKI_BASE_QUERY: '{job="app"}',
+          TIMEZONE_OFFSET: 'America/New_York',
+        },
+        fetch: url => loki.handle(url),
+      });
+      env.call('main');
+
+      const sheet = env.spreadsheet('spreadsheet').getSheetByName('api');
+      assert.deepEqual(columnValues(sheet, '_timestamp'), [
+        '2025-03-09T01:59:59.000000000-05:00',
+        '2025-03-09T03:00:01.000000000-04:00',
+      ]);
+    });
+  });
+
+  describe('シートへの書き込みのエラー', () => {
+    it('書き込みに失敗したシートのログは _deadletter シートに記録してから同期カーソルを進める', () => {
+      const { env, sheet } = setup({ entries: [
+        jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 }),
+        jsonEntry(BASE_NANO_TS + 1n, { metric_name: 'db', seq: 1 }),
+      ] });
+      const protectedSheet = env.spreadsheet('spreadsheet').insertSheet('api');
+      protectedSheet.protected = true;
+
+      const [result] = env.call('main');
+
+      assert.equal(result.status, 'completed');
+      assert.deepEqual(columnValues(sheet('db'), 'seq'), [1]);
+      assert.equal(BigInt(JSON.parse(env.properties.get('STATE_SYNC_CURSOR')).nanoTs) > BASE_NANO_TS + 1n, true);
+      assert.deepEqual(columnValues(sheet('_deadletter'), 'line'), [JSON.stringify({ metric_name: 'api', seq: 0 })]);
+      assert.match(columnValues(sheet('_deadletter'), 'reason')[0], /シート 'api' への書き込みに失敗/);
+
+      protectedSheet.protected = false;
+      env.call('replayDeadLetters');
+
+      assert.deepEqual(columnValues(sheet('api'), 'seq'), [0]);
+      assert.equal(sheet('_deadletter').rows().length, 1);
+    });
+  });
+
+  describe('Loki のエラー', () => {
+    it('一時的なエラーは再試行する', () => {
+      const { env, loki, sheet } = setup({ entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 })] });
+      loki.respondWith({ code: 429, body: 'too many requests', headers: { 'Retry-After': '3' } }, { code: 502, body: 'bad gateway' });
+
+      const results = env.call('main');
+
+      assert.equal(results[0].status, 'completed');
+      assert.equal(loki.queries.length, 3);
+      assert.deepEqual(columnValues(sheet('api'), 'seq'), [0]);
+    });
+
+    it('再試行しても成功しないエラーはジョブを失敗とし、同期カーソルを進めない', () => {
+      const { env, loki } = setup({ entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 })] });
+      loki.respondWith({ code: 400, body: 'parse error at line 1' });
+
+      const results = env.call('main');
+
+      assert.equal(results[0].status, 'failed');
+      assert.equal(loki.queries.length, 1);
+      assert.equal(env.properties.get('STATE_SYNC_CURSOR'), undefined);
+    });
+  });
+});
+
+describeWritePaths('replayDeadLetters', ({ setup }) => {
+  it('振り分けできずに _deadletter シートに記録したログを、設定を直した後に処理し直して行を削除する', () => {
+    const { env, sheet } = setup({ entries: [
+      jsonEntry(BASE_NANO_TS, { event: 'login', user: 'a' }),
+      jsonEntry(BASE_NANO_TS + 1n, { event: 'logout', user: 'b' }),
+    ] });
+    env.call('main');
+    assert.deepEqual(columnValues(sheet('_deadletter'), 'reason').map(reason => /振り分けキー/.test(reason)), [true, true]);
+
+    env.properties.set('ROUTING_KEY', 'event');
+    const [result] = env.call('replayDeadLetters');
+
+    assert.equal(result.status, 'completed');
+    assert.deepEqual(columnValues(sheet('login'), 'user'), ['a']);
+    assert.deepEqual(columnValues(sheet('logout'), 'user'), ['b']);
+    assert.deepEqual(sheet('_deadletter').rows().length, 1);
+  });
+
+  it('シートへの書き込みに失敗したログの行は削除せずに残し、次の実行で処理し直す', () => {
+    const { env, sheet } = setup({ entries: [
+      jsonEntry(BASE_NANO_TS, { event: 'login', user: 'a' }),
+      jsonEntry(BASE_NANO_TS + 1n, { event: 'logout', user: 'b' }),
+    ] });
+    env.call('main');
+    const protectedSheet = env.spreadsheet('spreadsheet').insertSheet('login');
+    protectedSheet.protected = true;
+
+    env.properties.set('ROUTING_KEY', 'event');
+    const [failed] = env.call('replayDeadLetters');
+
+    assert.equal(failed.status, 'incomplete');
+    assert.deepEqual(columnValues(sheet('logout'), 'user'), ['b']);
+    assert.deepEqual(columnValues(sheet('_deadletter'), 'line'), [JSON.stringify({ event: 'login', user: 'a' })]);
+
+    protectedSheet.protected = false;
+    const [retried] = env.call('replayDeadLetters');
+
+    assert.equal(retried.status, 'completed');
+    assert.deepEqual(columnValues(sheet('login'), 'user'), ['a']);
+    assert.deepEqual(columnValues(sheet('logout'), 'user'), ['b']);
+    assert.equal(sheet('_deadletter').rows().length, 1);
+  });
+
+  it('時系列順に並んでいない行は並べ替えてから、シートの既存の行と重複を排除して書き込む', () => {
+    const { env, sheet } = setup({ entries: [
+      jsonEntry(BASE_NANO_TS, { metric_name: 'api', event: 'api', seq: 0 }),
+      jsonEntry(BASE_NANO_TS + 1n, { metric_name: 'api', event: 'api', seq: 1 }),
+      jsonEntry(BASE_NANO_TS + 2n, { event: 'api', seq: 2 }),
+      jsonEntry(BASE_NANO_TS + 3n, { event: 'api', seq: 3 }),
+    ] });
+    env.call('main');
+    const [header, seq2, seq3] = sheet('_deadletter').rows();
+    // シートに書き込み済みのログ (seq 0) を、新しいログより後ろの行に記録し直したのと同じ状態にする
+    const duplicate = seq2.slice();
+    duplicate[header.indexOf('_timestamp')] = columnValues(sheet('api'), '_timestamp')[0];
+    duplicate[header.indexOf('line')] = JSON.stringify({ metric_name: 'api', event: 'api', seq: 0 });
+    sheet('_deadletter').clearContents();
+    [header, seq3, duplicate, seq2].forEach(row => sheet('_deadletter').appendRow(row));
+
+    env.properties.set('ROUTING_KEY', 'event');
+    const [result] = env.call('replayDeadLetters');
+
+    assert.equal(result.status, 'completed');
+    assert.deepEqual(columnValues(sheet('api'), 'seq'), [0, 1, 2, 3]);
+    assert.equal(sheet('_deadletter').rows().length, 1);
+  });
+});
+
+describe('Sheets API での書き込み', () => {
+  it('シートのメタデータは実行ごとに読み込み、シートを作成したときだけ読み込み直す', () => {
+    const entries = [];
+    for (let i = 0; i < 10; i++) {
+      entries.push(jsonEntry(BASE_NANO_TS + BigInt(i) * 1000n, { metric_name: 'api', seq: i }));
+    }
+    const { env, loki, sheet } = setup({ properties: { LOKI_QUERY_LIMIT: '4' }, entries, sheetsApi: true });
+    const countCalls = method => env.sheetsApiCalls.filter(call => call.method === method).length;
+
+    env.call('main');
+
+    assert.equal(loki.queries.length, 4);
+    assert.equal(countCalls('batchUpdate'), 3, '新しいログのない最後のページは書き込まない');
+    assert.equal(countCalls('get'), 2, '最初のページと、シートを作成した後のページで読み込む');
+    assert.deepEqual(columnValues(sheet('api'), 'seq'), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+    env.advance(60 * 1000);
+    loki.push(jsonEntry(BigInt(NOW_MS) * NANOS_PER_MS, { metric_name: 'api', seq: 10 }));
+    env.call('main');
+
+    assert.equal(countCalls('get'), 3, '次の実行では読み込み直す');
+  });
+});
+
+describeWritePaths('保持ポリシー・シートの分割', ({ setup }) => {
+  it('RETENTION_MAX_ROWS を超えた古い行は、ARCHIVE_SPREADSHEET_ID のスプレッドシートの同名のシートに移してから削除する', () => {
+    const entries = [];
+    for (let i = 0; i < 5; i++) {
+      entries.push(jsonEntry(BASE_NANO_TS + BigInt(i) * 1000n, { metric_name: 'api', seq: i }));
+    }
+    const { env, loki, sheet } = setup({ properties: { RETENTION_MAX_ROWS: '3', ARCHIVE_SPREADSHEET_ID: 'archive' }, entries });
+    env.call('main');
+    assert.deepEqual(columnValues(sheet('api'), 'seq'), [0, 1, 2, 3, 4]);
+
+    env.advance(60 * 1000);
+    loki.push(jsonEntry(BigInt(NOW_MS) * NANOS_PER_MS, { metric_name: 'api', seq: 5 }));
+    env.call('main');
+
+    // 保持ポリシーは書き込みの前に適用する
+    assert.deepEqual(columnValues(sheet('api'), 'seq'), [2, 3, 4, 5]);
+    const archiveSheet = env.spreadsheet('archive').getSheetByName('api');
+    assert.deepEqual(columnValues(archiveSheet, 'seq'), [0, 1]);
+    assert.deepEqual(columnValues(archiveSheet, '_timestamp'), ['2025-04-20T23:50:00.000000000+00:00', '2025-04-20T23:50:00.000001000+00:00']);
+    assert.ok(archiveSheet.hiddenColumns.has(archiveSheet.rows()[0].indexOf('_hash') + 1));
+  });
+
+  it('SHEET_ROTATION が monthly の場合は月ごとのシートに書き込み、RETENTION_MAX_AGE_DAYS を過ぎて空になった月のシートは削除する', () => {
+    const { env, sheet } = setup({
+      properties: { SHEET_ROTATION: 'monthly', INITIAL_LOOKBACK_SECONDS: String(30 * 24 * 60 * 60) },
+      entries: [
+        jsonEntry(BigInt(Date.UTC(2025, 2, 31, 23, 59)) * NANOS_PER_MS, { metric_name: 'api', seq: 0 }),
+        jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 1 }),
+      ],
+    });
+    env.call('main');
+    assert.deepEqual(columnValues(sheet('api_202503'), 'seq'), [0]);
+    assert.deepEqual(columnValues(sheet('api_202504'), 'seq'), [1]);
+
+    env.properties.set('RETENTION_MAX_AGE_DAYS', '10');
+    env.advance(60 * 1000);
+    env.call('main');
+
+    assert.equal(sheet('api_202503'), null);
+    assert.deepEqual(columnValues(sheet('api_202504'), 'seq'), [1]);
+  });
+});
+
+describeWritePaths('シートのスキーマ (_schema)', ({ setup }) => {
+  it('定義に従って列名を変え、値の型を変換し、除外したキーは記録しない', () => {
+    const { env, sheet } = setup({ entries: [jsonEntry(BASE_NANO_TS, {
+      metric_name: 'api', latency: '12.5', user_id: '007', noise: 'x', token: 'secret', started_at: 1745190000, path: '/login',
+    })] });
+    env.spreadsheet('spreadsheet').insertSheet('_schema').getRange(1, 1, 6, 5).setValues([
+      ['sheet', 'key', 'column', 'type', 'include'],
+      ['api', 'latency', 'Latency (ms)', 'number', ''],
+      ['api', 'user_id', 'User', 'string', ''],
+      ['api', 'noise', '', '', 'FALSE'],
+      ['api', 'started_at', '', 'date', ''],
+      ['*', 'token', '', '', 'FALSE'],
+    ]);
+
+    env.call('main');
+
+    const [header, row] = sheet('api').rows();
+    // 定義した列を定義の順に追加し、定義していないキーの列はその後に追加する
+    assert.deepEqual(header.filter(column => !column.startsWith('_')), ['Latency (ms)', 'User', 'started_at', 'metric_name', 'path']);
+    assert.equal(row[header.indexOf('Latency (ms)')], 12.5);
+    assert.equal(row[header.indexOf('User')], '007', '書式なしテキストの列は数値に変換されない');
+    assert.equal(row[header.indexOf('started_at')].getTime(), 1745190000 * 1000);
+    assert.equal(row[header.indexOf('path')], '/login');
+    assert.deepEqual(JSON.parse(JSON.stringify(env.call('verifyHashIdentity'))),
+        [{ jobId: 'default', sheetName: 'api', checkedRows: 1, mismatchedRows: [] }]);
+  });
+});
+
+describe('実行結果の記録と通知', () => {
+  const ALERT_WEBHOOK_URL = 'https://hooks.example.com/alert';
+
+  /**
+   * Webhook への通知を記録する環境を作る
+   * @param {object} options - setup のオプション
+   * @returns {{env: object, loki: object, sheet: function(string): object, webhooks: Array<object>}} 環境
+   */
+  function setupWithWebhook(options) {
+    const environment = setup(options);
+    const webhooks = [];
+    environment.env.setFetchHandler((url, params) => {
+      if (url !== ALERT_WEBHOOK_URL) {
+        return environment.loki.handle(url);
+      }
+      webhooks.push(JSON.parse(params.payload));
+      return { code: 200, body: 'ok' };
+    });
+    return Object.assign(environment, { webhooks });
+  }
+
+  it('ジョブごとに _runs シートに1行を記録し、スキップ率が ALERT_SKIP_RATE 以上の場合はメールと Webhook で通知する', () => {
+    const { env, loki, sheet, webhooks } = setupWithWebhook({
+      properties: { ALERT_SKIP_RATE: '0.3', ALERT_EMAIL: 'ops@example.com', ALERT_WEBHOOK_URL },
+      entries: [
+        jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 }),
+        { nanoTs: BASE_NANO_TS + 1n, line: 'not json', labels: { job: 'app' } },
+        jsonEntry(BASE_NANO_TS + 2n, { metric_name: 'api', seq: 1 }),
+      ],
+    });
+
+    env.call('main');
+
+    const [header, row] = sheet('_runs').rows();
+    const run = Object.fromEntries(header.map((name, index) => [name, row[index]]));
+    assert.deepEqual([run.function, run.job_id, run.status, run.fetched, run.skipped, run.duplicates, run.written, run.errors],
+        ['main', 'default', 'completed', 3, 1, 0, 2, '']);
+    assert.equal(run.started_at, '2025-04-21T00:00:00.000000000+00:00');
+    assert.equal(env.mails.length, 1);
+    assert.equal(env.mails[0].recipient, 'ops@example.com');
+    assert.match(env.mails[0].body, /スキップ率が 33% \(1\/3 件\)/);
+    assert.equal(webhooks.length, 1);
+    assert.match(webhooks[0].text, /ジョブ 'default' の main で問題が発生しました/);
+
+    env.advance(60 * 1000);
+    loki.push(jsonEntry(BigInt(NOW_MS) * NANOS_PER_MS, { metric_name: 'api', seq: 2 }));
+    env.call('main');
+
+    assert.equal(sheet('_runs').rows().length, 3);
+    assert.equal(env.mails.length, 1, 'スキップ率が閾値未満の場合は通知しない');
+    assert.equal(webhooks.length, 1);
+  });
+
+  it('ジョブが失敗した場合は、_runs シートにエラーを記録して通知する', () => {
+    const { env, loki, sheet } = setup({
+      properties: { ALERT_EMAIL: 'ops@example.com' },
+      entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 })],
+    });
+    loki.respondWith({ code: 400, body: 'parse error at line 1' });
+
+    env.call('main');
+
+    const [header, row] = sheet('_runs').rows();
+    assert.equal(row[header.indexOf('status')], 'failed');
+    assert.match(row[header.indexOf('errors')], /parse error at line 1/);
+    assert.equal(env.mails.length, 1);
+    assert.match(env.mails[0].subject, /\(failed\)$/);
+    assert.match(env.mails[0].body, /エラー:\n.*parse error at line 1/);
+  });
+});
+
+describe('ジョブの実行権 (リース)', () => {
+  it('他の実行がリースを持っている場合は、LOCK_WAIT_SECONDS だけ待ってからジョブをスキップする', () => {
+    const { env, loki } = setup({
+      properties: { LOCK_WAIT_SECONDS: '10' },
+      entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 })],
+    });
+    const lease = JSON.stringify({ owner: 'other-execution', expiresAtMs: NOW_MS + 5 * 60 * 1000 });
+    env.properties.set('STATE_JOB_LEASE', lease);
+
+    const results = env.call('main');
+
+    assert.deepEqual(JSON.parse(JSON.stringify(results)), [{ jobId: 'default', status: 'skipped' }]);
+    assert.equal(env.clock.now, NOW_MS + 10 * 1000);
+    assert.equal(loki.queries.length, 0);
+    assert.equal(env.properties.get('STATE_JOB_LEASE'), lease, '他の実行のリースは消さない');
+    assert.equal(env.spreadsheet('spreadsheet').getSheetByName('api'), null);
+  });
+
+  it('期限切れのリースは引き継いでジョブを実行し、終了時に解放する', () => {
+    const { env, sheet } = setup({ entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', seq: 0 })] });
+    env.properties.set('STATE_JOB_LEASE', JSON.stringify({ owner: 'crashed-execution', expiresAtMs: NOW_MS - 1000 }));
+
+    const results = env.call('main');
+
+    assert.equal(results[0].status, 'completed');
+    assert.deepEqual(columnValues(sheet('api'), 'seq'), [0]);
+    assert.ok(env.logs.some(log => /リースが期限切れのため/.test(log)));
+    assert.equal(env.properties.has('STATE_JOB_LEASE'), false);
+  });
+});
+
+describe('dryRun', () => {
+  it('シートへの書き込みと同期カーソルの保存をせずに、シートごとの書き込み内容を返す', () => {
+    const { env, loki } = setup({ entries: [
+      jsonEntry(BASE_NANO_TS, { metric_name: 'api', status: 200 }),
+      jsonEntry(BASE_NANO_TS + 1n, { metric_name: 'api', status: 500 }),
+      jsonEntry(BASE_NANO_TS + 2n, { metric_name: 'db', query: 'select' }),
+      jsonEntry(BASE_NANO_TS + 3n, { message: 'no metric_name' }),
+    ] });
+
+    const [result] = JSON.parse(JSON.stringify(env.call('dryRun')));
+
+    assert.equal(result.status, 'completed');
+    assert.equal(result.fetched, 4);
+    assert.equal(result.deadLetters, 1);
+    assert.deepEqual(result.sheets.map(sheet => [sheet.sheetName, sheet.newSheet, sheet.newColumns, sheet.rows]), [
+      ['api', true, ['_timestamp', '_hash', 'metric_name', 'status'], 2],
+      ['db', true, ['_timestamp', '_hash', 'metric_name', 'query'], 1],
+    ]);
+    assert.deepEqual(result.sheets[0].sampleRows.map(row => row.status), [200, 500]);
+    assert.equal('_hash' in result.sheets[0].sampleRows[0], false);
+
+    assert.deepEqual(env.spreadsheet('spreadsheet').getSheets(), []);
+    assert.equal(env.properties.get('STATE_SYNC_CURSOR'), undefined);
+    assert.equal(loki.queries.length, 1);
+  });
+
+  it('既存のシートとの重複と、追加される列を示す', () => {
+    const { env, loki, sheet } = setup({
+      properties: { LOKI_OVERLAP_SECONDS: '600' },
+      entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', status: 200 })],
+    });
+    env.call('main');
+    const rowsBeforeDryRun = sheet('api').rows();
+    const cursorBeforeDryRun = env.properties.get('STATE_SYNC_CURSOR');
+
+    env.advance(60 * 1000);
+    loki.push(jsonEntry(BigInt(NOW_MS) * NANOS_PER_MS, { metric_name: 'api', status: 503, retry: true }));
+    const [result] = JSON.parse(JSON.stringify(env.call('dryRun')));
+
+    assert.deepEqual(result.sheets.map(s => [s.sheetName, s.newSheet, s.newColumns, s.logs, s.duplicates, s.rows]), [
+      ['api', false, ['retry'], 2, 1, 1],
+    ]);
+    assert.deepEqual(sheet('api').rows(), rowsBeforeDryRun);
+    assert.equal(env.properties.get('STATE_SYNC_CURSOR'), cursorBeforeDryRun);
+  });
+
+  it('writePreviewSheet を指定すると、結果を _preview シートに書き込み、次の実行では置き換える', () => {
+    const { env, loki, sheet } = setup({ entries: [
+      jsonEntry(BASE_NANO_TS, { metric_name: 'api', status: 200 }),
+      jsonEntry(BASE_NANO_TS + 1n, { metric_name: 'db', query: 'select' }),
+    ] });
+
+    env.call('dryRun', undefined, true);
+    const [header, ...rows] = sheet('_preview').rows();
+    assert.deepEqual(rows.map(row => [row[header.indexOf('sheet_name')], row[header.indexOf('rows')]]), [['api', 1], ['db', 1]]);
+    assert.deepEqual(JSON.parse(rows[0][header.indexOf('sample_rows')]).status, 200);
+
+    // 書き込むログがない場合は、ジョブの情報だけの1行になる
+    loki.respondWith({ code: 200, body: JSON.stringify({ status: 'success', data: { resultType: 'streams', result: [] } }) });
+    env.advance(60 * 1000);
+    env.call('dryRun', undefined, true);
+    assert.deepEqual(sheet('_preview').rows().slice(1).map(row => row[header.indexOf('sheet_name')]), ['']);
+    assert.equal(env.spreadsheet('spreadsheet').getSheets().length, 1);
+  });
+});
+
+describeWritePaths('main (LOKI_QUERY_TYPE が metric)', ({ sheetsApi }) => {
+  const STEP_SECONDS = 600;
+  const series = [
+    { metric: { app: 'api' }, valueAt: seconds => (seconds / STEP_SECONDS) % 10 },
+    { metric: { app: 'db' }, valueAt: seconds => ((seconds / STEP_SECONDS) % 2 === 0 ? 1.5 : null) },
+  ];
+
+  /**
+   * メトリッククエリのジョブの環境を作る
+   * @param {Object<string, string>} [properties] - 追加のスクリプトプロパティ
+   * @param {Array<{metric: object, valueAt: function(number): (number|string|null)}>} [metricSeries] - メトリッククエリの系列
+   * @returns {{env: object, loki: object, sheet: function(string): object}} 環境
+   */
+  function setupMetric(properties = {}, metricSeries = series) {
+    const loki = createLokiServer([], { series: metricSeries });
+    const env = createGasEnvironment({
+      now: NOW_MS,
+      properties: Object.assign({
+        SPREADSHEET_ID: 'spreadsheet',
+        LOKI_API_ENDPOINT: 'https://loki.example.com',
+        LOKI_BASE_QUERY: 'sum by (app) (count_over_time({job="app"} |= "error" [10m]))',
+        LOKI_QUERY_TYPE: 'metric',
+        METRIC_STEP_SECONDS: String(STEP_SECONDS),
+      }, properties),
+      fetch: url => loki.handle(url),
+      sheetsApi,
+    });
+    return { env, loki, sheet: name => env.spreadsheet('spreadsheet').getSheetByName(name) };
+  }
+
+  it('ステップの倍数の評価時刻ごと・系列ごとに1行を書き込み、end の評価時刻は含めない', () => {
+    const { env, loki, sheet } = setupMetric({ METRIC_SHEET_NAME: 'errors' });
+
+    const results = env.call('main');
+
+    assert.equal(results[0].status, 'completed');
+    assert.equal(loki.queries[0].step, STEP_SECONDS);
+    // 取得範囲は 2025-04-20T22:59:30Z から 23:59:30Z (取り込み遅延 30 秒) までで、評価時刻は 23:00 から 23:50 まで
+    const timestamps = columnValues(sheet('errors'), '_timestamp');
+    assert.equal(timestamps.length, 6 + 3);
+    assert.equal(timestamps[0], '2025-04-20T23:00:00.000000000+00:00');
+    assert.equal(timestamps[timestamps.length - 1], '2025-04-20T23:50:00.000000000+00:00');
+    const [header, ...rows] = sheet('errors').rows();
+    assert.deepEqual(header.filter(column => !column.startsWith('_')).sort(), ['app', 'value']);
+    assert.deepEqual(rows.filter(row => row[header.indexOf('app')] === 'db').map(row => row[header.indexOf('value')]), [1.5, 1.5, 1.5]);
+    assert.deepEqual(rows.filter(row => row[header.indexOf('app')] === 'api').map(row => row[header.indexOf('value')]), [0, 1, 2, 3, 4, 5]);
+  });
+
+  it('Overlap 期間に取得し直した評価時刻の値は書き込まない', () => {
+    const { env, loki, sheet } = setupMetric({ METRIC_SHEET_NAME: 'errors', LOKI_OVERLAP_SECONDS: '1200' });
+    env.call('main');
+    const rowCount = sheet('errors').rows().length;
+
+    env.advance(STEP_SECONDS * 1000);
+    env.call('main');
+
+    assert.equal(loki.queries[1].start < BigInt(Date.UTC(2025, 3, 20, 23, 50)) * NANOS_PER_MS, true);
+    const timestamps = columnValues(sheet('errors'), '_timestamp');
+    const apps = columnValues(sheet('errors'), 'app');
+    assert.equal(sheet('errors').rows().length, rowCount + 2);
+    assert.equal(new Set(timestamps.map((timestamp, index) => `${timestamp} ${apps[index]}`)).size, timestamps.length);
+    assert.equal(timestamps[timestamps.length - 1], '2025-04-21T00:00:00.000000000+00:00');
+  });
+
+  it('Overlap 期間に取得し直した評価時刻の値が変わっていても、既存の行を残して書き込まない', () => {
+    let lateCount = 0;
+    const { env, sheet } = setupMetric({ METRIC_SHEET_NAME: 'errors', LOKI_OVERLAP_SECONDS: '1200' },
+        [{ metric: { app: 'api' }, valueAt: () => 1 + lateCount }]);
+    env.call('main');
+    const rowCount = sheet('errors').rows().length;
+
+    lateCount = 10; // 遅れて届いたログで、取得済みの評価時刻の値も変わる
+    env.advance(STEP_SECONDS * 1000);
+    env.call('main');
+
+    const values = columnValues(sheet('errors'), 'value');
+    assert.equal(values.length, rowCount);
+    assert.deepEqual(values.slice(0, rowCount - 1), new Array(rowCount - 1).fill(1));
+    assert.equal(values[values.length - 1], 11);
+  });
+
+  it('METRIC_SHEET_NAME がない場合は、系列のラベルを ROUTING_KEY で振り分ける', () => {
+    const { env, sheet } = setupMetric({ ROUTING_KEY: 'app' });
+
+    env.call('main');
+
+    assert.equal(columnValues(sheet('api'), 'value').length, 6);
+    assert.equal(columnValues(sheet('db'), 'value').length, 3);
+  });
+
+  it('METRIC_QUERY_MAX_POINTS ステップごとに区切って取得する', () => {
+    const { env, loki, sheet } = setupMetric({ METRIC_SHEET_NAME: 'errors', METRIC_STEP_SECONDS: '60', INITIAL_LOOKBACK_SECONDS: String(2500 * 60) });
+
+    env.call('main');
+
+    assert.equal(loki.queries.length, 3);
+    assert.equal(loki.queries[1].start, loki.queries[0].end);
+    assert.equal(loki.queries[2].start, loki.queries[1].end);
+    const apiRows = columnValues(sheet('errors'), 'app').filter(app => app === 'api');
+    assert.equal(apiRows.length, 2500);
+  });
+
+  it('クエリの種類と結果の種類が合わない場合は、ジョブを失敗とする', () => {
+    const { env, loki } = setupMetric({ LOKI_QUERY_TYPE: 'logs' });
+    loki.respondWith({ code: 200, body: JSON.stringify({ status: 'success', data: { resultType: 'matrix', result: [] } }) });
+
+    const results = env.call('main');
+
+    assert.equal(results[0].status, 'failed');
+    assert.match(results[0].error, /LOKI_QUERY_TYPE/);
+  });
+});
+
+describe('メニュー・サイドバー', () => {
+  it('onOpen でメニューを追加し、各項目はスクリプトの関数を呼び出す', () => {
+    const { env } = setup();
+
+    env.call('onOpen');
+
+    const [menu] = env.ui.menus;
+    assert.equal(menu.added, true);
+    const functionNames = menu.items.filter(item => item).map(item => item.functionName);
+    assert.deepEqual(functionNames, ['menuSyncNow', 'menuDryRun', 'menuBackfillRange', 'menuResetCursor', 'showSidebar']);
+    functionNames.forEach(name => assert.equal(typeof env.get(name), 'function', name));
+  });
+
+  it('バインドされたスクリプトでは、SPREADSHEET_ID がなければバインドされたスプレッドシートに書き込む', () => {
+    const { env } = setup({
+      properties: { SPREADSHEET_ID: '' },
+      entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', status: 200 })],
+      activeSpreadsheetId: 'bound',
+    });
+
+    env.call('main');
+
+    assert.deepEqual(columnValues(env.spreadsheet('bound').getSheetByName('api'), 'status'), [200]);
+  });
+
+  it('menuSyncNow は同期してジョブごとの結果を表示する', () => {
+    const { env, sheet } = setup({ entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', status: 200 })] });
+
+    env.call('menuSyncNow');
+
+    assert.deepEqual(columnValues(sheet('api'), 'status'), [200]);
+    assert.match(env.ui.dialogs[0].prompt, /ジョブ 'default': 完了/);
+  });
+
+  it('menuBackfillRange は入力した期間をバックフィルし、キャンセルした場合は何もしない', () => {
+    const { env, loki, sheet } = setup({
+      entries: [jsonEntry(BASE_NANO_TS - 24n * 3600n * 1000n * NANOS_PER_MS, { metric_name: 'api', status: 200 })],
+    });
+
+    env.ui.respondWith({ button: 'CANCEL', text: '' });
+    env.call('menuBackfillRange');
+    assert.equal(loki.queries.length, 0);
+
+    env.ui.respondWith({ button: 'OK', text: ' 2025-04-19T23:00:00Z ' }, { button: 'OK', text: '2025-04-20T00:00:00Z' });
+    env.call('menuBackfillRange');
+
+    assert.deepEqual(columnValues(sheet('api'), 'status'), [200]);
+    assert.match(env.ui.dialogs[env.ui.dialogs.length - 1].prompt, /ジョブ 'default': 完了/);
+  });
+
+  it('menuResetCursor は確認してから同期カーソルを削除する', () => {
+    const { env } = setup({ entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', status: 200 })] });
+    env.call('main');
+    assert.notEqual(env.properties.get('STATE_SYNC_CURSOR'), undefined);
+
+    env.ui.respondWith('NO');
+    env.call('menuResetCursor');
+    assert.notEqual(env.properties.get('STATE_SYNC_CURSOR'), undefined);
+
+    env.ui.respondWith('YES');
+    env.call('menuResetCursor');
+    assert.equal(env.properties.get('STATE_SYNC_CURSOR'), undefined);
+  });
+
+  it('getSidebarState は秘密の値を送らず、現在の設定の検証結果と前回の実行結果を返す', () => {
+    const { env } = setup({
+      properties: { LOKI_API_KEY: 'secret-key', TIMEZONE_OFFSET: 'Mars/Olympus' },
+      entries: [jsonEntry(BASE_NANO_TS, { metric_name: 'api', status: 200 })],
+    });
+    env.call('main');
+
+    const state = JSON.parse(JSON.stringify(env.call('getSidebarState')));
+
+    const settings = Object.fromEntries(state.settings.map(setting => [setting.key, setting]));
+    assert.deepEqual(settings.LOKI_API_KEY, { key: 'LOKI_API_KEY', value: '', secret: true, isSet: true });
+    assert.equal(settings.LOKI_BASE_QUERY.value, '{job="app"}');
+    assert.equal(JSON.stringify(state).includes('secret-key'), false);
+    assert.equal(state.validation.valid, true);
+    assert.match(state.validation.problems[0].message, /^Warning: TIMEZONE_OFFSET/);
+    assert.equal(state.lastRuns[0].jobId, 'default');
+    assert.equal(state.lastRuns[0].lastRun.status, 'completed');
+    assert.equal(state.lastRuns[0].lastRun.written, 1);
+  });
+
+  it('saveSettings は Error がある場合は保存せず、問題がなければ変更を保存する', () => {
+    const { env } = setup({ properties: { LOKI_API_KEY: 'secret-key', LOKI_QUERY_LIMIT: '500' } });
+
+    const rejected = env.call('saveSettings', { LOKI_BASE_QUERY: ' ', LOKI_QUERY_LIMIT: '100' });
+    assert.equal(rejected.saved, false);
+    assert.match(rejected.validation.problems[0].message, /^Error: 必須の設定項目/);
+    assert.equal(env.properties.get('LOKI_QUERY_LIMIT'), '500');
+
+    const saved = env.call('saveSettings', {
+      LOKI_QUERY_LIMIT: '', LOKI_API_KEY: '', ROUTING_KEY: 'label:app', STATE_SYNC_CURSOR: '{}',
+    });
+    assert.equal(saved.saved, true);
+    assert.equal(env.properties.has('LOKI_QUERY_LIMIT'), false);
+    assert.equal(env.properties.get('LOKI_API_KEY'), 'secret-key');
+    assert.equal(env.properties.get('ROUTING_KEY'), 'label:app');
+    assert.equal(env.properties.has('STATE_SYNC_CURSOR'), false);
+  });
+
+  it('validateSettings は保存前の SYNC_JOBS をジョブごとに検証する', () => {
+    const { env } = setup();
+    const values = { SYNC_JOBS: JSON.stringify([{ id: 'a' }, { id: 'b', LOG_FORMAT: 'xml' }]) };
+
+    const validation = JSON.parse(JSON.stringify(env.call('validateSettings', values)));
+
+    assert.equal(validation.valid, false);
+    assert.deepEqual(validation.jobIds, ['a']);
+    assert.deepEqual(validation.problems.map(problem => problem.jobId), ['b', 'b']);
+    assert.equal(env.properties.has('SYNC_JOBS'), false);
+  });
+
+  it('testLokiConnection は入力中の設定で1回だけクエリを実行する', () => {
+    const { env, loki } = setup({ entries: [jsonEntry(BigInt(NOW_MS - 60 * 1000) * NANOS_PER_MS, { metric_name: 'api' })] });
+
+    const ok = JSON.parse(JSON.stringify(env.call('testLokiConnection', { LOKI_BASE_QUERY: '{job="other"}' })));
+    assert.deepEqual(ok.results.map(result => [result.jobId, result.ok]), [['default', true]]);
+    assert.match(ok.results[0].message, /1 件/);
+    assert.equal(loki.queries[0].query, '{job="other"}');
+    assert.equal(loki.queries[0].limit, 10);
+
+    loki.respondWith({ code: 503, body: 'unavailable' });
+    const failed = env.call('testLokiConnection', {});
+    assert.equal(failed.results[0].ok, false);
+    assert.equal(loki.queries.length, 2);
+    assert.equal(env.properties.get('LOKI_BASE_QUERY'), '{job="app"}');
+  });
+
+  it('showSidebar は sidebar.html をサイドバーに表示する', () => {
+    const { env } = setup();
+
+    env.call('showSidebar');
+
+    assert.equal(env.ui.sidebars[0].filename, 'sidebar');
+    assert.match(env.ui.sidebars[0].content, /google\.script\.run/);
+  });
+});
+
+describe('トリガー', () => {
+  /**
+   * トリガーの実行間隔ごとのハンドラーを返す
+   * @param {object} env - 環境
+   * @returns {Array<Array<any>>} [ハンドラー, 実行間隔 (分)] の配列
+   */
+  function triggerSummary(env) {
+    return env.triggers.map(trigger => [trigger.handlerFunction, trigger.intervalMinutes]);
+  }
+
+  it('installTriggers は何度実行しても、実行間隔ごとに1つのトリガーを作成する', () => {
+    const { env } = setup();
+
+    const first = JSON.parse(JSON.stringify(env.call('installTriggers', 15)));
+    const second = JSON.parse(JSON.stringify(env.call('installTriggers', 15)));
+
+    assert.deepEqual(first.triggers.map(trigger => [trigger.intervalMinutes, trigger.jobIds, trigger.created]), [[15, ['default'], true]]);
+    assert.deepEqual(second.triggers.map(trigger => [trigger.intervalMinutes, trigger.created]), [[15, false]]);
+    assert.equal(second.triggers[0].triggerId, first.triggers[0].triggerId);
+    assert.equal(second.deleted, 0);
+    assert.deepEqual(triggerSummary(env), [['main', 15]]);
+  });
+
+  it('installTriggers は main の重複したトリガーを削除し、他の関数のトリガーは残す', () => {
+    const { env } = setup();
+    env.context.ScriptApp.newTrigger('main').timeBased().everyMinutes(30).create(); // 手動で作成したトリガー
+    env.triggers.push(new FakeTrigger('onEditHandler', 'ON_EDIT', null, 'edit-trigger'));
+
+    const installed = env.call('installTriggers', 15);
+    assert.equal(installed.deleted, 1);
+    assert.deepEqual(triggerSummary(env), [['onEditHandler', null], ['main', 15]]);
+
+    env.context.ScriptApp.newTrigger('main').timeBased().everyMinutes(15).create();
+    const reinstalled = env.call('installTriggers');
+    assert.equal(reinstalled.deleted, 1);
+    assert.equal(reinstalled.triggers[0].created, false);
+    assert.deepEqual(triggerSummary(env), [['onEditHandler', null], ['main', 15]]);
+
+    assert.equal(env.call('installTriggers', 7), null);
+    assert.deepEqual(triggerSummary(env), [['onEditHandler', null], ['main', 15]]);
+  });
+
+  it('SYNC_INTERVAL_MINUTES のジョブごとにトリガーを作成し、トリガーからはその実行間隔のジョブだけを実行する', () => {
+    const { env } = setup({ properties: {
+      SYNC_JOBS: JSON.stringify([{ id: 'hourly', SYNC_INTERVAL_MINUTES: 60 }, { id: 'frequent' }]),
+    } });
+
+    const installed = JSON.parse(JSON.stringify(env.call('installTriggers', 15)));
+
+    assert.deepEqual(installed.triggers.map(trigger => [trigger.intervalMinutes, trigger.jobIds]), [[15, ['frequent']], [60, ['hourly']]]);
+    const hourlyTrigger = env.triggers.find(trigger => trigger.intervalMinutes === 60);
+    assert.deepEqual(Array.from(env.call('main', { triggerUid: hourlyTrigger.uniqueId }), result => result.jobId), ['hourly']);
+    assert.deepEqual(Array.from(env.call('main'), result => result.jobId), ['hourly', 'frequent']);
+  });
+
+  it('時間内に取り切れない実行が続くと実行間隔を短くし、完了する実行が続くと元に戻す', () => {
+    const entries = Array.from({ length: 20 }, (_, i) => jsonEntry(BASE_NANO_TS + BigInt(i) * 1000n, { metric_name: 'api', seq: i }));
+    const { env, loki } = setup({ properties: { LOKI_QUERY_LIMIT: '1', LOKI_MAX_RETRIES: '0' }, entries });
+    env.call('installTriggers', 15);
+    const runFromTrigger = () => env.call('main', { triggerUid: env.triggers[0].uniqueId });
+
+    // Loki のエラーで打ち切った実行は数えない
+    for (let i = 0; i < 3; i++) {
+      loki.respondWith({ code: 503, body: 'unavailable' });
+      const [result] = runFromTrigger();
+      assert.deepEqual([result.status, result.timedOut], ['incomplete', false]);
+    }
+    assert.deepEqual(triggerSummary(env), [['main', 15]]);
+
+    // 1ページ取得するたびに実行時間を使い切る
+    env.setFetchHandler(url => {
+      env.advance(5 * 60 * 1000);
+      return loki.handle(url);
+    });
+    for (let i = 0; i < 3; i++) {
+      assert.equal(runFromTrigger()[0].timedOut, true);
+    }
+    assert.deepEqual(triggerSummary(env), [['main', 10]]);
+    assert.equal(JSON.parse(env.properties.get('STATE_JOB_SCHEDULE')).intervalMinutes, 10);
+
+    env.setFetchHandler(url => loki.handle(url));
+    for (let i = 0; i < 3; i++) {
+      assert.equal(runFromTrigger()[0].status, 'completed');
+    }
+    assert.deepEqual(triggerSummary(env), [['main', 15]]);
+  });
+
+  it('uninstallTriggers は main のトリガーと調整した実行間隔を削除する', () => {
+    const { env } = setup();
+    env.triggers.push(new FakeTrigger('onEditHandler', 'ON_EDIT', null, 'edit-trigger'));
+    env.call('installTriggers', 15);
+    env.properties.set('STATE_JOB_SCHEDULE', JSON.stringify({ intervalMinutes: 10, incompleteRuns: 0, completedRuns: 1 }));
+
+    assert.equal(env.call('uninstallTriggers'), 1);
+
+    assert.deepEqual(triggerSummary(env), [['onEditHandler', null]]);
+    assert.equal(env.properties.has('STATE_TRIGGERS'), false);
+    assert.equal(env.properties.has('STATE_JOB_SCHEDULE'), false);
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { createGasEnvironment } = require('./support/gas-environment');
+
+const TimestampUtil_ = createGasEnvironment().get('TimestampUtil_');
+
+/**
+ * ISO 8601 の日時 (ミリ秒まで) と、それ以下のナノ秒から UTCナノ秒を作る
+ * @param {string} iso - Date.parse できる日時
+ * @param {number} [extraNanos] - ミリ秒未満のナノ秒
+ * @returns {bigint} UTCナノ秒
+ */
+function nanos(iso, extraNanos = 0) {
+  return BigInt(Date.parse(iso)) * 1000000n + BigInt(extraNanos);
+}
+
+describe('TimestampUtil_', () => {
+  describe('formatToIsoString', () => {
+    it('固定オフセットでナノ秒精度の文字列にする', () => {
+      assert.equal(TimestampUtil_.formatToIsoString(nanos('2025-04-20T22:40:28.123Z', 456789), '+09:00'),
+          '2025-04-21T07:40:28.123456789+09:00');
+      assert.equal(TimestampUtil_.formatToIsoString(nanos('2025-04-21T03:00:00Z', 1), '-05:30'),
+          '2025-04-20T21:30:00.000000001-05:30');
+    });
+
+    it('IANA タイムゾーン名では時刻ごとの夏時間のオフセットを使う', () => {
+      assert.equal(TimestampUtil_.formatToIsoString(nanos('2025-01-15T12:00:00Z'), 'Europe/Berlin'),
+          '2025-01-15T13:00:00.000000000+01:00');
+      assert.equal(TimestampUtil_.formatToIsoString(nanos('2025-07-15T12:00:00Z'), 'Europe/Berlin'),
+          '2025-07-15T14:00:00.000000000+02:00');
+    });
+  });
+
+  describe('parseIsoString', () => {
+    it('文字列のオフセット (Z を含む) を使って UTCナノ秒にする', () => {
+      const expected = nanos('2025-04-20T22:40:28.123Z', 456789);
+      assert.equal(TimestampUtil_.parseIsoString('2025-04-21T07:40:28.123456789+09:00', '+00:00'), expected);
+      assert.equal(TimestampUtil_.parseIsoString('2025-04-20T22:40:28.123456789Z', 'Asia/Tokyo'), expected);
+    });
+
+    it('オフセットがない場合はデフォルトのタイムゾーンで解釈する', () => {
+      assert.equal(TimestampUtil_.parseIsoString('2025-04-21T07:40:28.500000000', '+09:00'), nanos('2025-04-20T22:40:28.5Z'));
+      assert.equal(TimestampUtil_.parseIsoString('2025-07-15T14:00:00.000000000', 'Europe/Berlin'), nanos('2025-07-15T12:00:00Z'));
+    });
+
+    it('不正な文字列はnullを返す', () => {
+      assert.equal(TimestampUtil_.parseIsoString('not a timestamp', '+00:00'), null);
+    });
+  });
+
+  describe('formatToIsoString と parseIsoString の往復', () => {
+    const instants = [
+      nanos('2025-04-20T22:40:28.123Z', 456789),
+      nanos('2025-03-30T00:59:59.999Z', 999999), // Europe/Berlin の夏時間開始の直前
+      nanos('2025-03-30T01:00:00Z'), // 夏時間開始
+      nanos('2025-10-26T00:30:00Z', 1), // 夏時間終了で同じ現地時刻が2回現れる (1回目)
+      nanos('2025-10-26T01:30:00Z', 1), // 同 (2回目)
+    ];
+    for (const timezone of ['+00:00', '+09:00', '-03:30', 'Europe/Berlin', 'America/New_York', 'Asia/Tokyo']) {
+      it(`${timezone} で元の時刻に戻る`, () => {
+        for (const nanoTs of instants) {
+          const iso = TimestampUtil_.formatToIsoString(nanoTs, timezone);
+          assert.equal(TimestampUtil_.parseIsoString(iso, timezone), nanoTs, iso);
+        }
+      });
+    }
+  });
+
+  describe('isValidTimezone', () => {
+    it('固定オフセットと IANA タイムゾーン名を受け付ける', () => {
+      for (const timezone of ['+09:00', '-05:00', '+00:00', 'Europe/Berlin', 'UTC']) {
+        assert.equal(TimestampUtil_.isValidTimezone(timezone), true, timezone);
+      }
+    });
+
+    it('不正な値を拒否する', () => {
+      for (const timezone of ['+9:00', '09:00', '+25:00', 'Mars/Olympus', '']) {
+        assert.equal(TimestampUtil_.isValidTimezone(timezone), false, timezone);
+      }
+    });
+  });
+
+  describe('resolveOffsetString', () => {
+    it('IANA タイムゾーン名をその時刻のオフセットにする', () => {
+      assert.equal(TimestampUtil_.resolveOffsetString(nanos('2025-01-15T12:00:00Z'), 'America/New_York'), '-05:00');
+      assert.equal(TimestampUtil_.resolveOffsetString(nanos('2025-07-15T12:00:00Z'), 'America/New_York'), '-04:00');
+      assert.equal(TimestampUtil_.resolveOffsetString(nanos('2025-07-15T12:00:00Z'), '+09:00'), '+09:00');
+    });
+  });
+});